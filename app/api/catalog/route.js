@@ -0,0 +1,42 @@
+/**
+ * GET  /api/catalog — County and List Type options for the scrape forms
+ *                     (from the last sync, or the built-in defaults).
+ * POST /api/catalog — Sync: read every option from the court site's File
+ *                     Search form and store them.
+ *
+ * List types without a proceeding handler come back with supported: false.
+ */
+import { NextResponse } from 'next/server';
+import { getCatalog } from '@/lib/db/catalog';
+import { syncCatalog } from '@/lib/scraper/pipeline';
+import { getProceedingHandler } from '@/lib/scraper/proceedings';
+import { logError } from '@/lib/errorLog';
+
+// Vercel serverless timeout (seconds) — a sync needs one gate bypass
+export const maxDuration = 60;
+
+function withSupport(catalog) {
+  return {
+    ...catalog,
+    proceedings: catalog.proceedings.map((p) => ({ ...p, supported: !!getProceedingHandler(p.value) })),
+  };
+}
+
+export async function GET() {
+  try {
+    return NextResponse.json(withSupport(getCatalog()));
+  } catch (err) {
+    logError('api/catalog', err.message, { stack: err.stack?.substring(0, 500) });
+    return NextResponse.json({ error: err.message }, { status: 500 });
+  }
+}
+
+export async function POST() {
+  try {
+    const catalog = await syncCatalog();
+    return NextResponse.json({ success: true, ...withSupport(catalog) });
+  } catch (err) {
+    logError('api/catalog', err.message, { stack: err.stack?.substring(0, 500) });
+    return NextResponse.json({ error: err.message }, { status: 500 });
+  }
+}
@@ -2,7 +2,7 @@
  * GET /api/debug
  *
  * Tests the full connection + gate bypass flow:
- * Browserless connect → Welcome page → hCaptcha → File Search
+ * Browser provider connect → Welcome page → hCaptcha → File Search
  *
  * connectBrowser() should land on /File/FileSearch if successful.
  */
@@ -21,16 +21,33 @@ export async function GET() {
   // Environment
   const apiKey = process.env.BROWSERLESS_API_KEY;
   const hasKey = !!apiKey && apiKey !== 'your_api_key_here';
+  results.env.BROWSER_PROVIDER = process.env.BROWSER_PROVIDER || '(default)';
   results.env.BROWSERLESS_API_KEY = hasKey ? `set (${apiKey.length} chars)` : 'NOT SET';
   results.env.NODE_ENV = process.env.NODE_ENV;
   results.env.VERCEL_REGION = process.env.VERCEL_REGION || 'unknown';
 
-  if (!hasKey) {
-    results.steps.push({ step: 'Check API key', status: 'FAIL', detail: 'BROWSERLESS_API_KEY not set' });
-    results.error = 'No valid API key found.';
+  let provider;
+  try {
+    const { getBrowserProvider } = await import('@/lib/scraper/browserProviders');
+    provider = getBrowserProvider();
+  } catch (err) {
+    results.steps.push({ step: 'Resolve browser provider', status: 'FAIL', detail: err.message });
+    results.error = err.message;
+    return NextResponse.json(results);
+  }
+  results.provider = provider.name;
+
+  const configError = provider.checkConfig();
+  if (configError) {
+    results.steps.push({ step: `Check ${provider.label} config`, status: 'FAIL', detail: configError });
+    results.error = configError;
     return NextResponse.json(results);
   }
-  results.steps.push({ step: 'Check API key', status: 'PASS', detail: `${apiKey.length} chars` });
+  results.steps.push({
+    step: `Check ${provider.label} config`,
+    status: 'PASS',
+    detail: `provider=${provider.name} — ${provider.describe()}`,
+  });
 
   let browser;
   try {
@@ -48,7 +65,7 @@ export async function GET() {
     results.steps.push({
       step: 'connectBrowser() — full gate bypass',
       status: 'PASS',
-      detail: `${elapsed}s — landed on: ${url}`,
+      detail: `${elapsed}s via ${connection.provider} — landed on: ${url}`,
     });
 
     // Verify we have the search form
@@ -93,7 +110,7 @@ export async function GET() {
 
   const allPassed = results.steps.every((s) => s.status === 'PASS');
   if (allPassed && !results.error) {
-    results.summary = 'ALL TESTS PASSED — Browserless + gate bypass + form verification working.';
+    results.summary = `ALL TESTS PASSED — ${provider.label} + gate bypass + form verification working.`;
   }
 
   return NextResponse.json(results, { status: results.error ? 500 : 200 });
@@ -0,0 +1,79 @@
+/**
+ * GET /api/docket?county=15&fileNumber=2022-4682/A[&refresh=1]
+ *
+ * The docket of one file — every document filed (petition, will, waivers,
+ * citations, decrees, letters, accountings...) with its filing date and
+ * type — plus the estate stage it shows, the parties and File History
+ * header details.
+ *
+ * Served from the last lookup saved by a run; refresh=1 (or a file never
+ * looked up) reads the File History page on the court site instead, which
+ * takes one gate bypass.
+ */
+import { NextResponse } from 'next/server';
+import { fetchFileHistory } from '@/lib/scraper/pipeline';
+import { getFiling } from '@/lib/db/filings';
+import { classifyEstateStage, parseEstateClosed } from '@/lib/scraper/docket';
+import { FILE_NUMBER_REGEX, normalizeFileNumber } from '@/lib/fileNumbers';
+import { logError } from '@/lib/errorLog';
+
+// Vercel serverless timeout (seconds) — a refresh needs one gate bypass
+export const maxDuration = 60;
+
+// Estate stage from the docket and the header's Estate Closed flag
+function stageOf(docket, metadata) {
+  return classifyEstateStage(docket, parseEstateClosed(metadata?.estateClosed));
+}
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const county = searchParams.get('county');
+    const fileNumber = normalizeFileNumber(searchParams.get('fileNumber'));
+    const refresh = searchParams.get('refresh') === '1';
+
+    if (!county || !fileNumber) {
+      return NextResponse.json({ error: 'Missing required parameters: county, fileNumber' }, { status: 400 });
+    }
+    if (!FILE_NUMBER_REGEX.test(fileNumber)) {
+      return NextResponse.json({ error: `Invalid file number: ${fileNumber}` }, { status: 400 });
+    }
+
+    const saved = getFiling(county, fileNumber);
+    if (!refresh && saved?.docket) {
+      return NextResponse.json({
+        county,
+        fileNumber,
+        fileDate: saved.fileDate,
+        fileName: saved.fileName,
+        parties: saved.parties,
+        metadata: saved.metadata,
+        docket: saved.docket,
+        ...stageOf(saved.docket, saved.metadata),
+        fetchedAt: saved.historyFetchedAt,
+        cached: true,
+      });
+    }
+
+    const history = await fetchFileHistory({ county, fileNumber });
+    if (!history) {
+      return NextResponse.json({ error: `File ${fileNumber} not found` }, { status: 404 });
+    }
+    const { parties, metadata, docket } = history;
+    return NextResponse.json({
+      county,
+      fileNumber,
+      fileDate: metadata.fileDate || saved?.fileDate || null,
+      fileName: saved?.fileName || null,
+      parties,
+      metadata,
+      docket,
+      ...stageOf(docket, metadata),
+      fetchedAt: new Date().toISOString(),
+      cached: false,
+    });
+  } catch (err) {
+    logError('api/docket', err.message, { stack: err.stack?.substring(0, 500) });
+    return NextResponse.json({ error: err.message }, { status: 500 });
+  }
+}
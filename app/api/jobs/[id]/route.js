@@ -0,0 +1,37 @@
+/**
+ * GET    /api/jobs/:id — Full job state (progress, results, logs) for reattaching.
+ * DELETE /api/jobs/:id — Cancel the job (running jobs stop after the current batch).
+ */
+import { NextResponse } from 'next/server';
+import { getJob } from '@/lib/jobs/jobStore';
+import { startJobWorker, cancelJob } from '@/lib/jobs/worker';
+import { isValidKey } from '@/lib/storage';
+
+export async function GET(request, { params }) {
+  const { id } = await params;
+  if (!isValidKey(id)) {
+    return NextResponse.json({ error: 'Invalid job ID' }, { status: 400 });
+  }
+
+  // Picks up jobs interrupted by a server restart
+  startJobWorker();
+
+  const job = await getJob(id);
+  if (!job) {
+    return NextResponse.json({ error: 'Job not found' }, { status: 404 });
+  }
+  return NextResponse.json({ job });
+}
+
+export async function DELETE(request, { params }) {
+  const { id } = await params;
+  if (!isValidKey(id)) {
+    return NextResponse.json({ error: 'Invalid job ID' }, { status: 400 });
+  }
+
+  const job = await cancelJob(id);
+  if (!job) {
+    return NextResponse.json({ error: 'Job not found' }, { status: 404 });
+  }
+  return NextResponse.json({ cancelled: true });
+}
@@ -0,0 +1,59 @@
+/**
+ * POST /api/jobs — Queue a scrape job (runs server-side; survives closing the tab):
+ *   { counties[], proceedings[], fromDate, toDate, minEstateValue?, newOnly? }
+ *   (a single county / proceeding is accepted too)
+ *   or, to skip the search, { county, proceeding, fileNumbers[], minEstateValue? }
+ * GET  /api/jobs — List jobs, newest first (without files/results/logs).
+ */
+import { NextResponse } from 'next/server';
+import { validateSearchParams, validateImportParams, resolveSearchRange, normalizeTargets } from '@/lib/scraper/pipeline';
+import { normalizeFileNumber } from '@/lib/fileNumbers';
+import { createJob, listJobs, summarizeJob } from '@/lib/jobs/jobStore';
+import { startJobWorker } from '@/lib/jobs/worker';
+import { logError } from '@/lib/errorLog';
+
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { minEstateValue = 100000 } = body;
+    const newOnly = !!body.newOnly;
+    const { counties, proceedings } = normalizeTargets(body);
+    if (typeof minEstateValue !== 'number' || minEstateValue < 0) {
+      return NextResponse.json({ error: 'minEstateValue must be a non-negative number' }, { status: 400 });
+    }
+
+    // Imported file numbers go straight to Phase 2
+    if (body.fileNumbers !== undefined) {
+      const fileNumbers = Array.isArray(body.fileNumbers) ? body.fileNumbers.map(normalizeFileNumber) : body.fileNumbers;
+      const importError = validateImportParams({ counties, proceedings, fileNumbers });
+      if (importError) {
+        return NextResponse.json({ error: importError }, { status: 400 });
+      }
+
+      const job = await createJob({ counties, proceedings, fileNumbers: [...new Set(fileNumbers)], minEstateValue });
+      startJobWorker();
+      return NextResponse.json({ success: true, job: summarizeJob(job) });
+    }
+
+    // Incremental runs pin their range now, so the job shows what it will search
+    const { fromDate, toDate } = resolveSearchRange({ counties, proceedings, fromDate: body.fromDate, toDate: body.toDate, newOnly });
+
+    const validationError = validateSearchParams({ counties, proceedings, fromDate, toDate, newOnly });
+    if (validationError) {
+      return NextResponse.json({ error: validationError }, { status: 400 });
+    }
+
+    const job = await createJob({ counties, proceedings, fromDate, toDate, minEstateValue, newOnly });
+    startJobWorker();
+
+    return NextResponse.json({ success: true, job: summarizeJob(job) });
+  } catch (err) {
+    logError('api/jobs', err.message, { stack: err.stack?.substring(0, 500) });
+    return NextResponse.json({ error: err.message }, { status: 500 });
+  }
+}
+
+export async function GET() {
+  startJobWorker();
+  return NextResponse.json({ jobs: await listJobs() });
+}
@@ -0,0 +1,72 @@
+/**
+ * POST /api/name-search
+ *
+ * Phase 1 by party name instead of date range:
+ *   { lastName, firstName?, decedentOnly?, counties[], runId? }
+ *
+ * Finds the files the person is a party to (decedentOnly: only the estate
+ * named after them) in each of up to MAX_NAME_SEARCH_COUNTIES counties, one
+ * after another: more would not finish within the serverless timeout.
+ * Returns filings in the same shape as /api/search, ready for
+ * /api/process-batch.
+ */
+import { NextResponse } from 'next/server';
+import { searchFilingsByName } from '@/lib/scraper/pipeline';
+import { logError } from '@/lib/errorLog';
+import { isValidKey } from '@/lib/storage';
+import { getCatalog } from '@/lib/db/catalog';
+import { MAX_NAME_SEARCH_COUNTIES } from '@/lib/config';
+
+// Vercel serverless timeout (seconds)
+export const maxDuration = 60;
+
+const NAME_REGEX = /^[A-Za-z][A-Za-z .'-]{0,49}$/;
+
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const lastName = String(body.lastName || '').trim();
+    const firstName = String(body.firstName || '').trim();
+    const { counties, runId } = body;
+
+    if (!lastName) {
+      return NextResponse.json({ error: 'Missing required field: lastName' }, { status: 400 });
+    }
+    if (!NAME_REGEX.test(lastName) || (firstName && !NAME_REGEX.test(firstName))) {
+      return NextResponse.json({ error: 'Names may only contain letters, spaces, periods, apostrophes and hyphens' }, { status: 400 });
+    }
+    if (!Array.isArray(counties) || counties.length === 0 || counties.some((c) => typeof c !== 'string')) {
+      return NextResponse.json({ error: 'counties must be a non-empty array of court values' }, { status: 400 });
+    }
+    if (counties.length > MAX_NAME_SEARCH_COUNTIES) {
+      return NextResponse.json({ error: `At most ${MAX_NAME_SEARCH_COUNTIES} counties per name search` }, { status: 400 });
+    }
+    const courts = new Set(getCatalog().courts.map((c) => c.value));
+    const unknown = counties.find((c) => !courts.has(c));
+    if (unknown !== undefined) {
+      return NextResponse.json({ error: `Unknown county: ${unknown}` }, { status: 400 });
+    }
+    if (runId !== undefined && !isValidKey(runId)) {
+      return NextResponse.json({ error: 'Invalid runId' }, { status: 400 });
+    }
+
+    const { files } = await searchFilingsByName({
+      lastName,
+      firstName,
+      decedentOnly: !!body.decedentOnly,
+      counties,
+      runId,
+    });
+
+    return NextResponse.json({
+      success: true,
+      files,
+      totalCount: files.length,
+    });
+  } catch (err) {
+    logError('api/name-search', err.message, {
+      stack: err.stack?.substring(0, 500),
+    });
+    return NextResponse.json({ error: err.message }, { status: 500 });
+  }
+}
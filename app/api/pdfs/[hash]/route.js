@@ -0,0 +1,33 @@
+/**
+ * GET /api/pdfs/:hash — An archived petition PDF, by the SHA-256 of its
+ * content (the pdfHash of an included result), so the original can be read
+ * without going through the court site's gate again.
+ */
+import { NextResponse } from 'next/server';
+import { isValidPdfHash, readArchivedPdf } from '@/lib/pdfArchive';
+import { logError } from '@/lib/errorLog';
+
+export async function GET(request, { params }) {
+  const { hash } = await params;
+
+  try {
+    if (!isValidPdfHash(hash)) {
+      return NextResponse.json({ error: 'Invalid PDF hash' }, { status: 400 });
+    }
+    const pdf = await readArchivedPdf(hash);
+    if (!pdf) {
+      return NextResponse.json({ error: 'PDF not found in the archive' }, { status: 404 });
+    }
+    return new NextResponse(pdf, {
+      headers: {
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="${hash}.pdf"`,
+        // Content-addressed: the same URL always serves the same bytes
+        'Cache-Control': 'private, max-age=31536000, immutable',
+      },
+    });
+  } catch (err) {
+    logError('api/pdfs', err.message, { hash, stack: err.stack?.substring(0, 500) });
+    return NextResponse.json({ error: err.message }, { status: 500 });
+  }
+}
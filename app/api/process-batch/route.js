@@ -3,149 +3,61 @@
  *
  * Phase 2: Process a batch of file numbers (typically 3 per call).
  * For each file: lookup, find PDF, download, parse, apply value filter.
+ * Files are looked up in their own court and parsed by their proceeding
+ * type (both set by /api/search); `county` / `proceeding` stand in for files
+ * that don't carry them.
  *
  * Batch of 3 files typically completes in ~45 seconds.
+ *
+ * Pass the same runId used for /api/search so batches can reuse the saved
+ * gate-bypass session instead of solving Cloudflare + hCaptcha every call.
+ *
+ * Files looked up within FILE_CACHE_TTL_HOURS (default 24) are settled from
+ * the cache without opening the court site when their petition is archived
+ * (re-parsed) or their docket lists none; batchStats.cacheHits /
+ * liveFetches say how many of each the batch had.
  */
 import { NextResponse } from 'next/server';
-import { connectBrowser, delay, withRetry } from '@/lib/scraper/browser';
-import { lookupFile, openProbatePetitionPDF } from '@/lib/scraper/fileHistory';
-import {
-  downloadAndParsePDF,
-  parseProbateText,
-  meetsValueThreshold,
-} from '@/lib/scraper/pdfParser';
+import { processFileBatch } from '@/lib/scraper/pipeline';
 import { logError } from '@/lib/errorLog';
+import { isValidKey } from '@/lib/storage';
 
 // Vercel serverless timeout (seconds)
 export const maxDuration = 60;
 
 export async function POST(request) {
-  let browser;
-
   try {
-    const { county, files, minEstateValue = 100000 } = await request.json();
+    const { county, files, proceeding, minEstateValue = 100000, runId } = await request.json();
 
-    if (!county || !files || !Array.isArray(files) || files.length === 0) {
+    if (!files || !Array.isArray(files) || files.length === 0 || (!county && files.some((f) => !f.court))) {
       return NextResponse.json(
-        { error: 'Missing required fields: county, files (array)' },
+        { error: 'Missing required fields: files (array), county (for files without a court)' },
         { status: 400 }
       );
     }
 
-    // Connect to Browserless.io
-    const connection = await connectBrowser();
-    browser = connection.browser;
-    const { page, context } = connection;
-
-    const results = [];
-    const batchStats = { included: 0, skipped: 0, errors: 0 };
-
-    for (const file of files) {
-      try {
-        // Look up the file
-        const { parties, pdfUrl, metadata } = await withRetry(
-          () => lookupFile(page, file.fileNumber, county),
-          `Lookup ${file.fileNumber}`
-        );
-
-        // Try to get the PDF URL
-        let pdfViewerUrl = pdfUrl;
-        if (!pdfViewerUrl) {
-          pdfViewerUrl = await openProbatePetitionPDF(page, context);
-        }
-
-        if (!pdfViewerUrl) {
-          results.push({
-            fileNumber: file.fileNumber,
-            fileDate: file.fileDate,
-            fileName: file.fileName,
-            status: 'error',
-            reason: 'No PDF available',
-          });
-          batchStats.errors++;
-          continue;
-        }
-
-        // Download and parse the PDF
-        const pdfText = await withRetry(
-          () => downloadAndParsePDF(page, context, pdfViewerUrl),
-          `PDF parse ${file.fileNumber}`
-        );
-
-        if (!pdfText || pdfText.trim().length === 0) {
-          results.push({
-            fileNumber: file.fileNumber,
-            fileDate: file.fileDate,
-            fileName: file.fileName,
-            status: 'skipped',
-            reason: 'PDF text extraction empty (possible scanned image)',
-          });
-          batchStats.skipped++;
-          continue;
-        }
-
-        // Parse the structured data
-        const parsed = parseProbateText(pdfText);
-
-        // Apply value filter
-        if (!meetsValueThreshold(parsed, minEstateValue)) {
-          const lower = parsed.estateValueLower?.toLocaleString() || '?';
-          const upper = parsed.estateValueUpper?.toLocaleString() || '?';
-          results.push({
-            fileNumber: file.fileNumber,
-            fileDate: file.fileDate,
-            fileName: file.fileName,
-            status: 'skipped',
-            reason: `Estate value $${lower}-$${upper} below $${minEstateValue.toLocaleString()} threshold`,
-          });
-          batchStats.skipped++;
-          continue;
-        }
-
-        // Include this result
-        results.push({
-          fileNumber: file.fileNumber,
-          fileDate: file.fileDate,
-          fileName: file.fileName,
-          status: 'included',
-          data: {
-            ...parsed,
-            attorney: metadata?.attorney || '',
-          },
-        });
-        batchStats.included++;
-      } catch (err) {
-        logError('api/process-batch', err.message, {
-          fileNumber: file.fileNumber,
-          stack: err.stack?.substring(0, 300),
-        });
-        results.push({
-          fileNumber: file.fileNumber,
-          fileDate: file.fileDate,
-          fileName: file.fileName,
-          status: 'error',
-          reason: err.message,
-        });
-        batchStats.errors++;
-      }
-
-      // Rate limiting between files
-      await delay();
+    if (runId !== undefined && !isValidKey(runId)) {
+      return NextResponse.json({ error: 'Invalid runId' }, { status: 400 });
     }
 
+    const { results, batchStats, sessionReused } = await processFileBatch({
+      county,
+      files,
+      proceeding,
+      minEstateValue,
+      runId,
+    });
+
     return NextResponse.json({
       success: true,
       results,
       batchStats,
+      sessionReused,
     });
   } catch (err) {
     logError('api/process-batch', err.message, {
       stack: err.stack?.substring(0, 500),
     });
     return NextResponse.json({ error: err.message }, { status: 500 });
-  } finally {
-    if (browser) {
-      try { await browser.close(); } catch { /* ignore */ }
-    }
   }
 }
@@ -0,0 +1,22 @@
+/**
+ * GET /api/runs/:id — A stored run and all of its results (same shape as
+ * /api/process-batch results), for viewing and re-exporting without scraping.
+ */
+import { NextResponse } from 'next/server';
+import { getRun, getRunResults } from '@/lib/db/runs';
+import { logError } from '@/lib/errorLog';
+
+export async function GET(request, { params }) {
+  const { id } = await params;
+
+  try {
+    const run = getRun(id);
+    if (!run) {
+      return NextResponse.json({ error: 'Run not found' }, { status: 404 });
+    }
+    return NextResponse.json({ run, results: getRunResults(id) });
+  } catch (err) {
+    logError('api/runs', err.message, { runId: id, stack: err.stack?.substring(0, 500) });
+    return NextResponse.json({ error: err.message }, { status: 500 });
+  }
+}
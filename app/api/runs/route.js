@@ -0,0 +1,15 @@
+/**
+ * GET /api/runs — List past scrape runs (newest first) with their counts.
+ */
+import { NextResponse } from 'next/server';
+import { listRuns } from '@/lib/db/runs';
+import { logError } from '@/lib/errorLog';
+
+export async function GET() {
+  try {
+    return NextResponse.json({ runs: listRuns() });
+  } catch (err) {
+    logError('api/runs', err.message, { stack: err.stack?.substring(0, 500) });
+    return NextResponse.json({ error: err.message }, { status: 500 });
+  }
+}
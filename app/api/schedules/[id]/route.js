@@ -0,0 +1,59 @@
+/**
+ * PATCH  /api/schedules/:id — Update fields (name, lookbackDays, minEstateValue,
+ *                             cron, newOnly, enabled). Changing cron or
+ *                             re-enabling recomputes the next run time.
+ * DELETE /api/schedules/:id — Delete the schedule (its past runs are kept).
+ */
+import { NextResponse } from 'next/server';
+import { getSchedule, updateSchedule, deleteSchedule } from '@/lib/db/schedules';
+import { nextCronTime } from '@/lib/scheduler/cron';
+import { validateScheduleFields } from '@/lib/scheduler/scheduler';
+import { logError } from '@/lib/errorLog';
+
+export async function PATCH(request, { params }) {
+  const { id } = await params;
+
+  try {
+    const schedule = getSchedule(id);
+    if (!schedule) {
+      return NextResponse.json({ error: 'Schedule not found' }, { status: 404 });
+    }
+
+    const body = await request.json();
+    const changes = {};
+    for (const key of ['name', 'lookbackDays', 'minEstateValue', 'cron', 'newOnly', 'enabled']) {
+      if (body[key] !== undefined) changes[key] = body[key];
+    }
+    const validationError = validateScheduleFields(changes);
+    if (validationError) {
+      return NextResponse.json({ error: validationError }, { status: 400 });
+    }
+
+    if (typeof changes.name === 'string') changes.name = changes.name.trim();
+    if (typeof changes.cron === 'string') changes.cron = changes.cron.trim();
+
+    // Don't fire immediately for runs missed while disabled
+    if (changes.cron || (changes.enabled && !schedule.enabled)) {
+      changes.nextRunAt = nextCronTime(changes.cron || schedule.cron).toISOString();
+    }
+
+    return NextResponse.json({ success: true, schedule: updateSchedule(id, changes) });
+  } catch (err) {
+    logError('api/schedules', err.message, { scheduleId: id, stack: err.stack?.substring(0, 500) });
+    return NextResponse.json({ error: err.message }, { status: 500 });
+  }
+}
+
+export async function DELETE(request, { params }) {
+  const { id } = await params;
+
+  try {
+    if (!deleteSchedule(id)) {
+      return NextResponse.json({ error: 'Schedule not found' }, { status: 404 });
+    }
+    return NextResponse.json({ deleted: true });
+  } catch (err) {
+    logError('api/schedules', err.message, { scheduleId: id, stack: err.stack?.substring(0, 500) });
+    return NextResponse.json({ error: err.message }, { status: 500 });
+  }
+}
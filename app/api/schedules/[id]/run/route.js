@@ -0,0 +1,27 @@
+/**
+ * POST /api/schedules/:id/run — Run a schedule now (its regular next run is unchanged).
+ */
+import { NextResponse } from 'next/server';
+import { getSchedule } from '@/lib/db/schedules';
+import { runSchedule } from '@/lib/scheduler/scheduler';
+import { logError } from '@/lib/errorLog';
+
+export async function POST(request, { params }) {
+  const { id } = await params;
+
+  try {
+    const schedule = getSchedule(id);
+    if (!schedule) {
+      return NextResponse.json({ error: 'Schedule not found' }, { status: 404 });
+    }
+
+    const job = await runSchedule(schedule, { manual: true });
+    if (!job) {
+      return NextResponse.json({ error: getSchedule(id).lastError }, { status: 500 });
+    }
+    return NextResponse.json({ success: true, jobId: job.id });
+  } catch (err) {
+    logError('api/schedules', err.message, { scheduleId: id, stack: err.stack?.substring(0, 500) });
+    return NextResponse.json({ error: err.message }, { status: 500 });
+  }
+}
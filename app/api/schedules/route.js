@@ -0,0 +1,63 @@
+/**
+ * GET  /api/schedules — List saved recurring scrapes with next run + last outcome.
+ * POST /api/schedules — Create one:
+ *   { name, county, proceeding, lookbackDays, minEstateValue, cron, newOnly? }
+ */
+import { NextResponse } from 'next/server';
+import { createSchedule, listSchedules } from '@/lib/db/schedules';
+import { nextCronTime } from '@/lib/scheduler/cron';
+import { startScheduler, validateScheduleFields } from '@/lib/scheduler/scheduler';
+import { logError } from '@/lib/errorLog';
+
+export async function GET() {
+  try {
+    startScheduler();
+    return NextResponse.json({ schedules: listSchedules() });
+  } catch (err) {
+    logError('api/schedules', err.message, { stack: err.stack?.substring(0, 500) });
+    return NextResponse.json({ error: err.message }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  try {
+    const { name, county, proceeding, lookbackDays, minEstateValue = 100000, cron, newOnly = false } =
+      await request.json();
+
+    if (!name || !county || !proceeding || lookbackDays === undefined || !cron) {
+      return NextResponse.json(
+        { error: 'Missing required fields: name, county, proceeding, lookbackDays, cron' },
+        { status: 400 }
+      );
+    }
+    const validationError = validateScheduleFields({
+      name,
+      court: county,
+      proceeding,
+      lookbackDays,
+      minEstateValue,
+      cron,
+      newOnly,
+    });
+    if (validationError) {
+      return NextResponse.json({ error: validationError }, { status: 400 });
+    }
+
+    const schedule = createSchedule({
+      name: name.trim(),
+      court: county,
+      proceeding,
+      lookbackDays,
+      minEstateValue,
+      newOnly,
+      cron: cron.trim(),
+      nextRunAt: nextCronTime(cron).toISOString(),
+    });
+    startScheduler();
+
+    return NextResponse.json({ success: true, schedule });
+  } catch (err) {
+    logError('api/schedules', err.message, { stack: err.stack?.substring(0, 500) });
+    return NextResponse.json({ error: err.message }, { status: 500 });
+  }
+}
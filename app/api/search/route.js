@@ -1,83 +1,76 @@
 /**
  * POST /api/search
  *
- * Phase 1: Search for all matching probate filings in a date range.
- * Returns the list of file numbers to be processed in batches.
+ * Phase 1: Search for all matching filings in a date range, across every
+ * combination of `counties` × `proceedings` (or a single `county` /
+ * `proceeding`). Returns the filings to be processed in batches, each
+ * tagged with its court and proceeding.
+ *
+ * With newOnly: true, fromDate/toDate default to "since the last processed
+ * filing" / today, and filings earlier runs already processed are left out
+ * (counted in knownCount). Only scrape jobs move that watermark forward, as
+ * they process their filings; a search on its own never does.
+ *
+ * Months with many results are searched week by week or day by day. Pass a
+ * runId: if a long search times out, calling again with the same runId and
+ * parameters resumes after the last finished chunk. Chunks that end more
+ * than LATE_DOCKETING_DAYS (14) ago and were searched within
+ * FILE_CACHE_TTL_HOURS (default 24) come from the cache (cachedChunks); when
+ * all of them do, the court site isn't opened.
  *
  * Typically completes in 5-30 seconds (well within Vercel timeout).
  */
 import { NextResponse } from 'next/server';
-import { connectBrowser, delay, withRetry } from '@/lib/scraper/browser';
-import { splitDateRange } from '@/lib/scraper/dateUtils';
-import { searchAndCollectFiles } from '@/lib/scraper/search';
+import { searchFilings, validateSearchParams, resolveSearchRange, normalizeTargets } from '@/lib/scraper/pipeline';
 import { logError } from '@/lib/errorLog';
+import { isValidKey } from '@/lib/storage';
 
 // Vercel serverless timeout (seconds)
 export const maxDuration = 60;
 
 export async function POST(request) {
-  let browser;
-
   try {
-    const { county, proceeding, fromDate, toDate } = await request.json();
+    const body = await request.json();
+    const { runId } = body;
+    const newOnly = !!body.newOnly;
+    const { counties, proceedings } = normalizeTargets(body);
+    const { fromDate, toDate } = resolveSearchRange({ counties, proceedings, fromDate: body.fromDate, toDate: body.toDate, newOnly });
 
     // Validate
-    if (!county || !proceeding || !fromDate || !toDate) {
-      return NextResponse.json(
-        { error: 'Missing required fields: county, proceeding, fromDate, toDate' },
-        { status: 400 }
-      );
-    }
-
-    const dateRegex = /^\d{2}\/\d{2}\/\d{4}$/;
-    if (!dateRegex.test(fromDate) || !dateRegex.test(toDate)) {
-      return NextResponse.json(
-        { error: 'Dates must be in MM/DD/YYYY format' },
-        { status: 400 }
-      );
+    const validationError = validateSearchParams({ counties, proceedings, fromDate, toDate, newOnly });
+    if (validationError) {
+      return NextResponse.json({ error: validationError }, { status: 400 });
     }
 
-    // Split date range into month chunks
-    const dateChunks = splitDateRange(fromDate, toDate);
-
-    // Connect to Browserless.io
-    const connection = await connectBrowser();
-    browser = connection.browser;
-    const { page } = connection;
-
-    // Search each month chunk and collect all file numbers
-    const allFiles = [];
-    for (const chunk of dateChunks) {
-      const files = await withRetry(
-        () => searchAndCollectFiles(page, chunk.from, chunk.to, county, proceeding),
-        `Search ${chunk.from}-${chunk.to}`
-      );
-      allFiles.push(...files);
-      await delay(500);
+    if (runId !== undefined && !isValidKey(runId)) {
+      return NextResponse.json({ error: 'Invalid runId' }, { status: 400 });
     }
 
-    // Deduplicate by file number
-    const seen = new Set();
-    const uniqueFiles = allFiles.filter((f) => {
-      if (seen.has(f.fileNumber)) return false;
-      seen.add(f.fileNumber);
-      return true;
+    const { files, dateChunks, knownCount, searchedChunks, resumedChunks, cachedChunks } = await searchFilings({
+      counties,
+      proceedings,
+      fromDate,
+      toDate,
+      newOnly,
+      runId,
     });
 
     return NextResponse.json({
       success: true,
-      files: uniqueFiles,
-      totalCount: uniqueFiles.length,
+      files,
+      totalCount: files.length,
+      knownCount,
+      fromDate,
+      toDate,
       dateChunks,
+      searchedChunks,
+      resumedChunks,
+      cachedChunks,
     });
   } catch (err) {
     logError('api/search', err.message, {
       stack: err.stack?.substring(0, 500),
     });
     return NextResponse.json({ error: err.message }, { status: 500 });
-  } finally {
-    if (browser) {
-      try { await browser.close(); } catch { /* ignore */ }
-    }
   }
 }
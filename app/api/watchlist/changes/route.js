@@ -0,0 +1,40 @@
+/**
+ * GET  /api/watchlist/changes[?unseen=1][&limit=200] — Changes found on
+ *      watched files, newest first, plus how many are unseen.
+ * POST /api/watchlist/changes — Mark changes as seen: { throughId? }
+ *      (every change up to that ID; all of them if omitted).
+ */
+import { NextResponse } from 'next/server';
+import { listWatchChanges, countUnseenChanges, markChangesSeen } from '@/lib/db/watchlist';
+import { logError } from '@/lib/errorLog';
+
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const limit = Number(searchParams.get('limit') || 200);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      return NextResponse.json({ error: 'limit must be a whole number from 1 to 1000' }, { status: 400 });
+    }
+
+    return NextResponse.json({
+      changes: listWatchChanges({ unseenOnly: searchParams.get('unseen') === '1', limit }),
+      unseen: countUnseenChanges(),
+    });
+  } catch (err) {
+    logError('api/watchlist/changes', err.message, { stack: err.stack?.substring(0, 500) });
+    return NextResponse.json({ error: err.message }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  try {
+    const { throughId = null } = await request.json().catch(() => ({}));
+    if (throughId !== null && !Number.isInteger(throughId)) {
+      return NextResponse.json({ error: 'throughId must be a change ID' }, { status: 400 });
+    }
+    return NextResponse.json({ success: true, marked: markChangesSeen(throughId) });
+  } catch (err) {
+    logError('api/watchlist/changes', err.message, { stack: err.stack?.substring(0, 500) });
+    return NextResponse.json({ error: err.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,16 @@
+/**
+ * POST /api/watchlist/check — Check every watched file on the court site now,
+ * in the background. Poll GET /api/watchlist for `checking` to see when it
+ * finishes.
+ */
+import { NextResponse } from 'next/server';
+import { checkWatchlist, isChecking } from '@/lib/watchlist/watcher';
+
+export async function POST() {
+  if (isChecking()) {
+    return NextResponse.json({ error: 'A watchlist check is already running' }, { status: 409 });
+  }
+  // Errors are logged by the watcher
+  checkWatchlist({ force: true }).catch(() => {});
+  return NextResponse.json({ success: true, started: true });
+}
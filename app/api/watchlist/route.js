@@ -0,0 +1,72 @@
+/**
+ * GET    /api/watchlist — Watched files with their last check and unseen change counts.
+ * POST   /api/watchlist — Watch a file: { county, fileNumber, label? }
+ * DELETE /api/watchlist?county=15&fileNumber=2022-4682/A — Stop watching it.
+ *
+ * Watched files are re-checked on the court site daily (see lib/watchlist/watcher.js).
+ */
+import { NextResponse } from 'next/server';
+import { addWatch, listWatches, removeWatch, countUnseenChanges } from '@/lib/db/watchlist';
+import { startWatcher, isChecking } from '@/lib/watchlist/watcher';
+import { getCatalog } from '@/lib/db/catalog';
+import { FILE_NUMBER_REGEX, normalizeFileNumber } from '@/lib/fileNumbers';
+import { logError } from '@/lib/errorLog';
+
+export async function GET() {
+  try {
+    startWatcher();
+    return NextResponse.json({
+      watches: listWatches(),
+      unseenChanges: countUnseenChanges(),
+      checking: isChecking(),
+    });
+  } catch (err) {
+    logError('api/watchlist', err.message, { stack: err.stack?.substring(0, 500) });
+    return NextResponse.json({ error: err.message }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { county, label } = body;
+    const fileNumber = normalizeFileNumber(body.fileNumber);
+    if (!county || !fileNumber) {
+      return NextResponse.json({ error: 'Missing required fields: county, fileNumber' }, { status: 400 });
+    }
+    if (!getCatalog().courts.some((c) => c.value === county)) {
+      return NextResponse.json({ error: `Unknown county: ${county}` }, { status: 400 });
+    }
+    if (!FILE_NUMBER_REGEX.test(fileNumber)) {
+      return NextResponse.json({ error: `Invalid file number: ${fileNumber}` }, { status: 400 });
+    }
+    if (label !== undefined && label !== null && typeof label !== 'string') {
+      return NextResponse.json({ error: 'label must be a string' }, { status: 400 });
+    }
+
+    const watch = addWatch({ court: county, fileNumber, label: label?.trim() || null });
+    startWatcher();
+    return NextResponse.json({ success: true, watch });
+  } catch (err) {
+    logError('api/watchlist', err.message, { stack: err.stack?.substring(0, 500) });
+    return NextResponse.json({ error: err.message }, { status: 500 });
+  }
+}
+
+export async function DELETE(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const county = searchParams.get('county');
+    const fileNumber = normalizeFileNumber(searchParams.get('fileNumber'));
+    if (!county || !fileNumber) {
+      return NextResponse.json({ error: 'Missing required parameters: county, fileNumber' }, { status: 400 });
+    }
+    if (!removeWatch(county, fileNumber)) {
+      return NextResponse.json({ error: 'Not on the watchlist' }, { status: 404 });
+    }
+    return NextResponse.json({ success: true });
+  } catch (err) {
+    logError('api/watchlist', err.message, { stack: err.stack?.substring(0, 500) });
+    return NextResponse.json({ error: err.message }, { status: 500 });
+  }
+}
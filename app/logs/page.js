@@ -81,7 +81,7 @@ export default function LogsPage() {
         <div className="rounded-lg border border-gray-200 bg-white p-6 shadow-sm">
           <h2 className="text-lg font-semibold text-gray-800 mb-3">Connection Debug Test</h2>
           <p className="text-sm text-gray-600 mb-4">
-            Tests the full connection chain: API key &rarr; playwright-core &rarr; Browserless.io &rarr; court website.
+            Tests the full connection chain: browser provider config &rarr; playwright-core &rarr; Browserless.io / local Chromium / CDP &rarr; court website.
           </p>
           <button
             onClick={handleRunDebug}
@@ -93,6 +93,13 @@ export default function LogsPage() {
 
           {debugResult && (
             <div className="mt-4 space-y-3">
+              {/* Provider */}
+              {debugResult.provider && (
+                <div className="text-sm text-gray-700">
+                  Browser provider: <span className="font-mono font-medium">{debugResult.provider}</span>
+                </div>
+              )}
+
               {/* Environment */}
               {debugResult.env && (
                 <div className="rounded-md bg-gray-50 p-3 text-sm">
@@ -14,12 +14,32 @@ export default function HomePage() {
             executor information, and filter by estate value.
           </p>
         </div>
-        <a
-          href="/logs"
-          className="rounded-md bg-gray-100 px-3 py-1.5 text-sm font-medium text-gray-700 hover:bg-gray-200 transition-colors"
-        >
-          Diagnostics &amp; Logs
-        </a>
+        <div className="flex gap-2">
+          <a
+            href="/schedules"
+            className="rounded-md bg-gray-100 px-3 py-1.5 text-sm font-medium text-gray-700 hover:bg-gray-200 transition-colors"
+          >
+            Schedules
+          </a>
+          <a
+            href="/watchlist"
+            className="rounded-md bg-gray-100 px-3 py-1.5 text-sm font-medium text-gray-700 hover:bg-gray-200 transition-colors"
+          >
+            Watchlist
+          </a>
+          <a
+            href="/runs"
+            className="rounded-md bg-gray-100 px-3 py-1.5 text-sm font-medium text-gray-700 hover:bg-gray-200 transition-colors"
+          >
+            Run History
+          </a>
+          <a
+            href="/logs"
+            className="rounded-md bg-gray-100 px-3 py-1.5 text-sm font-medium text-gray-700 hover:bg-gray-200 transition-colors"
+          >
+            Diagnostics &amp; Logs
+          </a>
+        </div>
       </div>
 
       {/* Main Form + Results */}
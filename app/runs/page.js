@@ -0,0 +1,219 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import useCatalog from '@/components/useCatalog';
+import ResultsTable from '@/components/ResultsTable';
+import DownloadCSVButton from '@/components/DownloadCSVButton';
+
+const ACTIVE_STATUSES = ['running', 'searching', 'processing'];
+
+function formatDuration(run) {
+  if (!run.startedAt || !run.finishedAt) return '-';
+  const secs = Math.round((new Date(run.finishedAt) - new Date(run.startedAt)) / 1000);
+  if (secs < 60) return `${secs}s`;
+  const mins = Math.floor(secs / 60);
+  if (mins < 60) return `${mins}m ${secs % 60}s`;
+  return `${Math.floor(mins / 60)}h ${mins % 60}m`;
+}
+
+// Imported file number runs have no date range
+function runRange(run) {
+  return run.fromDate ? `${run.fromDate} - ${run.toDate}` : 'Imported file numbers';
+}
+
+function statusClass(status) {
+  if (status === 'complete') return 'bg-green-100 text-green-800';
+  if (status === 'error' || status === 'cancelled') return 'bg-red-100 text-red-800';
+  return 'bg-blue-100 text-blue-800';
+}
+
+/**
+ * /runs — Run history.
+ *
+ * Lists stored scrape runs; opening one shows its results in the same
+ * ResultsTable and re-exports the CSV from the database (no re-scrape).
+ */
+export default function RunsPage() {
+  const { courtLabel, proceedingLabel } = useCatalog();
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [errorMsg, setErrorMsg] = useState('');
+  const [selected, setSelected] = useState(null); // { run, results }
+  const [selectedLoading, setSelectedLoading] = useState(false);
+
+  const fetchRuns = useCallback(async () => {
+    try {
+      const res = await fetch('/api/runs');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setRuns(data.runs || []);
+      setErrorMsg('');
+    } catch (err) {
+      setErrorMsg(`Failed to load runs: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const openRun = useCallback(async (id) => {
+    setSelectedLoading(true);
+    try {
+      const res = await fetch(`/api/runs/${id}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setSelected(data);
+
+      const url = new URL(window.location.href);
+      url.searchParams.set('id', id);
+      window.history.replaceState(null, '', url);
+    } catch (err) {
+      setErrorMsg(`Failed to load run: ${err.message}`);
+    } finally {
+      setSelectedLoading(false);
+    }
+  }, []);
+
+  // Initial load (+ open the run named in ?id=)
+  useEffect(() => {
+    fetchRuns();
+    const id = new URLSearchParams(window.location.search).get('id');
+    if (id) openRun(id);
+  }, [fetchRuns, openRun]);
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6">
+      <div className="mx-auto max-w-7xl space-y-6">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <h1 className="text-2xl font-bold text-gray-900">Run History</h1>
+          <a href="/" className="text-sm text-blue-600 hover:underline">&larr; Back to Scraper</a>
+        </div>
+
+        {errorMsg && (
+          <div className="rounded-md bg-red-50 border border-red-200 p-3 text-sm text-red-700">
+            {errorMsg}
+          </div>
+        )}
+
+        {/* Runs list */}
+        <div className="rounded-lg border border-gray-200 bg-white p-6 shadow-sm">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-800">
+              Past Scrapes <span className="text-sm font-normal text-gray-500">({runs.length})</span>
+            </h2>
+            <button
+              onClick={fetchRuns}
+              className="rounded-md bg-gray-100 px-3 py-1.5 text-sm font-medium text-gray-700 hover:bg-gray-200 transition-colors"
+            >
+              Refresh
+            </button>
+          </div>
+
+          {loading ? (
+            <p className="text-sm text-gray-500">Loading...</p>
+          ) : runs.length === 0 ? (
+            <p className="text-sm text-gray-500 italic">No runs stored yet. Run a scrape to see it here.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr className="text-left font-semibold text-gray-700">
+                    <th className="px-3 py-2">Started</th>
+                    <th className="px-3 py-2">County</th>
+                    <th className="px-3 py-2">List Type</th>
+                    <th className="px-3 py-2">Date Range</th>
+                    <th className="px-3 py-2">Min Value</th>
+                    <th className="px-3 py-2">Included</th>
+                    <th className="px-3 py-2">Skipped</th>
+                    <th className="px-3 py-2">Errors</th>
+                    <th className="px-3 py-2">Duration</th>
+                    <th className="px-3 py-2">Status</th>
+                    <th className="px-3 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {runs.map((run) => (
+                    <tr
+                      key={run.id}
+                      className={selected?.run.id === run.id ? 'bg-blue-50' : 'hover:bg-gray-50'}
+                    >
+                      <td className="px-3 py-2 text-xs text-gray-600">
+                        {new Date(run.startedAt || run.createdAt).toLocaleString()}
+                      </td>
+                      <td className="px-3 py-2">{run.courts.map(courtLabel).join(', ')}</td>
+                      <td className="px-3 py-2">{run.proceedings.map(proceedingLabel).join(', ')}</td>
+                      <td className="px-3 py-2 font-mono text-xs">
+                        {runRange(run)}
+                        {run.newOnly && (
+                          <span className="ml-1 font-sans text-gray-500" title={`${run.stats.known} already-known filings skipped`}>
+                            (new only)
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 font-mono text-xs">
+                        {run.minEstateValue != null ? `$${run.minEstateValue.toLocaleString()}` : '-'}
+                      </td>
+                      <td className="px-3 py-2 text-green-700 font-bold">{run.stats.included}</td>
+                      <td className="px-3 py-2 text-yellow-700 font-bold">{run.stats.skipped}</td>
+                      <td className="px-3 py-2 text-red-700 font-bold">{run.stats.errors}</td>
+                      <td className="px-3 py-2 text-xs">{formatDuration(run)}</td>
+                      <td className="px-3 py-2">
+                        <span className={`rounded px-2 py-0.5 text-xs font-medium ${statusClass(run.status)}`}>
+                          {run.status}
+                        </span>
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap">
+                        <button
+                          onClick={() => openRun(run.id)}
+                          className="text-blue-600 hover:underline"
+                        >
+                          Open
+                        </button>
+                        {ACTIVE_STATUSES.includes(run.status) && (
+                          <a href={`/?job=${run.id}`} className="ml-3 text-blue-600 hover:underline">
+                            Progress
+                          </a>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Selected run */}
+        {selectedLoading && <p className="text-sm text-gray-500">Loading run...</p>}
+        {selected && !selectedLoading && (
+          <div className="rounded-lg border border-gray-200 bg-white p-6 shadow-sm">
+            <h2 className="text-lg font-semibold text-gray-800">
+              {selected.run.courts.map(courtLabel).join(', ')} {selected.run.proceedings.map(proceedingLabel).join(', ')},{' '}
+              {runRange(selected.run)}
+            </h2>
+            <p className="mt-1 text-sm text-gray-600">
+              {selected.results.length} filings processed &middot; {selected.run.stats.included} included
+              {selected.run.error && <span className="text-red-700"> &middot; {selected.run.error}</span>}
+            </p>
+
+            {selected.results.some((r) => r.status === 'included') ? (
+              <>
+                <ResultsTable results={selected.results} />
+                <DownloadCSVButton
+                  results={selected.results}
+                  filename={
+                    selected.run.fromDate
+                      ? `probate_results_${selected.run.fromDate.replace(/\//g, '-')}_${selected.run.toDate.replace(/\//g, '-')}.csv`
+                      : `probate_results_import_${selected.run.id.slice(0, 8)}.csv`
+                  }
+                />
+              </>
+            ) : (
+              <p className="mt-4 text-sm text-gray-500 italic">This run has no included estates.</p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
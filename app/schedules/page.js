@@ -0,0 +1,296 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import useCatalog from '@/components/useCatalog';
+
+const inputClass =
+  'w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-blue-500 focus:ring-1 focus:ring-blue-500';
+
+function statusClass(status) {
+  if (status === 'complete') return 'bg-green-100 text-green-800';
+  if (status === 'error' || status === 'cancelled') return 'bg-red-100 text-red-800';
+  return 'bg-blue-100 text-blue-800';
+}
+
+/**
+ * /schedules — Saved recurring scrapes.
+ *
+ * Each schedule queues a server-side job on its cron schedule (server time
+ * zone) for the previous N days; results are stored as runs.
+ */
+export default function SchedulesPage() {
+  const { courts, proceedings, courtLabel, proceedingLabel } = useCatalog();
+  const [schedules, setSchedules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [errorMsg, setErrorMsg] = useState('');
+
+  // New schedule form
+  const [name, setName] = useState('');
+  const [county, setCounty] = useState(courts[0]?.value || '');
+  const [listType, setListType] = useState(proceedings[0]?.value || '');
+  const [lookbackDays, setLookbackDays] = useState(7);
+  const [minEstateValue, setMinEstateValue] = useState(150000);
+  const [cron, setCron] = useState('0 6 * * 1');
+  const [newOnly, setNewOnly] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const fetchSchedules = useCallback(async () => {
+    try {
+      const res = await fetch('/api/schedules');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setSchedules(data.schedules || []);
+    } catch (err) {
+      setErrorMsg(`Failed to load schedules: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSchedules();
+  }, [fetchSchedules]);
+
+  // Keep the selections valid once the catalog loads
+  useEffect(() => {
+    if (!courts.some((c) => c.value === county)) setCounty(courts[0]?.value || '');
+    if (!proceedings.some((p) => p.value === listType && p.supported)) {
+      setListType(proceedings.find((p) => p.supported)?.value || '');
+    }
+  }, [courts, proceedings, county, listType]);
+
+  async function request(url, options, failureLabel) {
+    try {
+      const res = await fetch(url, options);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setErrorMsg('');
+      return data;
+    } catch (err) {
+      setErrorMsg(`${failureLabel}: ${err.message}`);
+      return null;
+    } finally {
+      fetchSchedules();
+    }
+  }
+
+  async function handleCreate(e) {
+    e.preventDefault();
+    setSaving(true);
+    const data = await request(
+      '/api/schedules',
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, county, proceeding: listType, lookbackDays, minEstateValue, cron, newOnly }),
+      },
+      'Could not create schedule'
+    );
+    if (data) setName('');
+    setSaving(false);
+  }
+
+  function handleToggle(schedule) {
+    request(
+      `/api/schedules/${schedule.id}`,
+      {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled: !schedule.enabled }),
+      },
+      'Could not update schedule'
+    );
+  }
+
+  function handleRunNow(schedule) {
+    request(`/api/schedules/${schedule.id}/run`, { method: 'POST' }, 'Could not start schedule');
+  }
+
+  function handleDelete(schedule) {
+    if (!window.confirm(`Delete schedule "${schedule.name}"? Its past runs are kept.`)) return;
+    request(`/api/schedules/${schedule.id}`, { method: 'DELETE' }, 'Could not delete schedule');
+  }
+
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6">
+      <div className="mx-auto max-w-7xl space-y-6">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <h1 className="text-2xl font-bold text-gray-900">Scheduled Scrapes</h1>
+          <a href="/" className="text-sm text-blue-600 hover:underline">&larr; Back to Scraper</a>
+        </div>
+
+        {errorMsg && (
+          <div className="rounded-md bg-red-50 border border-red-200 p-3 text-sm text-red-700">
+            {errorMsg}
+          </div>
+        )}
+
+        {/* New schedule */}
+        <form onSubmit={handleCreate} className="rounded-lg border border-gray-200 bg-white p-6 shadow-sm">
+          <h2 className="text-lg font-semibold text-gray-800 mb-4">New Schedule</h2>
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
+            <div className="lg:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Erie probate, weekly"
+                required
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">County</label>
+              <select value={county} onChange={(e) => setCounty(e.target.value)} className={inputClass}>
+                {courts.map((c) => (
+                  <option key={c.value} value={c.value}>{c.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">List Type</label>
+              <select value={listType} onChange={(e) => setListType(e.target.value)} className={inputClass}>
+                {proceedings.map((p) => (
+                  <option key={p.value} value={p.value} disabled={!p.supported}>
+                    {p.label}{p.supported ? '' : ' (not supported yet)'}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Previous N Days</label>
+              <input
+                type="number"
+                value={lookbackDays}
+                onChange={(e) => setLookbackDays(Number(e.target.value))}
+                min={1}
+                max={366}
+                required
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Min Estate Value ($)</label>
+              <input
+                type="number"
+                value={minEstateValue}
+                onChange={(e) => setMinEstateValue(Number(e.target.value))}
+                min={0}
+                step={10000}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Cron (server time)</label>
+              <input
+                value={cron}
+                onChange={(e) => setCron(e.target.value)}
+                required
+                className={`${inputClass} font-mono`}
+              />
+              <p className="mt-1 text-xs text-gray-500">min hour day month weekday — &quot;0 6 * * 1&quot; = Mondays 6am</p>
+            </div>
+            <div className="flex items-end gap-3">
+              <button
+                type="submit"
+                disabled={saving}
+                className="rounded-lg bg-blue-600 px-6 py-2 text-sm font-semibold text-white shadow-sm hover:bg-blue-700 disabled:bg-blue-400 transition-colors"
+              >
+                {saving ? 'Saving...' : 'Add Schedule'}
+              </button>
+            </div>
+          </div>
+          <label className="mt-4 flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={newOnly}
+              onChange={(e) => setNewOnly(e.target.checked)}
+              className="rounded"
+            />
+            New filings only — skip filings already processed by earlier runs
+          </label>
+        </form>
+
+        {/* Schedule list */}
+        <div className="rounded-lg border border-gray-200 bg-white p-6 shadow-sm">
+          <h2 className="text-lg font-semibold text-gray-800 mb-4">
+            Schedules <span className="text-sm font-normal text-gray-500">({schedules.length})</span>
+          </h2>
+
+          {loading ? (
+            <p className="text-sm text-gray-500">Loading...</p>
+          ) : schedules.length === 0 ? (
+            <p className="text-sm text-gray-500 italic">No schedules yet.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr className="text-left font-semibold text-gray-700">
+                    <th className="px-3 py-2">Name</th>
+                    <th className="px-3 py-2">Search</th>
+                    <th className="px-3 py-2">Cron</th>
+                    <th className="px-3 py-2">Next Run</th>
+                    <th className="px-3 py-2">Last Outcome</th>
+                    <th className="px-3 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {schedules.map((s) => (
+                    <tr key={s.id} className={s.enabled ? 'hover:bg-gray-50' : 'text-gray-400'}>
+                      <td className="px-3 py-2 font-medium">{s.name}</td>
+                      <td className="px-3 py-2 text-xs">
+                        {courtLabel(s.court)} {proceedingLabel(s.proceeding)}, previous {s.lookbackDays} days,
+                        min ${s.minEstateValue.toLocaleString()}
+                        {s.newOnly && ', new only'}
+                      </td>
+                      <td className="px-3 py-2 font-mono text-xs">{s.cron}</td>
+                      <td className="px-3 py-2 text-xs">
+                        {s.enabled ? (s.nextRunAt ? new Date(s.nextRunAt).toLocaleString() : '-') : 'Disabled'}
+                      </td>
+                      <td className="px-3 py-2 text-xs">
+                        {s.lastRunAt ? (
+                          <div>
+                            <span className={`rounded px-2 py-0.5 font-medium ${statusClass(s.lastStatus)}`}>
+                              {s.lastStatus}
+                            </span>{' '}
+                            {s.lastRunId ? (
+                              <a href={`/runs?id=${s.lastRunId}`} className="text-blue-600 hover:underline">
+                                {new Date(s.lastRunAt).toLocaleString()}
+                              </a>
+                            ) : (
+                              new Date(s.lastRunAt).toLocaleString()
+                            )}
+                            {s.lastError && <p className="mt-1 text-red-700">{s.lastError}</p>}
+                          </div>
+                        ) : (
+                          'Never run'
+                        )}
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap text-xs">
+                        <button onClick={() => handleRunNow(s)} className="text-blue-600 hover:underline">
+                          Run now
+                        </button>
+                        <button onClick={() => handleToggle(s)} className="ml-3 text-blue-600 hover:underline">
+                          {s.enabled ? 'Disable' : 'Enable'}
+                        </button>
+                        <button onClick={() => handleDelete(s)} className="ml-3 text-red-600 hover:underline">
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <p className="text-xs text-gray-400 text-center">
+          Schedules run inside the server process — they need a long-running server (not serverless). Failures appear in Diagnostics &amp; Logs.
+        </p>
+      </div>
+    </div>
+  );
+}
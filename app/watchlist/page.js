@@ -0,0 +1,280 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import useCatalog from '@/components/useCatalog';
+
+const inputClass =
+  'w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-blue-500 focus:ring-1 focus:ring-blue-500';
+
+const CHECK_POLL_MS = 5000;
+
+/**
+ * /watchlist — Watched files and the changes feed.
+ *
+ * Watched files are re-checked on the court site daily; every new document,
+ * party change, closing or attorney / judge change shows up in the feed.
+ * Changes stay highlighted until someone marks them as seen.
+ */
+export default function WatchlistPage() {
+  const { courts, courtLabel } = useCatalog();
+  const [watches, setWatches] = useState([]);
+  const [changes, setChanges] = useState([]);
+  const [unseen, setUnseen] = useState(0);
+  const [checking, setChecking] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [errorMsg, setErrorMsg] = useState('');
+
+  // Add form
+  const [county, setCounty] = useState(courts[0]?.value || '');
+  const [fileNumber, setFileNumber] = useState('');
+  const [label, setLabel] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchAll = useCallback(async () => {
+    try {
+      const [watchRes, changeRes] = await Promise.all([fetch('/api/watchlist'), fetch('/api/watchlist/changes')]);
+      const watchData = await watchRes.json();
+      const changeData = await changeRes.json();
+      if (!watchRes.ok) throw new Error(watchData.error || `HTTP ${watchRes.status}`);
+      if (!changeRes.ok) throw new Error(changeData.error || `HTTP ${changeRes.status}`);
+      setWatches(watchData.watches || []);
+      setChecking(!!watchData.checking);
+      setChanges(changeData.changes || []);
+      setUnseen(changeData.unseen || 0);
+    } catch (err) {
+      setErrorMsg(`Failed to load the watchlist: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAll();
+  }, [fetchAll]);
+
+  // Follow a running check until it finishes
+  useEffect(() => {
+    if (!checking) return;
+    const timer = setTimeout(fetchAll, CHECK_POLL_MS);
+    return () => clearTimeout(timer);
+  }, [checking, fetchAll]);
+
+  useEffect(() => {
+    if (!courts.some((c) => c.value === county)) setCounty(courts[0]?.value || '');
+  }, [courts, county]);
+
+  async function request(url, options, failureLabel) {
+    try {
+      const res = await fetch(url, options);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setErrorMsg('');
+      return data;
+    } catch (err) {
+      setErrorMsg(`${failureLabel}: ${err.message}`);
+      return null;
+    } finally {
+      fetchAll();
+    }
+  }
+
+  async function handleAdd(e) {
+    e.preventDefault();
+    setSaving(true);
+    const data = await request(
+      '/api/watchlist',
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ county, fileNumber, label: label || undefined }),
+      },
+      'Could not watch file'
+    );
+    if (data) {
+      setFileNumber('');
+      setLabel('');
+    }
+    setSaving(false);
+  }
+
+  function handleRemove(watch) {
+    if (!window.confirm(`Stop watching ${watch.fileNumber}? Its recorded changes are kept.`)) return;
+    const query = new URLSearchParams({ county: watch.court, fileNumber: watch.fileNumber });
+    request(`/api/watchlist?${query}`, { method: 'DELETE' }, 'Could not remove file');
+  }
+
+  function handleCheckNow() {
+    setChecking(true);
+    request('/api/watchlist/check', { method: 'POST' }, 'Could not start check');
+  }
+
+  function handleMarkSeen() {
+    request(
+      '/api/watchlist/changes',
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ throughId: changes[0]?.id ?? null }),
+      },
+      'Could not mark changes as seen'
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6">
+      <div className="mx-auto max-w-7xl space-y-6">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <h1 className="text-2xl font-bold text-gray-900">Watchlist</h1>
+          <a href="/" className="text-sm text-blue-600 hover:underline">&larr; Back to Scraper</a>
+        </div>
+
+        {errorMsg && (
+          <div className="rounded-md bg-red-50 border border-red-200 p-3 text-sm text-red-700">
+            {errorMsg}
+          </div>
+        )}
+
+        {/* Changes feed */}
+        <div className="rounded-lg border border-gray-200 bg-white p-6 shadow-sm">
+          <div className="mb-4 flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-800">
+              Changes <span className="text-sm font-normal text-gray-500">({unseen} new)</span>
+            </h2>
+            {unseen > 0 && (
+              <button onClick={handleMarkSeen} className="text-sm text-blue-600 hover:underline">
+                Mark all as seen
+              </button>
+            )}
+          </div>
+
+          {loading ? (
+            <p className="text-sm text-gray-500">Loading...</p>
+          ) : changes.length === 0 ? (
+            <p className="text-sm text-gray-500 italic">No changes found on watched files yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100 text-sm">
+              {changes.map((c) => (
+                <li key={c.id} className={`flex items-start gap-3 px-2 py-2 ${c.seen ? '' : 'bg-yellow-50'}`}>
+                  <span className="w-40 shrink-0 text-xs text-gray-500">{new Date(c.detectedAt).toLocaleString()}</span>
+                  <span className="w-44 shrink-0 font-mono text-xs">
+                    {c.fileNumber}
+                    <span className="block font-sans text-gray-500">{courtLabel(c.court)}</span>
+                  </span>
+                  <span className={c.seen ? 'text-gray-700' : 'font-medium text-gray-900'}>{c.summary}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Add a file */}
+        <form onSubmit={handleAdd} className="rounded-lg border border-gray-200 bg-white p-6 shadow-sm">
+          <h2 className="text-lg font-semibold text-gray-800 mb-4">Watch a File</h2>
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">County</label>
+              <select value={county} onChange={(e) => setCounty(e.target.value)} className={inputClass}>
+                {courts.map((c) => (
+                  <option key={c.value} value={c.value}>{c.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">File Number</label>
+              <input
+                value={fileNumber}
+                onChange={(e) => setFileNumber(e.target.value)}
+                placeholder="2022-4682/A"
+                required
+                className={`${inputClass} font-mono`}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Note (optional)</label>
+              <input
+                value={label}
+                onChange={(e) => setLabel(e.target.value)}
+                placeholder="Waiting on letters"
+                className={inputClass}
+              />
+            </div>
+            <div className="flex items-end gap-3">
+              <button
+                type="submit"
+                disabled={saving}
+                className="rounded-lg bg-blue-600 px-6 py-2 text-sm font-semibold text-white shadow-sm hover:bg-blue-700 disabled:bg-blue-400 transition-colors"
+              >
+                {saving ? 'Saving...' : 'Watch'}
+              </button>
+            </div>
+          </div>
+        </form>
+
+        {/* Watched files */}
+        <div className="rounded-lg border border-gray-200 bg-white p-6 shadow-sm">
+          <div className="mb-4 flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-800">
+              Watched Files <span className="text-sm font-normal text-gray-500">({watches.length})</span>
+            </h2>
+            <button
+              onClick={handleCheckNow}
+              disabled={checking || watches.length === 0}
+              className="text-sm text-blue-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+            >
+              {checking ? 'Checking the court site...' : 'Check all now'}
+            </button>
+          </div>
+
+          {loading ? (
+            <p className="text-sm text-gray-500">Loading...</p>
+          ) : watches.length === 0 ? (
+            <p className="text-sm text-gray-500 italic">
+              No watched files yet. Add one above, or use Watch on a result.
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr className="text-left font-semibold text-gray-700">
+                    <th className="px-3 py-2">File #</th>
+                    <th className="px-3 py-2">County</th>
+                    <th className="px-3 py-2">File Name</th>
+                    <th className="px-3 py-2">Note</th>
+                    <th className="px-3 py-2">Last Checked</th>
+                    <th className="px-3 py-2">New Changes</th>
+                    <th className="px-3 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {watches.map((w) => (
+                    <tr key={`${w.court}|${w.fileNumber}`} className="hover:bg-gray-50">
+                      <td className="px-3 py-2 font-mono text-xs">{w.fileNumber}</td>
+                      <td className="px-3 py-2">{courtLabel(w.court)}</td>
+                      <td className="px-3 py-2">{w.fileName || '-'}</td>
+                      <td className="px-3 py-2 text-xs text-gray-600">{w.label || '-'}</td>
+                      <td className="px-3 py-2 text-xs">
+                        {w.lastCheckedAt ? new Date(w.lastCheckedAt).toLocaleString() : 'Not yet'}
+                        {w.lastError && <p className="mt-1 text-red-700">{w.lastError}</p>}
+                      </td>
+                      <td className="px-3 py-2 font-bold text-yellow-700">{w.unseenChanges || ''}</td>
+                      <td className="px-3 py-2 whitespace-nowrap text-xs">
+                        <button onClick={() => handleRemove(w)} className="text-red-600 hover:underline">
+                          Remove
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <p className="text-xs text-gray-400 text-center">
+          Watched files are re-checked once a day inside the server process — they need a long-running server (not serverless). Failures appear in Diagnostics &amp; Logs.
+        </p>
+      </div>
+    </div>
+  );
+}
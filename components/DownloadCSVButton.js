@@ -5,14 +5,14 @@ import { generateCSVString, downloadCSV } from '@/lib/csvGenerator';
 /**
  * Button to download results as CSV file.
  */
-export default function DownloadCSVButton({ results }) {
+export default function DownloadCSVButton({ results, filename }) {
   const includedCount = results.filter((r) => r.status === 'included').length;
 
   if (includedCount === 0) return null;
 
   function handleDownload() {
     const csv = generateCSVString(results);
-    downloadCSV(csv);
+    downloadCSV(csv, filename);
   }
 
   return (
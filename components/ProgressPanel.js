@@ -7,6 +7,7 @@ export default function ProgressPanel({ phase, currentBatch, totalBatches, stats
   if (phase === 'idle') return null;
 
   const phaseLabel = {
+    queued: 'Queued — waiting for the server worker...',
     searching: 'Searching for filings...',
     processing: `Processing batch ${currentBatch} of ${totalBatches}...`,
     complete: 'Complete!',
@@ -14,7 +15,7 @@ export default function ProgressPanel({ phase, currentBatch, totalBatches, stats
   }[phase] || '';
 
   const progressPercent =
-    phase === 'searching'
+    phase === 'searching' || phase === 'queued'
       ? null
       : phase === 'complete'
         ? 100
@@ -67,6 +68,11 @@ export default function ProgressPanel({ phase, currentBatch, totalBatches, stats
           <span className="text-gray-600">
             Found: <span className="font-bold text-gray-900">{stats.found}</span>
           </span>
+          {stats.known > 0 && (
+            <span className="text-gray-600">
+              Already known: <span className="font-bold text-gray-900">{stats.known}</span>
+            </span>
+          )}
           <span className="text-gray-600">
             Processed: <span className="font-bold text-gray-900">{stats.processed}/{stats.found}</span>
           </span>
@@ -1,37 +1,82 @@
 'use client';
 
 import { useState } from 'react';
+import { PROCEEDING_HANDLERS, getProceedingHandler } from '@/lib/scraper/proceedings';
+import { ESTATE_STAGES, estateStageOf, estateStageLabel } from '@/lib/scraper/docket';
+
+const stageOf = (row) => estateStageOf(row.data || {});
+
+// Add-to-watchlist link under a file number
+function WatchButton({ state, onWatch }) {
+  if (state === 'watching') {
+    return <a href="/watchlist" className="block font-sans text-[10px] text-green-700 hover:underline">Watching</a>;
+  }
+  const failed = state && state !== 'saving';
+  return (
+    <button
+      onClick={onWatch}
+      disabled={state === 'saving'}
+      title={failed ? state : 'Re-check this file daily for new docket activity'}
+      className={`block font-sans text-[10px] hover:underline ${failed ? 'text-red-600' : 'text-blue-600'}`}
+    >
+      {state === 'saving' ? 'Adding...' : 'Watch'}
+    </button>
+  );
+}
 
 /**
- * Sortable results table showing included probate filings.
+ * Sortable results table showing included probate filings, filterable by
+ * estate stage, with a link to each archived petition PDF. Any row can be
+ * added to the watchlist.
  */
 export default function ResultsTable({ results }) {
   const [sortCol, setSortCol] = useState(null);
   const [sortDir, setSortDir] = useState('asc');
+  const [stageFilter, setStageFilter] = useState('');
+  const [watched, setWatched] = useState({}); // court|fileNumber → 'saving' | 'watching' | error message
 
   const includedResults = results.filter((r) => r.status === 'included');
 
   if (includedResults.length === 0) return null;
 
+  const shownResults = stageFilter
+    ? includedResults.filter((r) => stageOf(r).stage === stageFilter)
+    : includedResults;
+
+  // Executor for probate, Administrator for administration rows
+  const fiduciaryOf = (row) => (getProceedingHandler(row.data?.proceeding) || PROCEEDING_HANDLERS[0]).fiduciary;
+  const fiduciaryLabel = [...new Set(includedResults.map((r) => fiduciaryOf(r).label))].join(' / ');
+
   const columns = [
     { key: 'fileNumber', label: 'File #', width: 'w-28' },
     { key: 'fileDate', label: 'File Date', width: 'w-24' },
+    { key: 'county', label: 'County', width: 'w-28' },
+    { key: 'estateStage', label: 'Stage', width: 'w-32' },
     { key: 'decedentName', label: 'Decedent Name', width: 'w-40' },
     { key: 'decedentAddress', label: 'Decedent Address', width: 'w-52' },
     { key: 'dateOfDeath', label: 'DOD', width: 'w-28' },
-    { key: 'executorName', label: 'Executor Name', width: 'w-40' },
-    { key: 'executorAddress', label: 'Executor Address', width: 'w-52' },
+    { key: 'fiduciaryName', label: `${fiduciaryLabel} Name`, width: 'w-40' },
+    { key: 'fiduciaryAddress', label: `${fiduciaryLabel} Address`, width: 'w-52' },
     { key: 'estateValueRange', label: 'Estate Value', width: 'w-36' },
     { key: 'improvedRealProperty', label: 'Improved Real Prop.', width: 'w-32' },
+    { key: 'beneficiaries', label: 'Beneficiaries', width: 'w-56' },
+    { key: 'parties', label: 'Court Parties', width: 'w-56' },
+    { key: 'judge', label: 'Judge', width: 'w-32' },
   ];
 
   function getValue(row, key) {
     if (key === 'fileNumber') return row.fileNumber;
     if (key === 'fileDate') return row.fileDate;
+    if (key === 'county') return row.county || '';
+    if (key === 'estateStage') return ESTATE_STAGES.findIndex((s) => s.value === stageOf(row).stage);
     if (key === 'estateValueRange') {
       const d = row.data || {};
       return d.estateValueUpper || 0;
     }
+    if (key === 'fiduciaryName') return row.data?.[fiduciaryOf(row).nameField] || '';
+    if (key === 'fiduciaryAddress') return row.data?.[fiduciaryOf(row).addressField] || '';
+    if (key === 'beneficiaries') return row.data?.beneficiaries?.length || 0;
+    if (key === 'parties') return row.data?.parties?.length || 0;
     return row.data?.[key] || '';
   }
 
@@ -44,7 +89,7 @@ export default function ResultsTable({ results }) {
     }
   }
 
-  const sortedResults = [...includedResults].sort((a, b) => {
+  const sortedResults = [...shownResults].sort((a, b) => {
     if (!sortCol) return 0;
     const valA = getValue(a, sortCol);
     const valB = getValue(b, sortCol);
@@ -60,6 +105,38 @@ export default function ResultsTable({ results }) {
       : strB.localeCompare(strA);
   });
 
+  // Hover shows where each value came from; low-confidence values are highlighted for review
+  const sourced = (d, fields, className) => {
+    const sources = fields.map((f) => d.sources?.[f]).filter(Boolean);
+    const low = sources.some((src) => src.confidence === 'low');
+    return {
+      className: `${className}${low ? ' bg-yellow-100 text-yellow-900' : ''}`,
+      title: sources.length
+        ? sources.map((src) => `${src.confidence} confidence (${src.rule}): ${src.snippet}`).join('\n')
+        : undefined,
+    };
+  };
+  const hasLowConfidence = includedResults.some((r) =>
+    Object.values(r.data?.sources || {}).some((src) => src.confidence === 'low')
+  );
+
+  async function handleWatch(row) {
+    const key = `${row.court}|${row.fileNumber}`;
+    setWatched((w) => ({ ...w, [key]: 'saving' }));
+    try {
+      const res = await fetch('/api/watchlist', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ county: row.court, fileNumber: row.fileNumber, label: row.data?.decedentName || undefined }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setWatched((w) => ({ ...w, [key]: 'watching' }));
+    } catch (err) {
+      setWatched((w) => ({ ...w, [key]: `Could not watch: ${err.message}` }));
+    }
+  }
+
   const fmt = (num) => {
     if (num == null || num === 0) return '$0';
     return `$${Number(num).toLocaleString()}`;
@@ -67,9 +144,32 @@ export default function ResultsTable({ results }) {
 
   return (
     <div className="mt-6">
-      <h3 className="text-lg font-semibold text-gray-800 mb-3">
-        Results ({includedResults.length} estates above threshold)
-      </h3>
+      <div className="mb-3 flex items-center justify-between gap-3">
+        <h3 className="text-lg font-semibold text-gray-800">
+          Results ({includedResults.length} estates above threshold)
+        </h3>
+        <label className="text-sm text-gray-700">
+          Stage{' '}
+          <select
+            value={stageFilter}
+            onChange={(e) => setStageFilter(e.target.value)}
+            className="rounded-md border border-gray-300 px-2 py-1 text-sm shadow-sm"
+          >
+            <option value="">All stages</option>
+            {ESTATE_STAGES.map((s) => (
+              <option key={s.value} value={s.value}>
+                {s.label} ({includedResults.filter((r) => stageOf(r).stage === s.value).length})
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {hasLowConfidence && (
+        <p className="-mt-2 mb-3 text-xs text-gray-600">
+          <span className="rounded bg-yellow-100 px-1.5 py-0.5 text-yellow-900">Highlighted</span> values were
+          extracted with low confidence — hover to see the source text and verify before mailing.
+        </p>
+      )}
       <div className="overflow-x-auto rounded-lg border border-gray-200 shadow-sm">
         <table className="min-w-full text-sm">
           <thead className="bg-gray-50">
@@ -91,21 +191,87 @@ export default function ResultsTable({ results }) {
           <tbody className="divide-y divide-gray-100">
             {sortedResults.map((row, i) => {
               const d = row.data || {};
+              const fiduciary = fiduciaryOf(row);
+              const { stage, lettersIssuedDate } = stageOf(row);
               return (
                 <tr key={row.fileNumber || i} className="hover:bg-blue-50">
-                  <td className="px-3 py-2 font-mono text-xs">{row.fileNumber}</td>
-                  <td className="px-3 py-2">{row.fileDate}</td>
-                  <td className="px-3 py-2 font-medium">{d.decedentName || '-'}</td>
-                  <td className="px-3 py-2 text-xs">{d.decedentAddress || '-'}</td>
-                  <td className="px-3 py-2">{d.dateOfDeath || '-'}</td>
-                  <td className="px-3 py-2 font-medium">{d.executorName || '-'}</td>
-                  <td className="px-3 py-2 text-xs">{d.executorAddress || '-'}</td>
                   <td className="px-3 py-2 font-mono text-xs">
+                    {row.fileNumber}
+                    {d.estateClosed && (
+                      <span
+                        title="The court's File History marks this estate as closed"
+                        className="ml-1.5 rounded bg-gray-200 px-1.5 py-0.5 font-sans text-[10px] font-semibold text-gray-700"
+                      >
+                        CLOSED
+                      </span>
+                    )}
+                    {d.pdfHash && (
+                      <a
+                        href={`/api/pdfs/${d.pdfHash}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        title="The petition PDF, as downloaded from the court site"
+                        className="block font-sans text-[10px] text-blue-600 hover:underline"
+                      >
+                        PDF
+                      </a>
+                    )}
+                    {row.court && (
+                      <WatchButton state={watched[`${row.court}|${row.fileNumber}`]} onWatch={() => handleWatch(row)} />
+                    )}
+                  </td>
+                  <td className="px-3 py-2">{row.fileDate}</td>
+                  <td className="px-3 py-2">{row.county || '-'}</td>
+                  <td className="px-3 py-2 text-xs">
+                    {stage ? estateStageLabel(stage) : '-'}
+                    {lettersIssuedDate && (
+                      <div className="text-gray-500" title="Letters issued: the fiduciary has been appointed">
+                        Letters {lettersIssuedDate}
+                      </div>
+                    )}
+                  </td>
+                  <td {...sourced(d, ['decedentName'], 'px-3 py-2 font-medium')}>
+                    {d.decedentName || '-'}
+                    {d.extraction === 'ocr' && (
+                      <span
+                        title={`Read by OCR from a scanned PDF${d.ocrConfidence != null ? ` (${d.ocrConfidence}% confidence)` : ''} — double-check before use`}
+                        className="ml-1.5 rounded bg-amber-100 px-1.5 py-0.5 text-[10px] font-semibold text-amber-800"
+                      >
+                        OCR
+                      </span>
+                    )}
+                  </td>
+                  <td {...sourced(d, ['decedentAddress'], 'px-3 py-2 text-xs')}>{d.decedentAddress || '-'}</td>
+                  <td {...sourced(d, ['dateOfDeath'], 'px-3 py-2')}>{d.dateOfDeath || '-'}</td>
+                  <td {...sourced(d, [fiduciary.nameField], 'px-3 py-2 font-medium')}>{d[fiduciary.nameField] || '-'}</td>
+                  <td {...sourced(d, [fiduciary.addressField], 'px-3 py-2 text-xs')}>{d[fiduciary.addressField] || '-'}</td>
+                  <td {...sourced(d, ['estateValueLower', 'estateValueUpper'], 'px-3 py-2 font-mono text-xs')}>
                     {fmt(d.estateValueLower)}-{fmt(d.estateValueUpper)}
                   </td>
-                  <td className="px-3 py-2 font-mono text-xs">
+                  <td {...sourced(d, ['improvedRealProperty'], 'px-3 py-2 font-mono text-xs')}>
                     {fmt(d.improvedRealProperty)}
                   </td>
+                  <td {...sourced(d, ['beneficiaries'], 'px-3 py-2 text-xs')}>
+                    {d.beneficiaries?.length
+                      ? d.beneficiaries.map((b, j) => (
+                          <div key={j} title={[b.address, b.interest].filter(Boolean).join(' — ')}>
+                            {b.name}
+                            {b.relationship && <span className="text-gray-500"> ({b.relationship})</span>}
+                          </div>
+                        ))
+                      : '-'}
+                  </td>
+                  <td className="px-3 py-2 text-xs">
+                    {d.parties?.length
+                      ? d.parties.map((p, j) => (
+                          <div key={j} title={p.dod ? `DOD ${p.dod}` : undefined}>
+                            {p.name}
+                            {p.role && <span className="text-gray-500"> ({p.role})</span>}
+                          </div>
+                        ))
+                      : '-'}
+                  </td>
+                  <td className="px-3 py-2 text-xs">{d.judge || '-'}</td>
                 </tr>
               );
             })}
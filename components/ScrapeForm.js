@@ -1,51 +1,121 @@
 'use client';
 
-import { useState, useRef } from 'react';
-import { COURTS, LIST_TYPES, BATCH_SIZE } from '@/lib/config';
+import { useState, useEffect, useMemo } from 'react';
 import ProgressPanel from './ProgressPanel';
 import ResultsTable from './ResultsTable';
 import DownloadCSVButton from './DownloadCSVButton';
+import useCatalog from './useCatalog';
+import { parseFileNumberList, MAX_IMPORTED_FILE_NUMBERS } from '@/lib/fileNumbers';
+
+const JOB_STORAGE_KEY = 'probateScraper.jobId';
+const POLL_INTERVAL_MS = 3000;
+
+// Job status → ProgressPanel phase
+const JOB_PHASES = {
+  queued: 'queued',
+  searching: 'searching',
+  processing: 'processing',
+  complete: 'complete',
+  error: 'error',
+  cancelled: 'error',
+};
 
 /**
- * Main form component — handles the entire scrape lifecycle:
- * 1. User fills in county, list type, date range
- * 2. Phase 1: POST /api/search → collect file numbers
- * 3. Phase 2: POST /api/process-batch in batches → accumulate results
+ * Main form component — queues a scrape job and follows its progress:
+ * 1. User picks one or more counties and list types, and a date range —
+ *    or pastes / uploads a list of file numbers to skip the search
+ * 2. POST /api/jobs → server-side worker runs search + batches
+ * 3. Poll GET /api/jobs/:id → progress, logs, accumulated results
  * 4. Display results table + CSV download
+ *
+ * The job ID is kept in the URL (?job=) and localStorage, so reloading or
+ * reopening the tab reattaches to the running or finished job.
+ *
+ * County and List Type options come from the court catalog (see useCatalog).
  */
 export default function ScrapeForm() {
+  const catalog = useCatalog();
+
   // Form state
-  const [county, setCounty] = useState(COURTS[0]?.value || '');
-  const [listType, setListType] = useState(LIST_TYPES[0]?.value || '');
+  const [counties, setCounties] = useState(catalog.courts.slice(0, 1).map((c) => c.value));
+  const [listTypes, setListTypes] = useState(catalog.proceedings.slice(0, 1).map((p) => p.value));
   const [fromDate, setFromDate] = useState('');
   const [toDate, setToDate] = useState('');
   const [minEstateValue, setMinEstateValue] = useState(100000);
-
-  // Scrape state
-  const [phase, setPhase] = useState('idle'); // idle | searching | processing | complete | error
-  const [allFiles, setAllFiles] = useState([]);
-  const [results, setResults] = useState([]);
-  const [currentBatch, setCurrentBatch] = useState(0);
-  const [totalBatches, setTotalBatches] = useState(0);
-  const [stats, setStats] = useState(null);
-  const [logs, setLogs] = useState([]);
+  const [newOnly, setNewOnly] = useState(false);
+  const [mode, setMode] = useState('search'); // search | import
+  const [importText, setImportText] = useState('');
+
+  // Job state
+  const [jobId, setJobId] = useState(null);
+  const [job, setJob] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
   const [errorMsg, setErrorMsg] = useState('');
 
-  // Abort controller for cancellation
-  const abortRef = useRef(null);
+  // Drop selections the catalog no longer offers when it loads or is re-synced
+  useEffect(() => {
+    const courts = counties.filter((v) => catalog.courts.some((c) => c.value === v));
+    if (courts.length !== counties.length) {
+      setCounties(courts.length ? courts : catalog.courts.slice(0, 1).map((c) => c.value));
+    }
+    const supported = catalog.proceedings.filter((p) => p.supported);
+    const types = listTypes.filter((v) => supported.some((p) => p.value === v));
+    if (types.length !== listTypes.length) {
+      setListTypes(types.length ? types : supported.slice(0, 1).map((p) => p.value));
+    }
+  }, [catalog.courts, catalog.proceedings, counties, listTypes]);
+
+  const imported = useMemo(() => parseFileNumberList(importText), [importText]);
 
-  function addLog(msg) {
-    const time = new Date().toLocaleTimeString();
-    setLogs((prev) => [...prev, `[${time}] ${msg}`]);
-  }
+  // Checkbox lists: add or remove a value
+  const toggle = (setter, value) => (e) =>
+    setter((values) => (e.target.checked ? [...values, value] : values.filter((v) => v !== value)));
 
-  function chunkArray(arr, size) {
-    const chunks = [];
-    for (let i = 0; i < arr.length; i += size) {
-      chunks.push(arr.slice(i, i + size));
+  // Reattach to a job from the URL or the last one started in this browser
+  useEffect(() => {
+    const fromUrl = new URLSearchParams(window.location.search).get('job');
+    const saved = fromUrl || window.localStorage.getItem(JOB_STORAGE_KEY);
+    if (saved) setJobId(saved);
+  }, []);
+
+  // Poll the job until it finishes
+  useEffect(() => {
+    if (!jobId) return;
+    let stopped = false;
+    let timer;
+
+    async function poll() {
+      try {
+        const res = await fetch(`/api/jobs/${jobId}`);
+        if (res.status === 404) {
+          window.localStorage.removeItem(JOB_STORAGE_KEY);
+          setJobId(null);
+          setJob(null);
+          return;
+        }
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        if (stopped) return;
+
+        setJob(data.job);
+        setErrorMsg(
+          data.job.status === 'error' ? data.job.error || '' :
+          data.job.status === 'cancelled' ? 'Cancelled' : ''
+        );
+        if (['complete', 'error', 'cancelled'].includes(data.job.status)) return;
+      } catch (err) {
+        if (stopped) return;
+        setErrorMsg(`Lost contact with job ${jobId}: ${err.message}. Retrying...`);
+      }
+      timer = setTimeout(poll, POLL_INTERVAL_MS);
     }
-    return chunks;
-  }
+
+    poll();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }, [jobId]);
 
   // Convert YYYY-MM-DD (from date input) to MM/DD/YYYY (for API)
   function toAPIDate(isoDate) {
@@ -54,223 +124,185 @@ export default function ScrapeForm() {
     return `${month}/${day}/${year}`;
   }
 
+  function attachJob(id) {
+    setJobId(id);
+    window.localStorage.setItem(JOB_STORAGE_KEY, id);
+    const url = new URL(window.location.href);
+    url.searchParams.set('job', id);
+    window.history.replaceState(null, '', url);
+  }
+
+  // Load an uploaded CSV / text file into the file number box
+  async function handleImportFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      setImportText(await file.text());
+    } catch (err) {
+      setErrorMsg(`Could not read ${file.name}: ${err.message}`);
+    }
+    e.target.value = '';
+  }
+
+  function validateImport() {
+    if (counties.length !== 1 || listTypes.length !== 1) {
+      return 'File numbers are looked up in one county as one list type — select exactly one of each.';
+    }
+    if (imported.fileNumbers.length === 0) {
+      return 'Paste or upload at least one file number (e.g. 2022-4682/A).';
+    }
+    if (imported.invalid.length > 0) {
+      return `Fix or remove the invalid file numbers: ${imported.invalid.slice(0, 5).join(', ')}${imported.invalid.length > 5 ? '...' : ''}`;
+    }
+    if (imported.fileNumbers.length > MAX_IMPORTED_FILE_NUMBERS) {
+      return `At most ${MAX_IMPORTED_FILE_NUMBERS} file numbers per run.`;
+    }
+    return null;
+  }
+
   async function handleRunScrape(e) {
     e.preventDefault();
 
     const apiFromDate = toAPIDate(fromDate);
     const apiToDate = toAPIDate(toDate);
 
-    if (!apiFromDate || !apiToDate) {
+    if (counties.length === 0 || listTypes.length === 0) {
+      setErrorMsg('Please select at least one county and one list type.');
+      return;
+    }
+
+    if (mode === 'import') {
+      const importError = validateImport();
+      if (importError) {
+        setErrorMsg(importError);
+        return;
+      }
+    } else if (!newOnly && (!apiFromDate || !apiToDate)) {
+      // Incremental runs may leave dates empty: since the last processed filing, through today
       setErrorMsg('Please select both From and To dates.');
       return;
     }
 
-    // Reset state
-    setPhase('searching');
-    setResults([]);
-    setLogs([]);
     setErrorMsg('');
-    setStats({ found: 0, processed: 0, included: 0, skipped: 0, errors: 0 });
-    setAllFiles([]);
-    setCurrentBatch(0);
-    setTotalBatches(0);
-
-    abortRef.current = new AbortController();
+    setJob(null);
+    setSubmitting(true);
 
     try {
-      // === PHASE 1: Search ===
-      addLog(`Searching ${COURTS.find(c => c.value === county)?.label || county} for ${LIST_TYPES.find(l => l.value === listType)?.label || listType}...`);
-      addLog(`Date range: ${apiFromDate} to ${apiToDate}`);
-
-      const searchRes = await fetch('/api/search', {
+      const params = mode === 'import'
+        ? { fileNumbers: imported.fileNumbers }
+        : { fromDate: apiFromDate || undefined, toDate: apiToDate || undefined, newOnly };
+      const res = await fetch('/api/jobs', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          county,
-          proceeding: listType,
-          fromDate: apiFromDate,
-          toDate: apiToDate,
+          counties,
+          proceedings: listTypes,
+          minEstateValue,
+          ...params,
         }),
-        signal: abortRef.current.signal,
       });
 
-      if (!searchRes.ok) {
-        let errMsg = `Search failed (HTTP ${searchRes.status})`;
-        try {
-          const err = await searchRes.json();
-          errMsg = err.error || errMsg;
-        } catch {
-          // Response wasn't JSON — read as text for debugging
-          try {
-            const text = await searchRes.text();
-            errMsg = text.substring(0, 200) || errMsg;
-          } catch { /* ignore */ }
-        }
-        throw new Error(errMsg);
-      }
-
-      let searchData;
+      let data;
       try {
-        searchData = await searchRes.json();
+        data = await res.json();
       } catch {
-        const text = await searchRes.text();
-        throw new Error(`Server returned invalid response: ${text.substring(0, 200)}`);
-      }
-      const { files, totalCount, dateChunks } = searchData;
-
-      setAllFiles(files);
-      setStats((s) => ({ ...s, found: totalCount }));
-      addLog(`Found ${totalCount} filings across ${dateChunks.length} month chunk(s).`);
-
-      if (totalCount === 0) {
-        setPhase('complete');
-        addLog('No filings found. Done.');
-        return;
-      }
-
-      // === PHASE 2: Process in batches ===
-      setPhase('processing');
-      const batches = chunkArray(files, BATCH_SIZE);
-      setTotalBatches(batches.length);
-
-      let allResults = [];
-      let runningStats = { found: totalCount, processed: 0, included: 0, skipped: 0, errors: 0 };
-
-      for (let i = 0; i < batches.length; i++) {
-        if (abortRef.current?.signal.aborted) {
-          addLog('Scrape cancelled by user.');
-          setPhase('error');
-          setErrorMsg('Cancelled');
-          return;
-        }
-
-        setCurrentBatch(i + 1);
-        addLog(`Processing batch ${i + 1}/${batches.length} (${batches[i].length} files)...`);
-
-        let batchResponse;
-        try {
-          batchResponse = await fetch('/api/process-batch', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              county,
-              files: batches[i],
-              minEstateValue,
-            }),
-            signal: abortRef.current.signal,
-          });
-        } catch (fetchErr) {
-          if (fetchErr.name === 'AbortError') {
-            addLog('Scrape cancelled.');
-            setPhase('error');
-            return;
-          }
-          addLog(`Batch ${i + 1} failed: ${fetchErr.message}. Skipping...`);
-          runningStats.errors += batches[i].length;
-          runningStats.processed += batches[i].length;
-          setStats({ ...runningStats });
-          continue;
-        }
-
-        if (!batchResponse.ok) {
-          let errMsg = `HTTP ${batchResponse.status}`;
-          try { const d = await batchResponse.json(); errMsg = d.error || errMsg; } catch {
-            try { errMsg = (await batchResponse.text()).substring(0, 200); } catch {}
-          }
-          addLog(`Batch ${i + 1} error: ${errMsg}. Skipping...`);
-          runningStats.errors += batches[i].length;
-          runningStats.processed += batches[i].length;
-          setStats({ ...runningStats });
-          continue;
-        }
-
-        let batchData;
-        try { batchData = await batchResponse.json(); } catch {
-          addLog(`Batch ${i + 1}: invalid response from server. Skipping...`);
-          runningStats.errors += batches[i].length;
-          runningStats.processed += batches[i].length;
-          setStats({ ...runningStats });
-          continue;
-        }
-        const { results: batchResults, batchStats } = batchData;
-
-        allResults = [...allResults, ...batchResults];
-        setResults([...allResults]);
-
-        runningStats.included += batchStats.included;
-        runningStats.skipped += batchStats.skipped;
-        runningStats.errors += batchStats.errors;
-        runningStats.processed += batchResults.length;
-        setStats({ ...runningStats });
-
-        // Log individual outcomes
-        for (const r of batchResults) {
-          if (r.status === 'included') {
-            const d = r.data || {};
-            const lower = d.estateValueLower?.toLocaleString() || '?';
-            const upper = d.estateValueUpper?.toLocaleString() || '?';
-            addLog(`  INCLUDED: ${r.fileNumber} - ${d.decedentName || r.fileName} ($${lower}-$${upper})`);
-          } else if (r.status === 'skipped') {
-            addLog(`  SKIPPED: ${r.fileNumber} - ${r.reason}`);
-          } else {
-            addLog(`  ERROR: ${r.fileNumber} - ${r.reason}`);
-          }
-        }
+        throw new Error(`Server returned invalid response (HTTP ${res.status})`);
       }
+      if (!res.ok) throw new Error(data.error || `Could not start scrape (HTTP ${res.status})`);
 
-      setPhase('complete');
-      addLog(`Complete. Included: ${runningStats.included}, Skipped: ${runningStats.skipped}, Errors: ${runningStats.errors}`);
+      attachJob(data.job.id);
     } catch (err) {
-      if (err.name === 'AbortError') {
-        addLog('Scrape cancelled.');
-        setPhase('error');
-        return;
-      }
       setErrorMsg(err.message);
-      setPhase('error');
-      addLog(`Fatal error: ${err.message}`);
+    } finally {
+      setSubmitting(false);
     }
   }
 
-  function handleCancel() {
-    abortRef.current?.abort();
+  async function handleCancel() {
+    if (!jobId) return;
+    try {
+      await fetch(`/api/jobs/${jobId}`, { method: 'DELETE' });
+    } catch (err) {
+      setErrorMsg(`Cancel failed: ${err.message}`);
+    }
   }
 
-  const isRunning = phase === 'searching' || phase === 'processing';
+  const phase = submitting ? 'queued' : (job ? JOB_PHASES[job.status] : 'idle');
+  const results = job?.results || [];
+  const isRunning = ['queued', 'searching', 'processing'].includes(phase);
 
   return (
     <div>
       {/* Form */}
       <form onSubmit={handleRunScrape} className="rounded-lg border border-gray-200 bg-white p-6 shadow-sm">
-        <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
-          {/* County */}
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">County</label>
-            <select
-              value={county}
-              onChange={(e) => setCounty(e.target.value)}
+        {/* Mode */}
+        <div className="mb-4 inline-flex rounded-md border border-gray-300 text-sm">
+          {[['search', 'Search by date range'], ['import', 'Import file numbers']].map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setMode(value)}
               disabled={isRunning}
-              className="w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-blue-500 focus:ring-1 focus:ring-blue-500 disabled:bg-gray-100"
+              className={`px-3 py-1.5 first:rounded-l-md last:rounded-r-md ${
+                mode === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+              } disabled:opacity-60`}
             >
-              {COURTS.map((c) => (
-                <option key={c.value} value={c.value}>{c.label}</option>
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
+          {/* Counties */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Counties <span className="font-normal text-gray-400">({counties.length} selected)</span>
+            </label>
+            <div className="max-h-32 overflow-y-auto rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm">
+              {catalog.courts.map((c) => (
+                <label key={c.value} className="flex items-center gap-2 text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={counties.includes(c.value)}
+                    onChange={toggle(setCounties, c.value)}
+                    disabled={isRunning}
+                    className="rounded"
+                  />
+                  {c.label}
+                </label>
               ))}
-            </select>
+            </div>
+            <button
+              type="button"
+              onClick={catalog.sync}
+              disabled={isRunning || catalog.syncing}
+              title="Re-read the County and List Type options from the court site"
+              className="mt-1 text-xs text-blue-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+            >
+              {catalog.syncing ? 'Syncing from court site...' : 'Sync from court site'}
+            </button>
+            <span className="ml-1 text-xs text-gray-400">
+              {catalog.syncedAt ? `(last synced ${new Date(catalog.syncedAt).toLocaleDateString()})` : '(built-in list)'}
+            </span>
           </div>
 
-          {/* List Type */}
+          {/* List Types */}
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">List Type</label>
-            <select
-              value={listType}
-              onChange={(e) => setListType(e.target.value)}
-              disabled={isRunning}
-              className="w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-blue-500 focus:ring-1 focus:ring-blue-500 disabled:bg-gray-100"
-            >
-              {LIST_TYPES.map((l) => (
-                <option key={l.value} value={l.value}>{l.label}</option>
+            <label className="block text-sm font-medium text-gray-700 mb-1">List Types</label>
+            <div className="max-h-32 overflow-y-auto rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm">
+              {catalog.proceedings.map((p) => (
+                <label key={p.value} className={`flex items-center gap-2 ${p.supported ? 'text-gray-700' : 'text-gray-400'}`}>
+                  <input
+                    type="checkbox"
+                    checked={listTypes.includes(p.value)}
+                    onChange={toggle(setListTypes, p.value)}
+                    disabled={isRunning || !p.supported}
+                    className="rounded"
+                  />
+                  {p.label}{p.supported ? '' : ' (not supported yet)'}
+                </label>
               ))}
-            </select>
+            </div>
           </div>
 
           {/* Min Estate Value */}
@@ -287,31 +319,66 @@ export default function ScrapeForm() {
             />
           </div>
 
-          {/* From Date */}
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">From Date</label>
-            <input
-              type="date"
-              value={fromDate}
-              onChange={(e) => setFromDate(e.target.value)}
-              disabled={isRunning}
-              required
-              className="w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-blue-500 focus:ring-1 focus:ring-blue-500 disabled:bg-gray-100"
-            />
-          </div>
-
-          {/* To Date */}
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">To Date</label>
-            <input
-              type="date"
-              value={toDate}
-              onChange={(e) => setToDate(e.target.value)}
-              disabled={isRunning}
-              required
-              className="w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-blue-500 focus:ring-1 focus:ring-blue-500 disabled:bg-gray-100"
-            />
-          </div>
+          {mode === 'import' ? (
+            /* File numbers */
+            <div className="sm:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                File Numbers
+                <span className="ml-1 font-normal text-gray-400">
+                  (one per line, or a CSV with a &quot;File Number&quot; column)
+                </span>
+              </label>
+              <textarea
+                value={importText}
+                onChange={(e) => setImportText(e.target.value)}
+                disabled={isRunning}
+                rows={4}
+                placeholder={'2022-4682/A\n2023-118'}
+                className="w-full rounded-md border border-gray-300 px-3 py-2 font-mono text-sm shadow-sm focus:border-blue-500 focus:ring-1 focus:ring-blue-500 disabled:bg-gray-100"
+              />
+              <div className="mt-1 flex items-center justify-between gap-3 text-xs">
+                <input
+                  type="file"
+                  accept=".csv,.txt,text/csv,text/plain"
+                  onChange={handleImportFile}
+                  disabled={isRunning}
+                  className="text-gray-600"
+                />
+                <span className={imported.invalid.length > 0 ? 'text-red-600' : 'text-gray-500'}>
+                  {imported.fileNumbers.length} valid
+                  {imported.invalid.length > 0 && `, ${imported.invalid.length} invalid (${imported.invalid.slice(0, 3).join(', ')}${imported.invalid.length > 3 ? '...' : ''})`}
+                </span>
+              </div>
+            </div>
+          ) : (
+            <>
+              {/* From Date */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">From Date</label>
+                <input
+                  type="date"
+                  value={fromDate}
+                  onChange={(e) => setFromDate(e.target.value)}
+                  disabled={isRunning}
+                  required={!newOnly}
+                  className="w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-blue-500 focus:ring-1 focus:ring-blue-500 disabled:bg-gray-100"
+                />
+              </div>
+
+              {/* To Date */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">To Date</label>
+                <input
+                  type="date"
+                  value={toDate}
+                  onChange={(e) => setToDate(e.target.value)}
+                  disabled={isRunning}
+                  required={!newOnly}
+                  className="w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-blue-500 focus:ring-1 focus:ring-blue-500 disabled:bg-gray-100"
+                />
+              </div>
+            </>
+          )}
 
           {/* Buttons */}
           <div className="flex items-end gap-3">
@@ -334,20 +401,43 @@ export default function ScrapeForm() {
           </div>
         </div>
 
-        {errorMsg && (
+        {/* Incremental mode */}
+        {mode === 'search' && (
+          <label className="mt-4 flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={newOnly}
+              onChange={(e) => setNewOnly(e.target.checked)}
+              disabled={isRunning}
+              className="rounded"
+            />
+            New filings only — skip filings already processed by earlier runs
+            {newOnly && (
+              <span className="text-gray-500">(empty dates = since the last processed filing, through today)</span>
+            )}
+          </label>
+        )}
+
+        {(errorMsg || catalog.syncError) && (
           <div className="mt-4 rounded-md bg-red-50 border border-red-200 p-3 text-sm text-red-700">
-            {errorMsg}
+            {errorMsg || catalog.syncError}
           </div>
         )}
       </form>
 
+      {jobId && (
+        <p className="mt-3 text-xs text-gray-500">
+          Job <span className="font-mono">{jobId}</span> runs on the server — you can close this tab and come back.
+        </p>
+      )}
+
       {/* Progress */}
       <ProgressPanel
         phase={phase}
-        currentBatch={currentBatch}
-        totalBatches={totalBatches}
-        stats={stats}
-        logs={logs}
+        currentBatch={job?.currentBatch || 0}
+        totalBatches={job?.totalBatches || 0}
+        stats={job?.stats || null}
+        logs={job?.logs || []}
       />
 
       {/* Results Table */}
@@ -0,0 +1,54 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { COURTS, LIST_TYPES } from '@/lib/config';
+
+const DEFAULT_CATALOG = {
+  courts: COURTS,
+  proceedings: LIST_TYPES.map((l) => ({ ...l, supported: true })),
+  syncedAt: null,
+};
+
+/**
+ * County and List Type options for the scrape forms, from GET /api/catalog
+ * (the built-in defaults until it answers). sync() re-reads them from the
+ * court site's search form, which takes one gate bypass.
+ */
+export default function useCatalog() {
+  const [catalog, setCatalog] = useState(DEFAULT_CATALOG);
+  const [syncing, setSyncing] = useState(false);
+  const [syncError, setSyncError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch('/api/catalog')
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (data && !cancelled) setCatalog(data);
+      })
+      .catch(() => { /* keep the defaults */ });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const sync = useCallback(async () => {
+    setSyncing(true);
+    setSyncError('');
+    try {
+      const res = await fetch('/api/catalog', { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setCatalog(data);
+    } catch (err) {
+      setSyncError(`Sync failed: ${err.message}`);
+    } finally {
+      setSyncing(false);
+    }
+  }, []);
+
+  const courtLabel = (value) => catalog.courts.find((c) => c.value === value)?.label || value;
+  const proceedingLabel = (value) => catalog.proceedings.find((p) => p.value === value)?.label || value;
+
+  return { ...catalog, syncing, syncError, sync, courtLabel, proceedingLabel };
+}
@@ -0,0 +1,15 @@
+/**
+ * Next.js server startup hook — resumes scrape jobs that were queued or
+ * running when the server last stopped, and starts the recurring-scrape
+ * scheduler and the watchlist checker.
+ */
+export async function register() {
+  if (process.env.NEXT_RUNTIME === 'nodejs') {
+    const { startJobWorker } = await import('@/lib/jobs/worker');
+    const { startScheduler } = await import('@/lib/scheduler/scheduler');
+    const { startWatcher } = await import('@/lib/watchlist/watcher');
+    startJobWorker();
+    startScheduler();
+    startWatcher();
+  }
+}
@@ -1,28 +1,48 @@
 /**
  * Extensible configuration registry.
  *
- * To add a new county: add an entry to COURTS.
- * To add a new list type: add an entry to LIST_TYPES.
+ * Counties and list types are read from the court site by a catalog sync
+ * ("Sync from court site", POST /api/catalog); COURTS and LIST_TYPES are the
+ * defaults until the first sync. To support a new list type: add a
+ * proceeding handler in lib/scraper/proceedings.js (and a short label here).
  */
 
+// Built-in county list, used until the catalog is synced
 export const COURTS = [
   { value: '15', label: 'Erie County' },
-  // Future counties:
-  // { value: '31', label: 'New York County' },
-  // { value: '24', label: 'Kings County' },
 ];
 
+// Built-in list types (and short labels for synced ones); each needs a handler in lib/scraper/proceedings.js
 export const LIST_TYPES = [
   { value: 'PROBATE PETITION', label: 'Probate' },
-  // Future list types:
-  // { value: 'ADMINISTRATION PETITION', label: 'Administration' },
+  { value: 'ADMINISTRATION PETITION', label: 'Administration' },
 ];
 
-export const BASE_URL = 'https://websurrogates.nycourts.gov';
+// Court site root. Point COURT_BASE_URL at the mock court site (npm run mock-court) to test offline
+export const BASE_URL = (process.env.COURT_BASE_URL || 'https://websurrogates.nycourts.gov').replace(/\/+$/, '');
 export const REQUEST_DELAY_MS = 1500;
 export const MAX_RETRIES = 2;
 export const PAGE_TIMEOUT_MS = 15000;
+export const MAX_RESULTS_PER_CHUNK = 100; // a search chunk with more results is split into weeks, then days
 export const BATCH_SIZE = 2; // files per API call (keep under 60s Vercel timeout)
+export const MAX_NAME_SEARCH_COUNTIES = 3; // counties per /api/name-search call (same 60s limit)
+export const OCR_MAX_PAGES = 6; // scanned petitions: OCR only the first pages (fields we parse are there)
+export const OCR_RENDER_SCALE = 2; // pdf.js render scale for OCR (~144 DPI)
+export const SCHEDULER_TICK_MS = 60 * 1000; // how often due schedules are checked
+export const WATCHLIST_TICK_MS = 15 * 60 * 1000; // how often the watchlist looks for files due a check
+export const WATCHLIST_CHECK_INTERVAL_MS = 24 * 60 * 60 * 1000; // re-check each watched file daily
+export const SESSION_MAX_AGE_MS = 20 * 60 * 1000; // reuse a run's gate-bypass cookies for up to 20 min
+// Reuse search results, lookups and archived petitions this long before going back to the court site.
+// FILE_CACHE_TTL_HOURS overrides the default 24 (0 = always fetch); anything but a number >= 0 is ignored.
+// The court can docket a filing days after its file date, so searches of dates this recent are never cached
+export const LATE_DOCKETING_DAYS = 14;
+const cacheTtlHours = Number(process.env.FILE_CACHE_TTL_HOURS?.trim() || NaN);
+export const FILE_CACHE_TTL_MS = (Number.isFinite(cacheTtlHours) && cacheTtlHours >= 0 ? cacheTtlHours : 24) * 60 * 60 * 1000;
+
+// Browser provider: 'browserless' | 'local' | 'cdp' (override with BROWSER_PROVIDER)
+export const DEFAULT_BROWSER_PROVIDER = 'browserless';
+export const CAPTCHA_TIMEOUT_MS = 25000; // auto-solved hCaptcha (Browserless)
+export const MANUAL_CAPTCHA_TIMEOUT_MS = 120000; // hCaptcha solved by hand in a headed browser
 
 // Use /stealth endpoint to avoid bot detection + solveCaptchas for hCaptcha
 export const BROWSERLESS_WS_ENDPOINT = (apiKey) =>
@@ -2,21 +2,35 @@
  * Client-side CSV generator.
  * Pure function: results array → CSV string → browser download.
  */
+import { lowConfidenceFields } from '@/lib/scraper/petitionParser';
+import { PROCEEDING_HANDLERS, getProceedingHandler } from '@/lib/scraper/proceedings';
+import { formatDocket, estateStageOf, estateStageLabel } from '@/lib/scraper/docket';
 
-const HEADERS = [
+const LEADING_HEADERS = [
   'File Number',
   'File Date',
+  'County',
+  'Proceeding',
   'Decedent Name',
   'Decedent Address',
   'Date of Death',
-  'Executor Name',
-  'Executor Address',
+];
+
+const HEADERS = [
   'Estate Value Lower',
   'Estate Value Upper',
   'Personal Property',
   'Improved Real Property',
   'Unimproved Real Property',
   'Estate Attorney',
+  'Judge',
+  'Estate Closed',
+  'Estate Stage',
+  'Letters Issued',
+  'Court Parties',
+  'Docket',
+  'Extraction',
+  'Low Confidence Fields',
 ];
 
 function escapeCSV(val) {
@@ -27,6 +41,66 @@ function escapeCSV(val) {
   return str;
 }
 
+// "SMITH, JOHN (Executor); SMITH, MARY (Decedent, DOD 01/02/2025)"
+function formatParties(parties) {
+  return (parties || [])
+    .map((p) => {
+      const details = [p.role, p.dod && `DOD ${p.dod}`].filter(Boolean).join(', ');
+      return details ? `${p.name} (${details})` : p.name;
+    })
+    .join('; ');
+}
+
+// "OCR (87%)" flags values read from a scanned PDF for double-checking
+function formatExtraction(d) {
+  if (d.extraction !== 'ocr') return 'Text';
+  return d.ocrConfidence != null ? `OCR (${d.ocrConfidence}%)` : 'OCR';
+}
+
+// Executor / Administrator columns for each proceeding type in the export
+// (probate only when there is nothing to go on)
+function exportedHandlers(results) {
+  const handlers = PROCEEDING_HANDLERS.filter((h) =>
+    results.some((r) => getProceedingHandler(r.data?.proceeding) === h)
+  );
+  return handlers.length ? handlers : [PROCEEDING_HANDLERS[0]];
+}
+
+function fiduciaryHeaders(handlers) {
+  return handlers.flatMap(({ fiduciary }) => [`${fiduciary.label} Name`, `${fiduciary.label} Address`]);
+}
+
+function fiduciaryCells(d, handlers) {
+  return handlers.flatMap(({ fiduciary }) => [d[fiduciary.nameField] || '', d[fiduciary.addressField] || '']);
+}
+
+// Beneficiaries are flattened into numbered column groups, as many as the
+// longest list in the export needs
+const BENEFICIARY_FIELDS = [
+  ['Name', (b) => b.name],
+  ['Relationship', (b) => b.relationship],
+  ['Address', (b) => b.address],
+  ['Interest', (b) => b.interest],
+  ['Role', (b) => (b.roles || []).join(' & ')],
+];
+
+function beneficiaryHeaders(count) {
+  const headers = [];
+  for (let i = 1; i <= count; i++) {
+    for (const [label] of BENEFICIARY_FIELDS) headers.push(`Beneficiary ${i} ${label}`);
+  }
+  return headers;
+}
+
+function beneficiaryCells(beneficiaries, count) {
+  const cells = [];
+  for (let i = 0; i < count; i++) {
+    const b = beneficiaries[i];
+    for (const [, get] of BENEFICIARY_FIELDS) cells.push(b ? get(b) || '' : '');
+  }
+  return cells;
+}
+
 /**
  * Generate a CSV string from an array of included results.
  *
@@ -36,24 +110,44 @@ function escapeCSV(val) {
 export function generateCSVString(results) {
   const includedResults = results.filter((r) => r.status === 'included');
 
-  const rows = [HEADERS.map(escapeCSV).join(',')];
+  const handlers = exportedHandlers(includedResults);
+  const beneficiaryCount = Math.max(0, ...includedResults.map((r) => r.data?.beneficiaries?.length || 0));
+
+  const headers = [
+    ...LEADING_HEADERS,
+    ...fiduciaryHeaders(handlers),
+    ...HEADERS,
+    ...beneficiaryHeaders(beneficiaryCount),
+  ];
+  const rows = [headers.map(escapeCSV).join(',')];
 
   for (const r of includedResults) {
     const d = r.data || {};
+    const { stage, lettersIssuedDate } = estateStageOf(d);
     const row = [
       r.fileNumber || '',
       r.fileDate || '',
+      r.county || '',
+      r.proceeding || d.proceeding || '',
       d.decedentName || '',
       d.decedentAddress || '',
       d.dateOfDeath || '',
-      d.executorName || '',
-      d.executorAddress || '',
+      ...fiduciaryCells(d, handlers),
       d.estateValueLower != null ? d.estateValueLower : '',
       d.estateValueUpper != null ? d.estateValueUpper : '',
       d.personalProperty != null ? d.personalProperty : '',
       d.improvedRealProperty != null ? d.improvedRealProperty : '',
       d.unimprovedRealProperty != null ? d.unimprovedRealProperty : '',
       d.attorney || '',
+      d.judge || '',
+      d.estateClosed == null ? '' : d.estateClosed ? 'Yes' : 'No',
+      estateStageLabel(stage),
+      lettersIssuedDate || '',
+      formatParties(d.parties),
+      formatDocket(d.docket),
+      formatExtraction(d),
+      lowConfidenceFields(d).join('; '),
+      ...beneficiaryCells(d.beneficiaries || [], beneficiaryCount),
     ];
     rows.push(row.map(escapeCSV).join(','));
   }
@@ -0,0 +1,66 @@
+/**
+ * Court + proceeding catalog — the County and List Type options read from
+ * the court site's File Search form by a catalog sync. Until the first sync,
+ * COURTS and LIST_TYPES from lib/config.js stand in.
+ */
+import { getDb } from './index';
+import { COURTS, LIST_TYPES } from '@/lib/config';
+
+/**
+ * Replace the stored options with a fresh sync.
+ *
+ * @param {Object} options - { courts: [{value, label}], proceedings: [{value, label}] }
+ */
+export function saveCatalog({ courts, proceedings }) {
+  const db = getDb();
+  const now = new Date().toISOString();
+  const insert = db.prepare(
+    'INSERT OR REPLACE INTO site_options (kind, value, label, position, synced_at) VALUES (?, ?, ?, ?, ?)'
+  );
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM site_options').run();
+    courts.forEach((c, i) => insert.run('court', c.value, c.label, i, now));
+    proceedings.forEach((p, i) => insert.run('proceeding', p.value, p.label, i, now));
+  })();
+}
+
+/**
+ * The County and List Type options, in site order. Known list types keep
+ * their short labels from LIST_TYPES ("Probate").
+ *
+ * @returns {{courts: Array<{value, label}>, proceedings: Array<{value, label}>, syncedAt: string|null}}
+ */
+export function getCatalog() {
+  const rows = getDb().prepare('SELECT * FROM site_options ORDER BY kind, position').all();
+  if (rows.length === 0) {
+    return { courts: COURTS, proceedings: LIST_TYPES, syncedAt: null };
+  }
+
+  const of = (kind) => rows.filter((r) => r.kind === kind);
+  return {
+    courts: of('court').map((r) => ({ value: r.value, label: r.label })),
+    proceedings: of('proceeding').map((r) => ({
+      value: r.value,
+      label: LIST_TYPES.find((l) => l.value === r.value)?.label || r.label,
+    })),
+    syncedAt: rows.reduce((latest, r) => (r.synced_at > latest ? r.synced_at : latest), ''),
+  };
+}
+
+/**
+ * Display labels from one read of the catalog: courtLabel ("15" → "Erie
+ * County") and proceedingLabel ("PROBATE PETITION" → "Probate"), each
+ * falling back to the value. Load them once per run or request, not per row.
+ *
+ * @param {Object} [catalog] - From getCatalog() (read now if not given)
+ * @returns {{courtLabel: (value: string) => string, proceedingLabel: (value: string) => string}}
+ */
+export function catalogLabels(catalog = getCatalog()) {
+  const courts = new Map(catalog.courts.map((c) => [c.value, c.label]));
+  const proceedings = new Map(catalog.proceedings.map((p) => [p.value, p.label]));
+  return {
+    courtLabel: (value) => courts.get(value) || value,
+    proceedingLabel: (value) => proceedings.get(value) || value,
+  };
+}
@@ -0,0 +1,217 @@
+/**
+ * Filing records — search hits, File History lookups and parsed petitions,
+ * keyed by court + file number.
+ */
+import { getDb } from './index';
+import { parseDate } from '@/lib/scraper/dateUtils';
+import { classifyDocument } from '@/lib/scraper/docket';
+
+const DATE_REGEX = /^\d{2}\/\d{2}\/\d{4}$/;
+
+/**
+ * Insert or refresh filings. Missing fields keep their stored values, so
+ * batches (which only carry file number/date/name) don't erase search data.
+ *
+ * @param {string} court
+ * @param {Array<{fileNumber, fileDate?, fileName?, proceeding?, dod?}>} files
+ * @param {string} [runId] - Run that saw them (kept only for the first sighting)
+ */
+export function upsertFilings(court, files, runId = null) {
+  const db = getDb();
+  const now = new Date().toISOString();
+  const stmt = db.prepare(
+    `INSERT INTO filings (court, file_number, file_date, file_name, proceeding, dod, first_seen_run_id, first_seen_at, last_seen_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (court, file_number) DO UPDATE SET
+       file_date = COALESCE(excluded.file_date, file_date),
+       file_name = COALESCE(excluded.file_name, file_name),
+       proceeding = COALESCE(excluded.proceeding, proceeding),
+       dod = COALESCE(excluded.dod, dod),
+       last_seen_at = excluded.last_seen_at`
+  );
+  db.transaction(() => {
+    for (const f of files) {
+      stmt.run(
+        court,
+        f.fileNumber,
+        f.fileDate ?? null,
+        f.fileName ?? null,
+        f.proceeding ?? null,
+        f.dod ?? null,
+        runId,
+        now,
+        now
+      );
+    }
+  })();
+}
+
+/**
+ * Store the latest File History lookup for a filing.
+ *
+ * @param {string} court
+ * @param {string} fileNumber
+ * @param {{parties: Array, metadata: Object, docket: Array}} history - lookupFile() output
+ */
+export function saveFileHistory(court, fileNumber, { parties, metadata, docket }) {
+  getDb()
+    .prepare(
+      `INSERT OR REPLACE INTO file_history (court, file_number, parties_json, metadata_json, docket_json, fetched_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    )
+    .run(
+      court,
+      fileNumber,
+      JSON.stringify(parties || []),
+      JSON.stringify(metadata || {}),
+      JSON.stringify(docket || []),
+      new Date().toISOString()
+    );
+}
+
+/**
+ * Link a filing's petition document to its archived PDF (by content hash).
+ *
+ * @param {string} court
+ * @param {string} fileNumber
+ * @param {string} document - Link text of the document (the handler's documentLink)
+ * @param {{sha256: string, size: number}} pdf
+ */
+export function linkPetitionPdf(court, fileNumber, document, { sha256, size }) {
+  getDb()
+    .prepare(
+      `INSERT OR REPLACE INTO petition_pdfs (court, file_number, document, sha256, size, archived_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    )
+    .run(court, fileNumber, document, sha256, size, new Date().toISOString());
+}
+
+/**
+ * The archived PDF of a filing's petition document, or null.
+ *
+ * @returns {{sha256: string, size: number, archivedAt: string}|null}
+ */
+export function getPetitionPdf(court, fileNumber, document) {
+  const row = getDb()
+    .prepare('SELECT * FROM petition_pdfs WHERE court = ? AND file_number = ? AND document = ?')
+    .get(court, fileNumber, document);
+  return row ? { sha256: row.sha256, size: row.size, archivedAt: row.archived_at } : null;
+}
+
+/**
+ * Store the latest parseProbateText() output for a filing.
+ */
+export function saveParsedPetition(court, fileNumber, parsed) {
+  getDb()
+    .prepare(
+      `INSERT OR REPLACE INTO parsed_petitions (court, file_number, data_json, parsed_at)
+       VALUES (?, ?, ?, ?)`
+    )
+    .run(court, fileNumber, JSON.stringify(parsed), new Date().toISOString());
+}
+
+/**
+ * Get everything stored about one filing, or null if it was never seen.
+ */
+export function getFiling(court, fileNumber) {
+  const db = getDb();
+  const filing = db.prepare('SELECT * FROM filings WHERE court = ? AND file_number = ?').get(court, fileNumber);
+  if (!filing) return null;
+
+  const history = db.prepare('SELECT * FROM file_history WHERE court = ? AND file_number = ?').get(court, fileNumber);
+  const parsed = db.prepare('SELECT * FROM parsed_petitions WHERE court = ? AND file_number = ?').get(court, fileNumber);
+
+  return {
+    court: filing.court,
+    fileNumber: filing.file_number,
+    fileDate: filing.file_date,
+    fileName: filing.file_name,
+    proceeding: filing.proceeding,
+    dod: filing.dod,
+    firstSeenRunId: filing.first_seen_run_id,
+    firstSeenAt: filing.first_seen_at,
+    lastSeenAt: filing.last_seen_at,
+    parties: history ? JSON.parse(history.parties_json) : null,
+    metadata: history ? JSON.parse(history.metadata_json) : null,
+    // null for lookups saved before dockets were extracted; types follow the current DOCUMENT_TYPES
+    docket: history?.docket_json
+      ? JSON.parse(history.docket_json).map((d) => ({ ...d, type: classifyDocument(d.document) }))
+      : null,
+    historyFetchedAt: history?.fetched_at || null,
+    parsed: parsed ? JSON.parse(parsed.data_json) : null,
+    parsedAt: parsed?.parsed_at || null,
+  };
+}
+
+/**
+ * Which of these file numbers have already been processed (included or
+ * skipped) by some run? Errors don't count — those are worth retrying.
+ *
+ * @param {string} court
+ * @param {string[]} fileNumbers
+ * @returns {Set<string>}
+ */
+export function findProcessedFileNumbers(court, fileNumbers) {
+  const stmt = getDb().prepare(
+    `SELECT 1 FROM run_results
+     WHERE court = ? AND file_number = ? AND status IN ('included', 'skipped')
+     LIMIT 1`
+  );
+  return new Set(fileNumbers.filter((n) => stmt.get(court, n)));
+}
+
+/**
+ * Filing date (MM/DD/YYYY) the next incremental search of a court +
+ * proceeding starts from — how far runs have processed what they found (see
+ * advanceSearchWatermarks in lib/scraper/pipeline.js) — or null if no run
+ * has got that far.
+ */
+export function getSearchWatermark(court, proceeding) {
+  const row = getDb()
+    .prepare('SELECT latest_file_date FROM search_watermarks WHERE court = ? AND proceeding = ?')
+    .get(court, proceeding);
+  return row?.latest_file_date || null;
+}
+
+/**
+ * Move the watermark up to this filing date (MM/DD/YYYY). Never moves it
+ * backwards, e.g. when re-running an old date range.
+ */
+export function updateSearchWatermark(court, proceeding, fileDate) {
+  if (!DATE_REGEX.test(fileDate || '')) return;
+  const current = getSearchWatermark(court, proceeding);
+  if (current && parseDate(current) >= parseDate(fileDate)) return;
+
+  getDb()
+    .prepare(
+      `INSERT OR REPLACE INTO search_watermarks (court, proceeding, latest_file_date, updated_at)
+       VALUES (?, ?, ?, ?)`
+    )
+    .run(court, proceeding, fileDate, new Date().toISOString());
+}
+
+/**
+ * The saved outcome of searching one date chunk of a court + proceeding,
+ * or null.
+ *
+ * @returns {{result: {files?: Array, split?: boolean}, fetchedAt: string}|null}
+ */
+export function getCachedSearch(court, proceeding, { from, to }) {
+  const row = getDb()
+    .prepare('SELECT * FROM search_cache WHERE court = ? AND proceeding = ? AND from_date = ? AND to_date = ?')
+    .get(court, proceeding, from, to);
+  return row ? { result: JSON.parse(row.result_json), fetchedAt: row.fetched_at } : null;
+}
+
+/**
+ * Save the outcome of searching one date chunk: its filings, or
+ * { split: true } if it had too many results to search whole.
+ */
+export function saveCachedSearch(court, proceeding, { from, to }, result) {
+  getDb()
+    .prepare(
+      `INSERT OR REPLACE INTO search_cache (court, proceeding, from_date, to_date, result_json, fetched_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    )
+    .run(court, proceeding, from, to, JSON.stringify(result), new Date().toISOString());
+}
@@ -0,0 +1,224 @@
+/**
+ * SQLite database (server-only) — runs, filings, File History and parsed
+ * petition data, stored in DATA_DIR/probate.db.
+ *
+ * Filings are keyed by court + file number, so a filing seen by several runs
+ * is one row and later runs can tell what has already been processed.
+ *
+ * To change the schema: append a migration to MIGRATIONS (never edit old ones).
+ */
+import Database from 'better-sqlite3';
+import { mkdirSync } from 'fs';
+import path from 'path';
+import { DATA_DIR } from '@/lib/storage';
+
+const DB_PATH = process.env.DATABASE_PATH || path.join(DATA_DIR, 'probate.db');
+
+const MIGRATIONS = [
+  // 1: initial schema
+  `
+  CREATE TABLE runs (
+    id TEXT PRIMARY KEY,
+    court TEXT NOT NULL,
+    proceeding TEXT NOT NULL,
+    from_date TEXT NOT NULL,
+    to_date TEXT NOT NULL,
+    min_estate_value INTEGER,
+    status TEXT NOT NULL DEFAULT 'running',
+    found INTEGER NOT NULL DEFAULT 0,
+    processed INTEGER NOT NULL DEFAULT 0,
+    included INTEGER NOT NULL DEFAULT 0,
+    skipped INTEGER NOT NULL DEFAULT 0,
+    errors INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    created_at TEXT NOT NULL,
+    started_at TEXT,
+    finished_at TEXT
+  );
+
+  -- Every filing any search has returned
+  CREATE TABLE filings (
+    court TEXT NOT NULL,
+    file_number TEXT NOT NULL,
+    file_date TEXT,
+    file_name TEXT,
+    proceeding TEXT,
+    dod TEXT,
+    first_seen_run_id TEXT,
+    first_seen_at TEXT NOT NULL,
+    last_seen_at TEXT NOT NULL,
+    PRIMARY KEY (court, file_number)
+  );
+
+  -- Latest File History lookup per filing (parties + header metadata)
+  CREATE TABLE file_history (
+    court TEXT NOT NULL,
+    file_number TEXT NOT NULL,
+    parties_json TEXT NOT NULL,
+    metadata_json TEXT NOT NULL,
+    fetched_at TEXT NOT NULL,
+    PRIMARY KEY (court, file_number)
+  );
+
+  -- Latest parseProbateText() output per filing
+  CREATE TABLE parsed_petitions (
+    court TEXT NOT NULL,
+    file_number TEXT NOT NULL,
+    data_json TEXT NOT NULL,
+    parsed_at TEXT NOT NULL,
+    PRIMARY KEY (court, file_number)
+  );
+
+  -- Outcome of each filing within each run (included / skipped / error)
+  CREATE TABLE run_results (
+    run_id TEXT NOT NULL,
+    court TEXT NOT NULL,
+    file_number TEXT NOT NULL,
+    status TEXT NOT NULL,
+    reason TEXT,
+    result_json TEXT NOT NULL,
+    processed_at TEXT NOT NULL,
+    PRIMARY KEY (run_id, court, file_number)
+  );
+  CREATE INDEX run_results_filing ON run_results (court, file_number);
+  `,
+
+  // 2: latest filing date seen per court + proceeding, for "new since last run" searches
+  `
+  CREATE TABLE search_watermarks (
+    court TEXT NOT NULL,
+    proceeding TEXT NOT NULL,
+    latest_file_date TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (court, proceeding)
+  );
+  ALTER TABLE runs ADD COLUMN new_only INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE runs ADD COLUMN known INTEGER NOT NULL DEFAULT 0;
+  `,
+
+  // 3: saved recurring scrapes
+  `
+  CREATE TABLE schedules (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    court TEXT NOT NULL,
+    proceeding TEXT NOT NULL,
+    lookback_days INTEGER NOT NULL,
+    min_estate_value INTEGER NOT NULL,
+    new_only INTEGER NOT NULL DEFAULT 0,
+    cron TEXT NOT NULL,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    next_run_at TEXT,
+    last_run_at TEXT,
+    last_run_id TEXT,
+    last_status TEXT,
+    last_error TEXT,
+    created_at TEXT NOT NULL
+  );
+  ALTER TABLE runs ADD COLUMN schedule_id TEXT;
+  `,
+
+  // 4: County / List Type options read from the site's search form
+  `
+  CREATE TABLE site_options (
+    kind TEXT NOT NULL,
+    value TEXT NOT NULL,
+    label TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    synced_at TEXT NOT NULL,
+    PRIMARY KEY (kind, value)
+  );
+  `,
+
+  // 5: every document on the File History page
+  `
+  ALTER TABLE file_history ADD COLUMN docket_json TEXT;
+  `,
+
+  // 6: watched files and the File History changes found on them
+  `
+  CREATE TABLE watchlist (
+    court TEXT NOT NULL,
+    file_number TEXT NOT NULL,
+    label TEXT,
+    added_at TEXT NOT NULL,
+    last_checked_at TEXT,
+    last_error TEXT,
+    PRIMARY KEY (court, file_number)
+  );
+  CREATE TABLE watch_changes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    court TEXT NOT NULL,
+    file_number TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    summary TEXT NOT NULL,
+    detail_json TEXT,
+    detected_at TEXT NOT NULL,
+    seen INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX watch_changes_detected ON watch_changes (detected_at);
+  `,
+
+  // 7: archived petition PDFs (the files live under DATA_DIR/pdfs, named by hash)
+  `
+  CREATE TABLE petition_pdfs (
+    court TEXT NOT NULL,
+    file_number TEXT NOT NULL,
+    document TEXT NOT NULL,
+    sha256 TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    archived_at TEXT NOT NULL,
+    PRIMARY KEY (court, file_number, document)
+  );
+  `,
+
+  // 8: what each watched file looked like at its last check (other lookups overwrite file_history)
+  `
+  ALTER TABLE watchlist ADD COLUMN snapshot_json TEXT;
+  UPDATE watchlist SET snapshot_json = (
+    SELECT json_object('parties', json(h.parties_json), 'metadata', json(h.metadata_json), 'docket', json(h.docket_json))
+    FROM file_history h WHERE h.court = watchlist.court AND h.file_number = watchlist.file_number
+  );
+  `,
+
+  // 9: search results per date chunk, reused while fresh (see lib/scraper/fileCache.js)
+  `
+  CREATE TABLE search_cache (
+    court TEXT NOT NULL,
+    proceeding TEXT NOT NULL,
+    from_date TEXT NOT NULL,
+    to_date TEXT NOT NULL,
+    result_json TEXT NOT NULL,
+    fetched_at TEXT NOT NULL,
+    PRIMARY KEY (court, proceeding, from_date, to_date)
+  );
+  `,
+];
+
+function migrate(db) {
+  const current = db.pragma('user_version', { simple: true });
+  for (let v = current; v < MIGRATIONS.length; v++) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[v]);
+      db.pragma(`user_version = ${v + 1}`);
+    })();
+  }
+}
+
+/**
+ * Get the shared database connection, creating and migrating it on first use.
+ *
+ * @returns {import('better-sqlite3').Database}
+ */
+export function getDb() {
+  // Shared across route modules (and dev hot reloads) in the same process
+  if (!globalThis.__probateDb) {
+    mkdirSync(path.dirname(DB_PATH), { recursive: true });
+    const db = new Database(DB_PATH);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    migrate(db);
+    globalThis.__probateDb = db;
+  }
+  return globalThis.__probateDb;
+}
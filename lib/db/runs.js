@@ -0,0 +1,128 @@
+/**
+ * Run records — one row per scrape run plus the outcome of every filing in it.
+ */
+import { getDb } from './index';
+
+function toRun(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    // Multi-county / multi-proceeding runs store comma-separated lists
+    court: row.court,
+    proceeding: row.proceeding,
+    courts: row.court.split(','),
+    proceedings: row.proceeding.split(','),
+    fromDate: row.from_date,
+    toDate: row.to_date,
+    minEstateValue: row.min_estate_value,
+    newOnly: !!row.new_only,
+    scheduleId: row.schedule_id,
+    status: row.status,
+    stats: {
+      found: row.found,
+      known: row.known,
+      processed: row.processed,
+      included: row.included,
+      skipped: row.skipped,
+      errors: row.errors,
+    },
+    error: row.error,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+  };
+}
+
+/**
+ * Create the run row if it does not exist yet.
+ *
+ * @param {Object} run - { id, court, proceeding, fromDate, toDate, minEstateValue, newOnly, scheduleId }
+ */
+export function ensureRun({
+  id,
+  court,
+  proceeding,
+  fromDate,
+  toDate,
+  minEstateValue = null,
+  newOnly = false,
+  scheduleId = null,
+}) {
+  const now = new Date().toISOString();
+  getDb()
+    .prepare(
+      `INSERT OR IGNORE INTO runs
+         (id, court, proceeding, from_date, to_date, min_estate_value, new_only, schedule_id, created_at, started_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(id, court, proceeding, fromDate, toDate, minEstateValue, newOnly ? 1 : 0, scheduleId, now, now);
+}
+
+/**
+ * Update a run's status, counts and/or error.
+ *
+ * @param {string} id
+ * @param {Object} changes - { status?, stats?, error?, finished? }
+ */
+export function updateRun(id, { status, stats, error, finished = false }) {
+  const db = getDb();
+  if (status) db.prepare('UPDATE runs SET status = ? WHERE id = ?').run(status, id);
+  if (stats) {
+    db.prepare(
+      `UPDATE runs SET found = ?, known = ?, processed = ?, included = ?, skipped = ?, errors = ? WHERE id = ?`
+    ).run(stats.found, stats.known || 0, stats.processed, stats.included, stats.skipped, stats.errors, id);
+  }
+  if (error !== undefined) db.prepare('UPDATE runs SET error = ? WHERE id = ?').run(error, id);
+  if (finished) db.prepare('UPDATE runs SET finished_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+}
+
+/**
+ * Get a run by ID, or null.
+ */
+export function getRun(id) {
+  return toRun(getDb().prepare('SELECT * FROM runs WHERE id = ?').get(id));
+}
+
+/**
+ * List runs, newest first.
+ */
+export function listRuns({ limit = 200 } = {}) {
+  return getDb()
+    .prepare('SELECT * FROM runs ORDER BY created_at DESC LIMIT ?')
+    .all(limit)
+    .map(toRun);
+}
+
+/**
+ * Record the outcome of one filing within a run (same shape the API returns).
+ *
+ * @param {string} runId
+ * @param {string} court
+ * @param {Object} result - { fileNumber, fileDate, fileName, status, reason?, data? }
+ */
+export function recordRunResult(runId, court, result) {
+  getDb()
+    .prepare(
+      `INSERT OR REPLACE INTO run_results (run_id, court, file_number, status, reason, result_json, processed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(
+      runId,
+      court,
+      result.fileNumber,
+      result.status,
+      result.reason || null,
+      JSON.stringify(result),
+      new Date().toISOString()
+    );
+}
+
+/**
+ * Get every recorded result of a run, in processing order.
+ */
+export function getRunResults(runId) {
+  return getDb()
+    .prepare('SELECT result_json FROM run_results WHERE run_id = ? ORDER BY processed_at, rowid')
+    .all(runId)
+    .map((row) => JSON.parse(row.result_json));
+}
@@ -0,0 +1,108 @@
+/**
+ * Saved recurring scrapes (e.g. "Erie probate, previous 7 days, min $150k,
+ * every Monday 6am"). The scheduler turns due schedules into jobs.
+ */
+import { randomUUID } from 'crypto';
+import { getDb } from './index';
+
+function toSchedule(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    court: row.court,
+    proceeding: row.proceeding,
+    lookbackDays: row.lookback_days,
+    minEstateValue: row.min_estate_value,
+    newOnly: !!row.new_only,
+    cron: row.cron,
+    enabled: !!row.enabled,
+    nextRunAt: row.next_run_at,
+    lastRunAt: row.last_run_at,
+    lastRunId: row.last_run_id,
+    lastStatus: row.last_status,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Create a schedule.
+ *
+ * @param {Object} schedule - { name, court, proceeding, lookbackDays, minEstateValue, newOnly, cron, nextRunAt }
+ */
+export function createSchedule({ name, court, proceeding, lookbackDays, minEstateValue, newOnly = false, cron, nextRunAt }) {
+  const id = randomUUID();
+  getDb()
+    .prepare(
+      `INSERT INTO schedules
+         (id, name, court, proceeding, lookback_days, min_estate_value, new_only, cron, next_run_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(id, name, court, proceeding, lookbackDays, minEstateValue, newOnly ? 1 : 0, cron, nextRunAt, new Date().toISOString());
+  return getSchedule(id);
+}
+
+/**
+ * Get a schedule by ID, or null.
+ */
+export function getSchedule(id) {
+  return toSchedule(getDb().prepare('SELECT * FROM schedules WHERE id = ?').get(id));
+}
+
+/**
+ * List all schedules, soonest next run first.
+ */
+export function listSchedules() {
+  return getDb()
+    .prepare('SELECT * FROM schedules ORDER BY enabled DESC, next_run_at')
+    .all()
+    .map(toSchedule);
+}
+
+/**
+ * Enabled schedules whose next run time has passed.
+ */
+export function listDueSchedules(now = new Date()) {
+  return getDb()
+    .prepare('SELECT * FROM schedules WHERE enabled = 1 AND next_run_at <= ? ORDER BY next_run_at')
+    .all(now.toISOString())
+    .map(toSchedule);
+}
+
+const COLUMNS = {
+  name: 'name',
+  court: 'court',
+  proceeding: 'proceeding',
+  lookbackDays: 'lookback_days',
+  minEstateValue: 'min_estate_value',
+  newOnly: 'new_only',
+  cron: 'cron',
+  enabled: 'enabled',
+  nextRunAt: 'next_run_at',
+  lastRunAt: 'last_run_at',
+  lastRunId: 'last_run_id',
+  lastStatus: 'last_status',
+  lastError: 'last_error',
+};
+
+/**
+ * Update any of a schedule's fields (camelCase keys, as returned by getSchedule).
+ */
+export function updateSchedule(id, changes) {
+  const db = getDb();
+  for (const [key, value] of Object.entries(changes)) {
+    const column = COLUMNS[key];
+    if (!column) continue;
+    const dbValue = typeof value === 'boolean' ? (value ? 1 : 0) : value ?? null;
+    db.prepare(`UPDATE schedules SET ${column} = ? WHERE id = ?`).run(dbValue, id);
+  }
+  return getSchedule(id);
+}
+
+/**
+ * Delete a schedule (its past runs are kept).
+ */
+export function deleteSchedule(id) {
+  return getDb().prepare('DELETE FROM schedules WHERE id = ?').run(id).changes > 0;
+}
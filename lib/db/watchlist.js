@@ -0,0 +1,181 @@
+/**
+ * Watchlist — files we keep re-checking on the court site, and the changes
+ * (new documents, estate closed, attorney changed...) each check found.
+ * Each watch keeps its own snapshot of the File History as of its last
+ * check, which the next check diffs against: file_history can't serve,
+ * since any other lookup of the file (a run, /api/docket) overwrites it.
+ */
+import { getDb } from './index';
+
+function toWatch(row) {
+  if (!row) return null;
+  return {
+    court: row.court,
+    fileNumber: row.file_number,
+    label: row.label,
+    addedAt: row.added_at,
+    lastCheckedAt: row.last_checked_at,
+    lastError: row.last_error,
+  };
+}
+
+function toChange(row) {
+  return {
+    id: row.id,
+    court: row.court,
+    fileNumber: row.file_number,
+    kind: row.kind,
+    summary: row.summary,
+    detail: row.detail_json ? JSON.parse(row.detail_json) : null,
+    detectedAt: row.detected_at,
+    seen: !!row.seen,
+  };
+}
+
+/**
+ * Start watching a file (already-watched files keep their history).
+ *
+ * @param {Object} watch - { court, fileNumber, label? }
+ */
+export function addWatch({ court, fileNumber, label = null }) {
+  // A file already looked up starts from that lookup as its snapshot
+  getDb()
+    .prepare(
+      `INSERT INTO watchlist (court, file_number, label, added_at, snapshot_json)
+       VALUES (?, ?, ?, ?, (
+         SELECT json_object('parties', json(parties_json), 'metadata', json(metadata_json), 'docket', json(docket_json))
+         FROM file_history WHERE court = ? AND file_number = ?
+       ))
+       ON CONFLICT (court, file_number) DO UPDATE SET label = COALESCE(excluded.label, label)`
+    )
+    .run(court, fileNumber, label, new Date().toISOString(), court, fileNumber);
+  return getWatch(court, fileNumber);
+}
+
+/**
+ * Get one watched file, or null.
+ */
+export function getWatch(court, fileNumber) {
+  return toWatch(
+    getDb().prepare('SELECT * FROM watchlist WHERE court = ? AND file_number = ?').get(court, fileNumber)
+  );
+}
+
+/**
+ * The File History ({ parties, metadata, docket }) a watched file had at its
+ * last check, or null before its first.
+ */
+export function getWatchSnapshot(court, fileNumber) {
+  const row = getDb()
+    .prepare('SELECT snapshot_json FROM watchlist WHERE court = ? AND file_number = ?')
+    .get(court, fileNumber);
+  return row?.snapshot_json ? JSON.parse(row.snapshot_json) : null;
+}
+
+/**
+ * Stop watching a file. Its recorded changes are kept.
+ */
+export function removeWatch(court, fileNumber) {
+  return getDb().prepare('DELETE FROM watchlist WHERE court = ? AND file_number = ?').run(court, fileNumber).changes > 0;
+}
+
+/**
+ * All watched files, newest first, with the decedent name from the filing
+ * and how many unseen changes each has.
+ */
+export function listWatches() {
+  return getDb()
+    .prepare(
+      `SELECT w.*, f.file_name,
+         (SELECT COUNT(*) FROM watch_changes c
+           WHERE c.court = w.court AND c.file_number = w.file_number AND c.seen = 0) AS unseen
+       FROM watchlist w
+       LEFT JOIN filings f ON f.court = w.court AND f.file_number = w.file_number
+       ORDER BY w.added_at DESC`
+    )
+    .all()
+    .map((row) => ({ ...toWatch(row), fileName: row.file_name, unseenChanges: row.unseen }));
+}
+
+/**
+ * Watched files not checked since `before` (never-checked files first).
+ */
+export function listDueWatches(before) {
+  return getDb()
+    .prepare(
+      `SELECT * FROM watchlist WHERE last_checked_at IS NULL OR last_checked_at <= ?
+       ORDER BY last_checked_at IS NOT NULL, last_checked_at`
+    )
+    .all(before.toISOString())
+    .map(toWatch);
+}
+
+/**
+ * Record the outcome of checking a watched file.
+ */
+export function markWatchChecked(court, fileNumber, error = null) {
+  getDb()
+    .prepare('UPDATE watchlist SET last_checked_at = ?, last_error = ? WHERE court = ? AND file_number = ?')
+    .run(new Date().toISOString(), error, court, fileNumber);
+}
+
+/**
+ * Record the changes one check found on a file, and the File History it
+ * found as the file's new snapshot.
+ *
+ * @param {Array<{kind, summary, detail}>} changes
+ * @param {{parties, metadata, docket}} snapshot
+ */
+export function recordWatchChanges(court, fileNumber, changes, { parties, metadata, docket }) {
+  const db = getDb();
+  const now = new Date().toISOString();
+  const insert = db.prepare(
+    `INSERT INTO watch_changes (court, file_number, kind, summary, detail_json, detected_at)
+     VALUES (?, ?, ?, ?, ?, ?)`
+  );
+  db.transaction(() => {
+    for (const c of changes) {
+      insert.run(court, fileNumber, c.kind, c.summary, c.detail ? JSON.stringify(c.detail) : null, now);
+    }
+    db.prepare('UPDATE watchlist SET snapshot_json = ? WHERE court = ? AND file_number = ?').run(
+      JSON.stringify({ parties, metadata, docket }),
+      court,
+      fileNumber
+    );
+  })();
+}
+
+/**
+ * The changes feed, newest first.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.unseenOnly]
+ * @param {number} [options.limit]
+ */
+export function listWatchChanges({ unseenOnly = false, limit = 200 } = {}) {
+  return getDb()
+    .prepare(
+      `SELECT * FROM watch_changes ${unseenOnly ? 'WHERE seen = 0' : ''}
+       ORDER BY detected_at DESC, id DESC LIMIT ?`
+    )
+    .all(limit)
+    .map(toChange);
+}
+
+/**
+ * Number of changes nobody has marked as seen yet.
+ */
+export function countUnseenChanges() {
+  return getDb().prepare('SELECT COUNT(*) AS n FROM watch_changes WHERE seen = 0').get().n;
+}
+
+/**
+ * Mark every change up to `throughId` (default: all of them) as seen.
+ *
+ * @returns {number} How many changes were marked
+ */
+export function markChangesSeen(throughId = null) {
+  const db = getDb();
+  if (throughId == null) return db.prepare('UPDATE watch_changes SET seen = 1 WHERE seen = 0').run().changes;
+  return db.prepare('UPDATE watch_changes SET seen = 1 WHERE seen = 0 AND id <= ?').run(throughId).changes;
+}
@@ -0,0 +1,86 @@
+/**
+ * File number lists — parses pasted text or an uploaded CSV into court file
+ * numbers ("2022-4682", "2022-4682/A") for a run that skips the search.
+ * Pure functions: used by ScrapeForm and re-checked by POST /api/jobs.
+ */
+
+// Year, sequence number and an optional "/A"-style suffix
+export const FILE_NUMBER_REGEX = /^\d{4}-\d{1,6}(\/[A-Z])?$/;
+
+// Most file numbers one run will take (about an hour of lookups)
+export const MAX_IMPORTED_FILE_NUMBERS = 500;
+
+// Header cell naming the file number column ("File Number", "File #", "File No.")
+const FILE_NUMBER_HEADER = /^file\s*(number|num|no\.?|#)$/i;
+
+/**
+ * Split one CSV line into cells, honouring double-quoted cells.
+ */
+function splitCSVLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells;
+}
+
+/**
+ * Normalize one entry: trims, upper-cases the suffix and drops stray quotes.
+ */
+export function normalizeFileNumber(value) {
+  return String(value ?? '').trim().replace(/^["']+|["']+$/g, '').trim().toUpperCase();
+}
+
+/**
+ * Read file numbers from pasted text or CSV contents.
+ *
+ * A CSV with a "File Number" header column (e.g. an earlier export) is read
+ * from that column only; anything else is split on whitespace, commas and
+ * semicolons. Duplicates are dropped.
+ *
+ * @param {string} text
+ * @returns {{fileNumbers: string[], invalid: string[]}}
+ */
+export function parseFileNumberList(text) {
+  const lines = String(text || '').split(/\r?\n/).filter((l) => l.trim());
+
+  let entries;
+  const header = lines.length ? splitCSVLine(lines[0]).map((c) => c.trim()) : [];
+  const column = header.findIndex((c) => FILE_NUMBER_HEADER.test(c));
+  if (column !== -1) {
+    entries = lines.slice(1).map((l) => splitCSVLine(l)[column]);
+  } else {
+    entries = lines.flatMap((l) => l.split(/[\s,;]+/));
+  }
+
+  const fileNumbers = [];
+  const invalid = [];
+  for (const entry of entries.map(normalizeFileNumber).filter(Boolean)) {
+    if (!FILE_NUMBER_REGEX.test(entry)) {
+      if (!invalid.includes(entry)) invalid.push(entry);
+    } else if (!fileNumbers.includes(entry)) {
+      fileNumbers.push(entry);
+    }
+  }
+  return { fileNumbers, invalid };
+}
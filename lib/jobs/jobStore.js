@@ -0,0 +1,93 @@
+/**
+ * Scrape job store (server-only).
+ *
+ * A job is one scrape run (counties, list types, date range, min value) plus
+ * everything the worker has produced so far: the filing list, batch cursor,
+ * results, stats and log lines. Jobs are persisted after every step so a
+ * closed tab or a server restart does not lose the run.
+ */
+import { randomUUID } from 'crypto';
+import { readJSON, writeJSON, listKeys } from '@/lib/storage';
+
+const COLLECTION = 'jobs';
+const MAX_LOG_LINES = 500;
+
+// Statuses the worker still has to pick up or finish
+export const ACTIVE_STATUSES = ['queued', 'searching', 'processing'];
+
+/**
+ * Create and persist a new queued job.
+ *
+ * @param {Object} params - { counties, proceedings, fromDate, toDate, minEstateValue, newOnly, scheduleId? }
+ *   (schedules queue a single county / proceeding), or
+ *   { counties, proceedings, fileNumbers, minEstateValue } for an imported list
+ */
+export async function createJob(params) {
+  const now = new Date().toISOString();
+  const job = {
+    id: randomUUID(),
+    status: 'queued', // queued | searching | processing | complete | error | cancelled
+    params,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+    files: [],
+    dateChunks: [],
+    nextBatch: 0,
+    currentBatch: 0,
+    totalBatches: 0,
+    results: [],
+    stats: { found: 0, known: 0, processed: 0, included: 0, skipped: 0, errors: 0 },
+    logs: [],
+    error: null,
+  };
+  await writeJSON(COLLECTION, job.id, job);
+  return job;
+}
+
+/**
+ * Load a job by ID, or null if it does not exist.
+ */
+export async function getJob(id) {
+  return readJSON(COLLECTION, id);
+}
+
+/**
+ * Persist a job, stamping updatedAt.
+ */
+export async function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  await writeJSON(COLLECTION, job.id, job);
+}
+
+/**
+ * List all jobs (without their files/results/logs), newest first.
+ */
+export async function listJobs() {
+  const jobs = [];
+  for (const id of await listKeys(COLLECTION)) {
+    const job = await readJSON(COLLECTION, id).catch(() => null);
+    if (job) jobs.push(summarizeJob(job));
+  }
+  return jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Strip the bulky fields from a job for list views.
+ */
+export function summarizeJob(job) {
+  const { files, results, logs, dateChunks, ...summary } = job;
+  return summary;
+}
+
+/**
+ * Append a timestamped log line to a job (in memory; call saveJob to persist).
+ */
+export function appendJobLog(job, msg) {
+  const time = new Date().toLocaleTimeString();
+  job.logs.push(`[${time}] ${msg}`);
+  if (job.logs.length > MAX_LOG_LINES) {
+    job.logs.splice(0, job.logs.length - MAX_LOG_LINES);
+  }
+}
@@ -0,0 +1,324 @@
+/**
+ * Background job worker (server-only).
+ *
+ * Runs queued scrape jobs one at a time inside the Next.js server process:
+ * Phase 1 search (skipped for imported file number lists), then Phase 2 batches of BATCH_SIZE files, saving the job
+ * after every step. A job interrupted by a restart resumes from its last
+ * completed batch the next time the worker starts.
+ *
+ * Each job is also recorded as a run in the database (same ID), so its
+ * results outlive the job file.
+ *
+ * Needs a long-running server (`next start` / `next dev`); on serverless
+ * hosts the process may be frozen as soon as the request that started the
+ * worker returns.
+ */
+import { BATCH_SIZE } from '@/lib/config';
+import { catalogLabels } from '@/lib/db/catalog';
+import { logError } from '@/lib/errorLog';
+import {
+  searchFilings,
+  importedFiles,
+  processFileBatch,
+  normalizeTargets,
+  advanceSearchWatermarks,
+} from '@/lib/scraper/pipeline';
+import { ensureRun, updateRun } from '@/lib/db/runs';
+import { getSchedule, updateSchedule } from '@/lib/db/schedules';
+import { ACTIVE_STATUSES, getJob, saveJob, listJobs, appendJobLog } from './jobStore';
+
+// Shared across route modules (and dev hot reloads) in the same process
+const state = globalThis.__probateJobWorker || (globalThis.__probateJobWorker = {
+  running: false,
+  currentJobId: null,
+  cancelRequests: new Set(),
+});
+
+/**
+ * Start the worker loop if it is not already running. Safe to call often.
+ */
+export function startJobWorker() {
+  if (state.running) return;
+  state.running = true;
+
+  runLoop()
+    .catch((err) => logError('jobs/worker', err.message, { stack: err.stack?.substring(0, 500) }))
+    .finally(() => {
+      state.running = false;
+    });
+}
+
+/**
+ * Cancel a job. Queued jobs are cancelled immediately; running jobs (and a
+ * queued job the worker has just picked up) stop before their next search
+ * chunk or batch.
+ *
+ * @returns {Promise<Object|null>} The job, or null if not found
+ */
+export async function cancelJob(id) {
+  const job = await getJob(id);
+  if (!job || !ACTIVE_STATUSES.includes(job.status)) return job;
+
+  // Also requested for queued jobs: the worker may have loaded this one since it was read
+  state.cancelRequests.add(id);
+  if (job.status === 'queued' && state.currentJobId !== id) {
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    appendJobLog(job, 'Scrape cancelled by user.');
+    await persistJob(job);
+  }
+  return job;
+}
+
+async function runLoop() {
+  while (true) {
+    // Oldest first, so interrupted jobs resume before newer queued ones
+    const active = (await listJobs())
+      .filter((j) => ACTIVE_STATUSES.includes(j.status))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    for (const id of state.cancelRequests) {
+      if (!active.some((j) => j.id === id)) state.cancelRequests.delete(id);
+    }
+    if (active.length === 0) return;
+
+    // Claim the job, then re-read it: it may have been cancelled since it was listed
+    state.currentJobId = active[0].id;
+    try {
+      const job = await getJob(active[0].id);
+      if (job && ACTIVE_STATUSES.includes(job.status)) await runJob(job);
+    } finally {
+      state.currentJobId = null;
+    }
+  }
+}
+
+// Finish the job as cancelled if the user asked; true when it was
+async function stopIfCancelled(job) {
+  if (!state.cancelRequests.has(job.id)) return false;
+  finishJob(job, 'cancelled');
+  appendJobLog(job, 'Scrape cancelled by user.');
+  await persistJob(job);
+  return true;
+}
+
+function chunkArray(arr, size) {
+  const chunks = [];
+  for (let i = 0; i < arr.length; i += size) {
+    chunks.push(arr.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Incremental searches start after what this run has processed so far (imports search nothing)
+function advanceWatermarks(job) {
+  if (!job.searched) return;
+  advanceSearchWatermarks({ searched: job.searched, files: job.files, results: job.results });
+}
+
+async function runJob(job) {
+  const { fromDate, toDate, minEstateValue, newOnly, scheduleId, fileNumbers } = job.params;
+  const { counties, proceedings } = normalizeTargets(job.params);
+  const { courtLabel, proceedingLabel } = catalogLabels();
+
+  try {
+    if (await stopIfCancelled(job)) return;
+
+    // === PHASE 1: Search (resumes from its last checkpointed chunk if interrupted) ===
+    if (job.status === 'queued' || job.status === 'searching') {
+      job.status = 'searching';
+      job.startedAt = job.startedAt || new Date().toISOString();
+      ensureRun({
+        id: job.id,
+        court: counties.join(','),
+        proceeding: proceedings.join(','),
+        // Imported runs have no date range
+        fromDate: fromDate || '',
+        toDate: toDate || '',
+        minEstateValue,
+        newOnly,
+        scheduleId,
+      });
+
+      if (fileNumbers) {
+        job.files = importedFiles({ counties, proceedings, fileNumbers });
+        appendJobLog(
+          job,
+          `Imported ${job.files.length} file numbers for ${courtLabel(counties[0])} ${proceedingLabel(proceedings[0])} — skipping the search.`
+        );
+      } else {
+        appendJobLog(
+          job,
+          `Searching ${counties.map(courtLabel).join(', ')} for ${proceedings.map(proceedingLabel).join(', ')}...`
+        );
+        appendJobLog(job, `Date range: ${fromDate} to ${toDate}${newOnly ? ' (new filings only)' : ''}`);
+        await persistJob(job);
+
+        const search = await searchFilings({
+          counties,
+          proceedings,
+          fromDate,
+          toDate,
+          newOnly,
+          runId: job.id,
+          shouldStop: () => state.cancelRequests.has(job.id),
+        });
+        if (!search) {
+          await stopIfCancelled(job);
+          return;
+        }
+        const { files, dateChunks, knownCount, searched, searchedChunks, resumedChunks, cachedChunks } = search;
+
+        job.files = files;
+        job.searched = searched;
+        job.dateChunks = dateChunks;
+        job.stats.known = knownCount;
+        const searches = counties.length * proceedings.length;
+        appendJobLog(
+          job,
+          `Found ${files.length} filings across ${dateChunks.length} month chunk(s)` +
+            `${searches > 1 ? ` in each of ${searches} county/list type searches` : ''}.`
+        );
+        if (searchedChunks > dateChunks.length * searches) {
+          appendJobLog(job, `Large months were searched week by week or day by day (${searchedChunks} searches).`);
+        }
+        if (resumedChunks > 0) {
+          appendJobLog(job, `Resumed the search: ${resumedChunks} chunk(s) came from the last checkpoint.`);
+        }
+        if (cachedChunks > 0) {
+          appendJobLog(job, `${cachedChunks} chunk(s) came from the search cache.`);
+        }
+        if (newOnly) {
+          appendJobLog(job, `Skipped ${knownCount} filing(s) already processed by earlier runs.`);
+        }
+      }
+
+      const { files } = job;
+      job.stats.found = files.length;
+      job.totalBatches = Math.ceil(files.length / BATCH_SIZE);
+      job.nextBatch = 0;
+
+      if (files.length === 0) {
+        advanceWatermarks(job);
+        finishJob(job, 'complete');
+        appendJobLog(job, 'No filings found. Done.');
+        await persistJob(job);
+        return;
+      }
+
+      job.status = 'processing';
+      await persistJob(job);
+    } else {
+      appendJobLog(job, `Resuming at batch ${job.nextBatch + 1}/${job.totalBatches}.`);
+    }
+
+    // === PHASE 2: Process in batches ===
+    const batches = chunkArray(job.files, BATCH_SIZE);
+
+    for (let i = job.nextBatch; i < batches.length; i++) {
+      if (await stopIfCancelled(job)) return;
+
+      job.currentBatch = i + 1;
+      appendJobLog(job, `Processing batch ${i + 1}/${batches.length} (${batches[i].length} files)...`);
+      await persistJob(job);
+
+      try {
+        const { results, batchStats, sessionReused } = await processFileBatch({
+          county: counties[0],
+          files: batches[i],
+          proceeding: proceedings[0],
+          minEstateValue,
+          runId: job.id,
+        });
+
+        if (batchStats.cacheHits > 0) {
+          appendJobLog(job, `  ${batchStats.cacheHits} from cache, ${batchStats.liveFetches} fetched from the court site.`);
+        }
+        if (sessionReused) {
+          appendJobLog(job, '  Reused saved browser session (no gate bypass needed).');
+        }
+
+        job.results.push(...results);
+        job.stats.included += batchStats.included;
+        job.stats.skipped += batchStats.skipped;
+        job.stats.errors += batchStats.errors;
+        job.stats.processed += results.length;
+
+        // Log individual outcomes
+        for (const r of results) {
+          if (r.status === 'included') {
+            const d = r.data || {};
+            const lower = d.estateValueLower?.toLocaleString() || '?';
+            const upper = d.estateValueUpper?.toLocaleString() || '?';
+            const ocr = d.extraction === 'ocr' ? ' [OCR]' : '';
+            const where = counties.length > 1 ? ` [${r.county}]` : '';
+            appendJobLog(job, `  INCLUDED: ${r.fileNumber}${where} - ${d.decedentName || r.fileName} ($${lower}-$${upper})${ocr}`);
+          } else if (r.status === 'skipped') {
+            appendJobLog(job, `  SKIPPED: ${r.fileNumber} - ${r.reason}`);
+          } else {
+            appendJobLog(job, `  ERROR: ${r.fileNumber} - ${r.reason}`);
+          }
+        }
+      } catch (err) {
+        logError('jobs/worker', err.message, { jobId: job.id, batch: i + 1 });
+        appendJobLog(job, `Batch ${i + 1} error: ${err.message}. Skipping...`);
+        job.stats.errors += batches[i].length;
+        job.stats.processed += batches[i].length;
+      }
+
+      job.nextBatch = i + 1;
+      advanceWatermarks(job);
+      await persistJob(job);
+    }
+
+    finishJob(job, 'complete');
+    appendJobLog(
+      job,
+      `Complete. Included: ${job.stats.included}, Skipped: ${job.stats.skipped}, Errors: ${job.stats.errors}`
+    );
+    await persistJob(job);
+  } catch (err) {
+    logError('jobs/worker', err.message, { jobId: job.id, stack: err.stack?.substring(0, 500) });
+    finishJob(job, 'error');
+    job.error = err.message;
+    appendJobLog(job, `Fatal error: ${err.message}`);
+    await persistJob(job);
+  }
+}
+
+/**
+ * Save the job file and mirror its status/counts onto the run record
+ * (and onto its schedule's last outcome, for scheduled jobs).
+ */
+async function persistJob(job) {
+  await saveJob(job);
+  try {
+    updateRun(job.id, {
+      status: job.status,
+      stats: job.stats,
+      error: job.error,
+      finished: !ACTIVE_STATUSES.includes(job.status),
+    });
+    if (job.params.scheduleId) recordScheduleOutcome(job);
+  } catch (err) {
+    logError('jobs/worker', `Could not update run record: ${err.message}`, { jobId: job.id });
+  }
+}
+
+function recordScheduleOutcome(job) {
+  const schedule = getSchedule(job.params.scheduleId);
+  if (!schedule || schedule.lastRunId !== job.id) return;
+
+  if (job.status !== schedule.lastStatus && job.status === 'error') {
+    logError('scheduler', `Scheduled scrape "${schedule.name}" failed: ${job.error}`, {
+      scheduleId: schedule.id,
+      jobId: job.id,
+    });
+  }
+  updateSchedule(schedule.id, { lastStatus: job.status, lastError: job.error });
+}
+
+function finishJob(job, status) {
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+  state.cancelRequests.delete(job.id);
+}
@@ -0,0 +1,62 @@
+/**
+ * Petition PDF archive (server-only).
+ *
+ * Every petition PDF downloaded is kept under DATA_DIR/pdfs, named by the
+ * SHA-256 of its content, so identical files are stored once and a name
+ * always means the same bytes. Which filing a PDF belongs to is recorded in
+ * the database (see linkPetitionPdf in lib/db/filings.js).
+ */
+import { createHash, randomBytes } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { DATA_DIR } from './storage';
+
+const PDF_DIR = path.join(DATA_DIR, 'pdfs');
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Check that a caller-supplied hash is a SHA-256 hex digest.
+ */
+export function isValidPdfHash(hash) {
+  return typeof hash === 'string' && HASH_PATTERN.test(hash);
+}
+
+function pdfPath(hash) {
+  if (!isValidPdfHash(hash)) throw new Error(`Invalid PDF hash: ${String(hash).substring(0, 80)}`);
+  return path.join(PDF_DIR, `${hash}.pdf`);
+}
+
+/**
+ * Store a PDF (a no-op if the same content is already archived).
+ *
+ * @param {Buffer} buffer
+ * @returns {Promise<{sha256: string, size: number}>}
+ */
+export async function archivePdf(buffer) {
+  const sha256 = createHash('sha256').update(buffer).digest('hex');
+  const target = pdfPath(sha256);
+  try {
+    await fs.access(target);
+  } catch {
+    await fs.mkdir(PDF_DIR, { recursive: true });
+    const tmp = `${target}.${process.pid}.${randomBytes(6).toString('hex')}.tmp`; // concurrent archivers of one PDF
+    await fs.writeFile(tmp, buffer);
+    await fs.rename(tmp, target);
+  }
+  return { sha256, size: buffer.length };
+}
+
+/**
+ * Read an archived PDF, or null if it is not in the archive.
+ *
+ * @param {string} hash
+ * @returns {Promise<Buffer|null>}
+ */
+export async function readArchivedPdf(hash) {
+  try {
+    return await fs.readFile(pdfPath(hash));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Minimal 5-field cron expressions: "minute hour day-of-month month day-of-week".
+ *
+ * Supports *, numbers, lists (1,15), ranges (1-5) and steps (*\/15, 0-30/5).
+ * Day-of-week is 0-6 (Sunday = 0; 7 is also accepted for Sunday).
+ * Times are evaluated in the server's local time zone (set TZ to change it).
+ *
+ * Example: "0 6 * * 1" = every Monday at 6:00am.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+function parseField(expr, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of expr.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid cron ${name}: "${part}"`);
+
+    let start = min;
+    let end = max;
+    if (match[1] !== '*') {
+      const [a, b] = match[1].split('-').map(Number);
+      start = a;
+      end = b === undefined ? (match[2] ? max : a) : b;
+    }
+    const step = match[2] ? Number(match[2]) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name}: "${part}" (allowed ${min}-${max})`);
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression. Throws with a readable message if invalid.
+ *
+ * @param {string} expr
+ * @returns {{minutes: Set, hours: Set, days: Set, months: Set, weekdays: Set, anyDay: boolean, anyWeekday: boolean}}
+ */
+export function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*',
+  };
+}
+
+// Standard cron: if both day fields are restricted, either one matching is enough
+function dayMatches(cron, date) {
+  const dom = cron.days.has(date.getDate());
+  const dow = cron.weekdays.has(date.getDay());
+  if (cron.anyDay) return dow;
+  if (cron.anyWeekday) return dom;
+  return dom || dow;
+}
+
+/**
+ * Next time (strictly after `after`) the expression fires.
+ *
+ * @param {string} expr
+ * @param {Date} [after]
+ * @returns {Date}
+ */
+export function nextCronTime(expr, after = new Date()) {
+  const cron = parseCron(expr);
+  const t = new Date(after);
+  t.setSeconds(0, 0);
+  t.setMinutes(t.getMinutes() + 1);
+
+  // Skip ahead a month/day/hour at a time; bounded to ~5 years of searching
+  const limit = new Date(t);
+  limit.setFullYear(limit.getFullYear() + 5);
+
+  while (t <= limit) {
+    if (!cron.months.has(t.getMonth() + 1)) {
+      t.setMonth(t.getMonth() + 1, 1);
+      t.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(cron, t)) {
+      t.setDate(t.getDate() + 1);
+      t.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(t.getHours())) {
+      t.setHours(t.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(t.getMinutes())) {
+      t.setMinutes(t.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return t;
+  }
+
+  throw new Error(`Cron expression "${expr}" never fires`);
+}
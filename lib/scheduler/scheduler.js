@@ -0,0 +1,148 @@
+/**
+ * Recurring scrape scheduler (server-only).
+ *
+ * Every SCHEDULER_TICK_MS it queues a job for each enabled schedule whose
+ * next run time has passed, searching the previous `lookbackDays` days
+ * (through yesterday). The job worker then runs it like any other scrape
+ * and records it as a run; the worker also reports the outcome back onto
+ * the schedule.
+ *
+ * Missed runs (server was down) are caught up once, not once per miss.
+ * Like the job worker, this needs a long-running server process.
+ */
+import { SCHEDULER_TICK_MS } from '@/lib/config';
+import { logError } from '@/lib/errorLog';
+import { formatDate } from '@/lib/scraper/dateUtils';
+import { validateSearchParams, resolveSearchRange } from '@/lib/scraper/pipeline';
+import { getProceedingHandler } from '@/lib/scraper/proceedings';
+import { listDueSchedules, updateSchedule } from '@/lib/db/schedules';
+import { getCatalog } from '@/lib/db/catalog';
+import { createJob } from '@/lib/jobs/jobStore';
+import { startJobWorker } from '@/lib/jobs/worker';
+import { nextCronTime } from './cron';
+
+// Shared across route modules (and dev hot reloads) in the same process
+const state = globalThis.__probateScheduler || (globalThis.__probateScheduler = {
+  timer: null,
+  ticking: false,
+});
+
+/**
+ * Start the scheduler timer if it is not already running. Safe to call often.
+ */
+export function startScheduler() {
+  if (state.timer) return;
+  state.timer = setInterval(tick, SCHEDULER_TICK_MS);
+  state.timer.unref?.(); // never the only thing keeping the process alive
+  tick();
+}
+
+async function tick() {
+  if (state.ticking) return;
+  state.ticking = true;
+  try {
+    for (const schedule of listDueSchedules()) {
+      await runSchedule(schedule);
+    }
+  } catch (err) {
+    logError('scheduler', err.message, { stack: err.stack?.substring(0, 500) });
+  } finally {
+    state.ticking = false;
+  }
+}
+
+/**
+ * Validate schedule fields (all optional, for PATCH). A schedule's county
+ * must be in the catalog and its proceeding must have a handler, so a bad
+ * schedule is refused when saved rather than failing when it fires.
+ *
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateScheduleFields({ name, court, proceeding, lookbackDays, minEstateValue, cron, newOnly, enabled }) {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return 'name must be a non-empty string';
+  }
+  if (court !== undefined && !getCatalog().courts.some((c) => c.value === court)) {
+    return `Unknown county: ${court}`;
+  }
+  if (proceeding !== undefined && !getProceedingHandler(proceeding)) {
+    return `Unsupported proceeding: ${proceeding}`;
+  }
+  for (const [field, value] of [['newOnly', newOnly], ['enabled', enabled]]) {
+    if (value !== undefined && typeof value !== 'boolean') return `${field} must be true or false`;
+  }
+  if (lookbackDays !== undefined && (!Number.isInteger(lookbackDays) || lookbackDays < 1 || lookbackDays > 366)) {
+    return 'lookbackDays must be a whole number from 1 to 366';
+  }
+  if (minEstateValue !== undefined && (typeof minEstateValue !== 'number' || minEstateValue < 0)) {
+    return 'minEstateValue must be a non-negative number';
+  }
+  if (cron !== undefined) {
+    try {
+      nextCronTime(cron);
+    } catch (err) {
+      return err.message;
+    }
+  }
+  return null;
+}
+
+/**
+ * Job parameters for one run of a schedule: the last `lookbackDays` full days.
+ */
+export function scheduleJobParams(schedule, now = new Date()) {
+  const from = new Date(now.getFullYear(), now.getMonth(), now.getDate() - schedule.lookbackDays);
+  const to = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+
+  return {
+    county: schedule.court,
+    proceeding: schedule.proceeding,
+    fromDate: formatDate(from),
+    toDate: formatDate(to),
+    minEstateValue: schedule.minEstateValue,
+    newOnly: schedule.newOnly,
+    scheduleId: schedule.id,
+  };
+}
+
+/**
+ * Queue a job for a schedule and advance its next run time.
+ *
+ * @param {Object} schedule
+ * @param {Object} [options]
+ * @param {boolean} [options.manual] - "Run now": keep the regular next run time
+ * @returns {Promise<Object|null>} The queued job, or null if it could not be started
+ */
+export async function runSchedule(schedule, { manual = false } = {}) {
+  const now = new Date();
+  let nextRunAt = schedule.nextRunAt;
+  try {
+    if (!manual) nextRunAt = nextCronTime(schedule.cron, now).toISOString();
+
+    const params = scheduleJobParams(schedule, now);
+    const validationError = validateSearchParams({ ...params, ...resolveSearchRange(params) });
+    if (validationError) throw new Error(validationError);
+
+    const job = await createJob(params);
+    updateSchedule(schedule.id, {
+      nextRunAt,
+      lastRunAt: now.toISOString(),
+      lastRunId: job.id,
+      lastStatus: job.status,
+      lastError: null,
+    });
+    startJobWorker();
+    return job;
+  } catch (err) {
+    logError('scheduler', `Schedule "${schedule.name}" could not start: ${err.message}`, {
+      scheduleId: schedule.id,
+    });
+    updateSchedule(schedule.id, {
+      nextRunAt,
+      lastRunAt: now.toISOString(),
+      lastStatus: 'error',
+      lastError: err.message,
+    });
+    return null;
+  }
+}
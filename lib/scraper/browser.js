@@ -1,15 +1,17 @@
 /**
- * Browser connection module — Playwright + Browserless.io (server-only).
+ * Browser connection module — Playwright + pluggable browser provider (server-only).
  *
  * The court website (websurrogates.nycourts.gov) has TWO layers of protection:
  *   Layer 1: Cloudflare challenge (JS check / Turnstile) on every first request
  *   Layer 2: hCaptcha on /Home/AuthenticatePage + "File Search" button click
  *
- * We use Browserless /stealth?solveCaptchas=true which should handle both.
+ * By default we use Browserless /stealth?solveCaptchas=true which should handle both.
  * The CDP captchaFound/solveCaptcha events fire for Cloudflare AND hCaptcha.
+ * Local/CDP providers (see browserProviders.js) need a person to solve hCaptcha.
  */
-import { chromium } from 'playwright-core';
-import { BROWSERLESS_WS_ENDPOINT, BASE_URL, PAGE_TIMEOUT_MS, REQUEST_DELAY_MS, MAX_RETRIES } from '@/lib/config';
+import { BASE_URL, PAGE_TIMEOUT_MS, REQUEST_DELAY_MS, MAX_RETRIES } from '@/lib/config';
+import { getBrowserProvider } from './browserProviders';
+import { loadSession, saveSession, clearSession } from './sessionStore';
 
 /**
  * Wait for Cloudflare challenge to clear by polling the page URL.
@@ -40,35 +42,82 @@ async function waitForCloudflare(page, timeoutMs = 25000) {
 }
 
 /**
- * Connect to Browserless.io and navigate through all protection layers
- * to reach /File/FileSearch.
+ * Try to restore a saved gate-bypass session into a fresh context.
+ * Valid means /File/FileSearch loads with its form instead of bouncing
+ * to Cloudflare, Welcome or AuthenticatePage.
+ *
+ * @returns {Promise<{page, context}|null>} null if missing or expired
  */
-export async function connectBrowser() {
-  const apiKey = process.env.BROWSERLESS_API_KEY;
-  if (!apiKey || apiKey === 'your_api_key_here') {
-    throw new Error(
-      'BROWSERLESS_API_KEY is not configured. Set it in Vercel Environment Variables.'
-    );
+async function restoreSession(browser, sessionKey) {
+  const storageState = await loadSession(sessionKey).catch(() => null);
+  if (!storageState) return null;
+
+  const context = await browser.newContext({ storageState });
+  const page = await context.newPage();
+  page.setDefaultTimeout(PAGE_TIMEOUT_MS);
+  page.setDefaultNavigationTimeout(25000);
+
+  try {
+    await page.goto(`${BASE_URL}/File/FileSearch`, {
+      waitUntil: 'domcontentloaded',
+      timeout: 20000,
+    });
+    const url = page.url();
+    if (url.includes('FileSearch') && (await page.$('#CourtSelect'))) {
+      console.log(`Reused saved session for run ${sessionKey}. Now on: ${url}`);
+      return { page, context };
+    }
+    console.log(`Saved session for run ${sessionKey} expired (landed on ${url}) — doing full gate bypass.`);
+  } catch (err) {
+    console.warn(`Saved session check failed for run ${sessionKey}: ${err.message}`);
+  }
+
+  await context.close().catch(() => {});
+  await clearSession(sessionKey).catch(() => {});
+  return null;
+}
+
+/**
+ * Connect to the configured browser provider (see browserProviders.js) and
+ * navigate through all protection layers to reach /File/FileSearch.
+ *
+ * With a sessionKey (the run ID), a session saved by an earlier call for the
+ * same run is reused when still valid, and a fresh bypass is saved for later.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.sessionKey] - Run ID to save/restore the gate-bypass session under
+ * @returns {Promise<{browser, page, context, provider: string, sessionReused: boolean}>}
+ */
+export async function connectBrowser({ sessionKey } = {}) {
+  const provider = getBrowserProvider();
+  const configError = provider.checkConfig();
+  if (configError) {
+    throw new Error(configError);
   }
 
-  const wsEndpoint = BROWSERLESS_WS_ENDPOINT(apiKey);
-  console.log(`Connecting to Browserless at ${wsEndpoint.replace(apiKey, 'KEY_HIDDEN')}...`);
+  console.log(`Connecting to ${provider.label} at ${provider.describe()}...`);
+  const browser = await provider.connect();
 
-  let browser;
+  // Callers only get the browser back on success: close it on any failure
   try {
-    browser = await chromium.connectOverCDP(wsEndpoint);
+    return await passGate(browser, provider, sessionKey);
   } catch (err) {
-    const msg = err.message || String(err);
-    if (msg.includes('ENOTFOUND') || msg.includes('getaddrinfo')) {
-      throw new Error('Cannot reach Browserless.io — check internet or API key.');
-    }
-    if (msg.includes('401') || msg.includes('403') || msg.includes('Unauthorized')) {
-      throw new Error('Browserless.io rejected your API key.');
-    }
-    if (msg.includes('timeout') || msg.includes('ETIMEDOUT')) {
-      throw new Error('Connection to Browserless.io timed out.');
+    await browser.close().catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Take a freshly connected browser through the protection layers (or
+ * restore the run's saved session). Throws if it doesn't reach the search.
+ */
+async function passGate(browser, provider, sessionKey) {
+  // ── Step 0: Reuse this run's saved session if the court site still accepts it ──
+  if (sessionKey) {
+    const restored = await restoreSession(browser, sessionKey);
+    if (restored) {
+      return { browser, ...restored, provider: provider.name, sessionReused: true };
     }
-    throw new Error(`Browserless connection failed: ${msg.substring(0, 200)}`);
   }
 
   const context = browser.contexts()[0] || (await browser.newContext());
@@ -79,19 +128,21 @@ export async function connectBrowser() {
 
   // ── Set up CDP session for CAPTCHA solving BEFORE navigating ──
   // This way Browserless can detect Cloudflare challenges from the start
-  const cdp = await page.context().newCDPSession(page);
   let captchaCount = 0;
 
-  cdp.on('Browserless.captchaFound', async () => {
-    captchaCount++;
-    console.log(`CAPTCHA #${captchaCount} detected, solving...`);
-    try {
-      const result = await cdp.send('Browserless.solveCaptcha');
-      console.log(`CAPTCHA #${captchaCount} result:`, JSON.stringify(result));
-    } catch (err) {
-      console.error(`CAPTCHA #${captchaCount} solve error:`, err.message);
-    }
-  });
+  if (provider.solvesCaptchas) {
+    const cdp = await page.context().newCDPSession(page);
+    cdp.on('Browserless.captchaFound', async () => {
+      captchaCount++;
+      console.log(`CAPTCHA #${captchaCount} detected, solving...`);
+      try {
+        const result = await cdp.send('Browserless.solveCaptcha');
+        console.log(`CAPTCHA #${captchaCount} result:`, JSON.stringify(result));
+      } catch (err) {
+        console.error(`CAPTCHA #${captchaCount} solve error:`, err.message);
+      }
+    });
+  }
 
   // ── Step 1: Navigate to the site and wait for Cloudflare ──
   console.log('Step 1: Navigating to court site (may trigger Cloudflare)...');
@@ -108,7 +159,7 @@ export async function connectBrowser() {
     const bodySnippet = await page.evaluate(() => document.body?.innerText?.substring(0, 200) || '').catch(() => '');
     throw new Error(
       `Cloudflare challenge did not resolve within 25s. Page shows: "${bodySnippet}". ` +
-      `Browserless stealth may not be handling this site's Cloudflare setup.`
+      `${provider.label} may not be handling this site's Cloudflare setup.`
     );
   }
 
@@ -133,9 +184,14 @@ export async function connectBrowser() {
   console.log('Step 3: Checking for AuthenticatePage...', currentUrl);
 
   if (currentUrl.includes('Authenticate')) {
-    console.log('On AuthenticatePage — waiting for hCaptcha to be solved...');
+    console.log(
+      provider.solvesCaptchas
+        ? 'On AuthenticatePage — waiting for hCaptcha to be solved...'
+        : `On AuthenticatePage — solve the hCaptcha in the browser window (${provider.captchaTimeoutMs / 1000}s)...`
+    );
 
-    // Wait for the CAPTCHA to be solved (CDP events fire automatically)
+    // Wait for the CAPTCHA to be solved (CDP events fire automatically on Browserless,
+    // otherwise someone has to solve it in a headed browser)
     // Poll for the h-captcha-response textarea to be filled
     const captchaSolved = await new Promise((resolve) => {
       let done = false;
@@ -155,14 +211,13 @@ export async function connectBrowser() {
         } catch { /* page might be navigating */ }
       }, 1000);
 
-      // Timeout after 25s
       setTimeout(() => {
         if (!done) {
           done = true;
           clearInterval(pollInterval);
           resolve(false);
         }
-      }, 25000);
+      }, provider.captchaTimeoutMs);
     });
 
     console.log(`hCaptcha solved: ${captchaSolved}`);
@@ -202,12 +257,23 @@ export async function connectBrowser() {
     throw new Error(
       `Gate bypass failed — still on ${finalUrl}. ` +
       `CAPTCHAs detected: ${captchaCount}. ` +
-      `This site uses Cloudflare + hCaptcha. Check that your Browserless ` +
-      `plan supports CAPTCHA solving (costs 10 units per solve).`
+      (provider.solvesCaptchas
+        ? `This site uses Cloudflare + hCaptcha. Check that your Browserless ` +
+          `plan supports CAPTCHA solving (costs 10 units per solve).`
+        : `${provider.label} cannot solve CAPTCHAs — run headed (BROWSER_HEADLESS=false) ` +
+          `and solve the hCaptcha by hand.`)
     );
   }
 
-  return { browser, page, context };
+  if (sessionKey) {
+    try {
+      await saveSession(sessionKey, await context.storageState());
+    } catch (err) {
+      console.warn(`Could not save session for run ${sessionKey}: ${err.message}`);
+    }
+  }
+
+  return { browser, page, context, provider: provider.name, sessionReused: false };
 }
 
 /**
@@ -0,0 +1,150 @@
+/**
+ * Browser provider registry (server-only).
+ *
+ * A provider knows how to get a Playwright Browser handle. connectBrowser()
+ * picks one via the BROWSER_PROVIDER env var and then runs the same gate
+ * bypass flow regardless of where the browser lives.
+ *
+ *   browserless — Browserless.io /stealth endpoint with captcha solving (default)
+ *   local       — launch a Chromium/Chrome installed on this machine
+ *   cdp         — attach to any CDP endpoint (e.g. chrome --remote-debugging-port)
+ *
+ * To add a provider: add an entry to PROVIDERS.
+ */
+import { chromium } from 'playwright-core';
+import {
+  BROWSERLESS_WS_ENDPOINT,
+  DEFAULT_BROWSER_PROVIDER,
+  CAPTCHA_TIMEOUT_MS,
+  MANUAL_CAPTCHA_TIMEOUT_MS,
+} from '@/lib/config';
+
+/**
+ * Translate low-level connection errors into something readable.
+ */
+function describeConnectError(err, label) {
+  const msg = err.message || String(err);
+  if (msg.includes('ENOTFOUND') || msg.includes('getaddrinfo')) {
+    return new Error(`Cannot reach ${label} — check the endpoint or your internet connection.`);
+  }
+  if (msg.includes('ECONNREFUSED')) {
+    return new Error(`${label} refused the connection — is the browser running?`);
+  }
+  if (msg.includes('timeout') || msg.includes('ETIMEDOUT')) {
+    return new Error(`Connection to ${label} timed out.`);
+  }
+  return new Error(`${label} connection failed: ${msg.substring(0, 200)}`);
+}
+
+function isHeadless() {
+  return process.env.BROWSER_HEADLESS !== 'false';
+}
+
+const PROVIDERS = {
+  browserless: {
+    label: 'Browserless.io',
+    solvesCaptchas: true,
+    captchaTimeoutMs: CAPTCHA_TIMEOUT_MS,
+
+    checkConfig() {
+      const apiKey = process.env.BROWSERLESS_API_KEY;
+      if (!apiKey || apiKey === 'your_api_key_here') {
+        return 'BROWSERLESS_API_KEY is not configured. Set it in Vercel Environment Variables.';
+      }
+      return null;
+    },
+
+    describe() {
+      const apiKey = process.env.BROWSERLESS_API_KEY || '';
+      return BROWSERLESS_WS_ENDPOINT(apiKey).replace(apiKey, 'KEY_HIDDEN');
+    },
+
+    async connect() {
+      const apiKey = process.env.BROWSERLESS_API_KEY;
+      try {
+        return await chromium.connectOverCDP(BROWSERLESS_WS_ENDPOINT(apiKey));
+      } catch (err) {
+        const msg = err.message || String(err);
+        if (msg.includes('401') || msg.includes('403') || msg.includes('Unauthorized')) {
+          throw new Error('Browserless.io rejected your API key.');
+        }
+        throw describeConnectError(err, 'Browserless.io');
+      }
+    },
+  },
+
+  local: {
+    label: 'Local Chromium',
+    solvesCaptchas: false,
+    // A visible browser lets a person at the workstation solve the hCaptcha
+    get captchaTimeoutMs() {
+      return isHeadless() ? CAPTCHA_TIMEOUT_MS : MANUAL_CAPTCHA_TIMEOUT_MS;
+    },
+
+    checkConfig() {
+      if (!process.env.CHROMIUM_EXECUTABLE_PATH && !process.env.CHROMIUM_CHANNEL) {
+        return 'Local browser needs CHROMIUM_EXECUTABLE_PATH (path to chrome/chromium) or CHROMIUM_CHANNEL (e.g. "chrome").';
+      }
+      return null;
+    },
+
+    describe() {
+      const target = process.env.CHROMIUM_EXECUTABLE_PATH || `channel "${process.env.CHROMIUM_CHANNEL}"`;
+      return `${target} (${isHeadless() ? 'headless' : 'headed'})`;
+    },
+
+    async connect() {
+      try {
+        return await chromium.launch({
+          executablePath: process.env.CHROMIUM_EXECUTABLE_PATH || undefined,
+          channel: process.env.CHROMIUM_EXECUTABLE_PATH ? undefined : process.env.CHROMIUM_CHANNEL,
+          headless: isHeadless(),
+        });
+      } catch (err) {
+        throw new Error(`Could not launch local Chromium: ${(err.message || String(err)).substring(0, 200)}`);
+      }
+    },
+  },
+
+  cdp: {
+    label: 'CDP endpoint',
+    solvesCaptchas: false,
+    captchaTimeoutMs: MANUAL_CAPTCHA_TIMEOUT_MS,
+
+    checkConfig() {
+      if (!process.env.BROWSER_CDP_URL) {
+        return 'BROWSER_CDP_URL is not configured (e.g. http://localhost:9222).';
+      }
+      return null;
+    },
+
+    describe() {
+      return process.env.BROWSER_CDP_URL;
+    },
+
+    async connect() {
+      try {
+        return await chromium.connectOverCDP(process.env.BROWSER_CDP_URL);
+      } catch (err) {
+        throw describeConnectError(err, `CDP endpoint ${process.env.BROWSER_CDP_URL}`);
+      }
+    },
+  },
+};
+
+/**
+ * Resolve the configured provider. Throws on unknown names so a typo in
+ * BROWSER_PROVIDER doesn't silently fall back to paid Browserless units.
+ *
+ * @returns {{ name: string, label: string, solvesCaptchas: boolean, captchaTimeoutMs: number,
+ *   checkConfig: () => string|null, describe: () => string, connect: () => Promise<import('playwright-core').Browser> }}
+ */
+export function getBrowserProvider(name = process.env.BROWSER_PROVIDER || DEFAULT_BROWSER_PROVIDER) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(
+      `Unknown BROWSER_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}.`
+    );
+  }
+  return { name, ...provider };
+}
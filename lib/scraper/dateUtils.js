@@ -3,7 +3,8 @@
  *
  * The NY Surrogate Court website requires date ranges to be within
  * a single calendar month. This module splits a user-provided range
- * (e.g., 01/15/2026 - 03/10/2026) into valid month-sized chunks.
+ * (e.g., 01/15/2026 - 03/10/2026) into valid month-sized chunks, and
+ * splits a chunk with too many results further into weeks or days.
  */
 
 /**
@@ -67,3 +68,29 @@ export function splitDateRange(fromStr, toStr) {
 
   return chunks;
 }
+
+/**
+ * Split a chunk into smaller ones: a chunk longer than a week into 7-day
+ * chunks, a week into single days. Returns null for a single day.
+ *
+ * Example:
+ *   splitChunk({ from: '03/01/2026', to: '03/10/2026' })
+ *   => [
+ *     { from: '03/01/2026', to: '03/07/2026' },
+ *     { from: '03/08/2026', to: '03/10/2026' },
+ *   ]
+ */
+export function splitChunk({ from: fromStr, to: toStr }) {
+  const from = parseDate(fromStr);
+  const to = parseDate(toStr);
+  const days = Math.round((to - from) / 86400000) + 1;
+  if (days <= 1) return null;
+
+  const step = days > 7 ? 7 : 1;
+  const chunks = [];
+  for (let start = new Date(from); start <= to; start.setDate(start.getDate() + step)) {
+    const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + step - 1);
+    chunks.push({ from: formatDate(start), to: formatDate(end < to ? end : to) });
+  }
+  return chunks;
+}
@@ -0,0 +1,109 @@
+/**
+ * Docket entries — the documents listed on a File History page, each with
+ * its filing date and a document type read from its title — and the estate
+ * stage they add up to.
+ *
+ * Pure functions: no browser, usable client-side.
+ */
+
+// Document title → type, first match wins. Petitions, renunciations and
+// decrees name the letters they ask for, refuse or grant ("PETITION FOR
+// LETTERS OF ADMINISTRATION"), so they come first and only the issued
+// letters themselves count as letters.
+export const DOCUMENT_TYPES = [
+  { type: 'petition', pattern: /\bPETITION\b/ },
+  { type: 'waiver', pattern: /\bWAIVER\b|\bCONSENT\b|\bRENUNCIATION\b/ },
+  { type: 'decree', pattern: /\bDECREE\b|\bORDER\b/ },
+  {
+    type: 'letters',
+    pattern: /^(?:(?:PRELIMINARY|LIMITED|TEMPORARY|SUCCESSOR)\s+)?LETTERS\s+(?:TESTAMENTARY|OF\s+(?:ADMINISTRATION|TRUSTEESHIP))\b/,
+  },
+  { type: 'will', pattern: /\bWILL\b|\bCODICIL\b/ },
+  { type: 'service', pattern: /\bAFFIDAVIT OF SERVICE\b/ },
+  { type: 'citation', pattern: /\bCITATION\b/ },
+  { type: 'accounting', pattern: /\bACCOUNT(ING)?\b|\bRECEIPT AND RELEASE\b/ },
+  { type: 'death-certificate', pattern: /\bDEATH CERTIFICATE\b/ },
+];
+
+/**
+ * Document type for a docket title ("LETTERS TESTAMENTARY" → "letters"),
+ * or "other".
+ */
+export function classifyDocument(title) {
+  const upper = String(title || '').trim().toUpperCase();
+  return DOCUMENT_TYPES.find((t) => t.pattern.test(upper))?.type || 'other';
+}
+
+/**
+ * Docket entries as one line each, oldest first:
+ * "01/03/2025 PROBATE PETITION; 03/02/2025 LETTERS TESTAMENTARY"
+ */
+export function formatDocket(docket) {
+  return (docket || []).map((d) => [d.filed, d.document].filter(Boolean).join(' ')).join('; ');
+}
+
+// Estate stages, earliest first
+export const ESTATE_STAGES = [
+  { value: 'petition', label: 'Petition filed' },
+  { value: 'letters', label: 'Letters issued' },
+  { value: 'accounting', label: 'Accounting filed' },
+  { value: 'closed', label: 'Closed' },
+];
+
+/**
+ * The File History header's Estate Closed flag: "Y" → true, "N" → false,
+ * null when the page didn't say.
+ *
+ * @param {string} [flag] - metadata.estateClosed
+ * @returns {boolean|null}
+ */
+export function parseEstateClosed(flag) {
+  const closed = flag?.toUpperCase();
+  return closed === 'Y' ? true : closed === 'N' ? false : null;
+}
+
+/**
+ * Where an estate stands: closed (the File History's Estate Closed flag),
+ * accounting filed, letters issued (the fiduciary has been appointed) or
+ * only the petition filed. Null without a docket to go on (results from
+ * before dockets were extracted), unless the estate is closed.
+ *
+ * @param {Array<{filed, document, type}>|null} docket
+ * @param {boolean|null} estateClosed - See parseEstateClosed()
+ * @returns {{stage: string|null, lettersIssuedDate: string|null}}
+ */
+export function classifyEstateStage(docket, estateClosed) {
+  // Classified again here, so saved dockets pick up fixes to DOCUMENT_TYPES
+  const entries = (docket || []).map((d) => ({ ...d, type: classifyDocument(d.document) }));
+  const letters = entries.find((d) => d.type === 'letters');
+  const lettersIssuedDate = letters?.filed || null;
+
+  let stage = null;
+  if (estateClosed) stage = 'closed';
+  else if (entries.some((d) => d.type === 'accounting')) stage = 'accounting';
+  else if (letters) stage = 'letters';
+  else if (docket) stage = 'petition';
+
+  return { stage, lettersIssuedDate };
+}
+
+/**
+ * Stage of an included result's data — classified from its docket when it
+ * has one (so stored results follow classification fixes), else as recorded.
+ *
+ * @returns {{stage: string|null, lettersIssuedDate: string|null}}
+ */
+export function estateStageOf(data) {
+  if (data.docket) return classifyEstateStage(data.docket, data.estateClosed);
+  if (data.estateStage !== undefined) {
+    return { stage: data.estateStage, lettersIssuedDate: data.lettersIssuedDate || null };
+  }
+  return classifyEstateStage(data.docket ?? null, data.estateClosed);
+}
+
+/**
+ * Display label for a stage ("letters" → "Letters issued").
+ */
+export function estateStageLabel(stage) {
+  return ESTATE_STAGES.find((s) => s.value === stage)?.label || '';
+}
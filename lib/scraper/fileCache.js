@@ -0,0 +1,90 @@
+/**
+ * Court site cache (server-only) — what earlier runs already fetched:
+ * search results per date chunk (search_cache), each file's last File
+ * History lookup (file_history, keyed by court + file number) and its
+ * archived petition PDF (see lib/pdfArchive.js).
+ *
+ * Searches and lookups younger than FILE_CACHE_TTL_MS are reused (searches
+ * only for dates past the late-docketing window), so
+ * re-running a date range (say, with another minimum estate value) only
+ * re-parses what it found last time, without a browser or gate bypass.
+ */
+import { FILE_CACHE_TTL_MS, LATE_DOCKETING_DAYS } from '@/lib/config';
+import { getFiling, getPetitionPdf, getCachedSearch, saveCachedSearch } from '@/lib/db/filings';
+import { readArchivedPdf } from '@/lib/pdfArchive';
+import { parseDate } from './dateUtils';
+
+const isFresh = (fetchedAt) => Date.now() - new Date(fetchedAt).getTime() < FILE_CACHE_TTL_MS;
+
+// Whether a chunk ends before the late-docketing window, so its results won't change
+function isSettled(chunk) {
+  const cutoff = new Date();
+  cutoff.setHours(0, 0, 0, 0);
+  cutoff.setDate(cutoff.getDate() - LATE_DOCKETING_DAYS);
+  return parseDate(chunk.to) < cutoff;
+}
+
+/**
+ * The result of searching a date chunk, if searched within the cache TTL and
+ * the chunk ends before the late-docketing window.
+ *
+ * @param {string} court
+ * @param {string} proceeding
+ * @param {{from: string, to: string}} chunk
+ * @returns {{files?: Array, split?: boolean}|null} split: too many results, search it in pieces
+ */
+export function getCachedSearchChunk(court, proceeding, chunk) {
+  if (!isSettled(chunk)) return null;
+  const cached = getCachedSearch(court, proceeding, chunk);
+  return cached && isFresh(cached.fetchedAt) ? cached.result : null;
+}
+
+/**
+ * Save the result of searching a date chunk. Chunks reaching into the last
+ * LATE_DOCKETING_DAYS are not saved: the court may still add filings for
+ * those days.
+ */
+export function cacheSearchChunk(court, proceeding, chunk, result) {
+  if (!isSettled(chunk)) return;
+  saveCachedSearch(court, proceeding, chunk, result);
+}
+
+/**
+ * A file's saved File History lookup, if it is younger than the cache TTL.
+ *
+ * @returns {{parties: Array, metadata: Object, docket: Array|null}|null}
+ */
+export function getCachedLookup(court, fileNumber) {
+  const filing = getFiling(court, fileNumber);
+  if (!filing?.historyFetchedAt || !isFresh(filing.historyFetchedAt)) return null;
+  return { parties: filing.parties, metadata: filing.metadata, docket: filing.docket };
+}
+
+/**
+ * Whether a lookup's docket lists the petition document; null when it can't
+ * tell (lookups saved before dockets were extracted).
+ *
+ * @param {{docket: Array|null}} lookup
+ * @param {string} document - Link text of the document (the handler's documentLink)
+ */
+export function docketHasPetition(lookup, document) {
+  if (!lookup.docket) return null;
+  const wanted = document.toUpperCase();
+  return lookup.docket.some((d) => String(d.document || '').toUpperCase().includes(wanted));
+}
+
+/**
+ * A file's archived petition PDF. Archived PDFs don't expire: the court
+ * does not replace a filed document.
+ *
+ * @param {string} court
+ * @param {string} fileNumber
+ * @param {string} document - Link text of the document (the handler's documentLink)
+ * @returns {Promise<{buffer: Buffer, sha256: string}|null>}
+ */
+export async function getArchivedPetition(court, fileNumber, document) {
+  const link = getPetitionPdf(court, fileNumber, document);
+  if (!link) return null;
+  const buffer = await readArchivedPdf(link.sha256);
+  return buffer ? { buffer, sha256: link.sha256 } : null;
+}
@@ -1,18 +1,23 @@
 /**
  * File History module — looks up individual files by file number
- * and extracts party info + locates the Probate Petition PDF link.
+ * and extracts party info, the docket + locates the petition PDF link.
  */
 import { BASE_URL } from '@/lib/config';
 import { delay, withRetry } from './browser';
+import { classifyDocument } from './docket';
 
 /**
- * Look up a single file by file number and extract metadata + PDF link.
+ * Look up a single file by file number and extract metadata, the docket
+ * (every document filed) + PDF link.
  *
  * @param {import('playwright-core').Page} page
  * @param {string} fileNumber - e.g., "2022-4682/A"
  * @param {string} courtValue - Court dropdown value (e.g., "15")
+ * @param {string} [documentLink] - Link text of the petition document
+ *   (the proceeding handler's documentLink)
+ * @returns {Promise<{parties: Array, pdfUrl: string|null, metadata: Object, docket: Array<{filed, document, type, url}>}>}
  */
-export async function lookupFile(page, fileNumber, courtValue) {
+export async function lookupFile(page, fileNumber, courtValue, documentLink = 'PROBATE PETITION') {
   await withRetry(async () => {
     await page.goto(`${BASE_URL}/File/FileSearch`, {
       waitUntil: 'domcontentloaded',
@@ -53,9 +58,10 @@ export async function lookupFile(page, fileNumber, courtValue) {
 
   const parties = await extractParties(page);
   const metadata = await extractFileMetadata(page);
-  const pdfUrl = await findProbatePetitionLink(page);
+  const docket = await extractDocket(page);
+  const pdfUrl = await findPetitionLink(page, documentLink);
 
-  return { parties, pdfUrl, metadata };
+  return { parties, pdfUrl, metadata, docket };
 }
 
 /**
@@ -92,6 +98,44 @@ async function extractParties(page) {
   });
 }
 
+/**
+ * Extract the document list from the File History page: the table with a
+ * Document column, one row per document, with its filing date and (for the
+ * documents the site lets you view) a link.
+ */
+async function extractDocket(page) {
+  const rows = await page.evaluate(() => {
+    for (const table of document.querySelectorAll('table')) {
+      const headerTexts = Array.from(table.querySelectorAll('th')).map((h) =>
+        h.textContent.trim().toUpperCase()
+      );
+      if (!headerTexts.some((h) => h.startsWith('DOCUMENT'))) continue;
+
+      const entries = [];
+      for (const row of table.querySelectorAll('tr')) {
+        const cells = Array.from(row.querySelectorAll('td')).map((c) => c.textContent.trim());
+        if (cells.length === 0) continue;
+        const link = row.querySelector('a');
+        entries.push({
+          filed: cells.find((c) => /^\d{2}\/\d{2}\/\d{4}$/.test(c)) || '',
+          document: link ? link.textContent.trim() : cells.find((c) => c && !/^\d{2}\/\d{2}\/\d{4}$/.test(c)) || '',
+          href: link?.getAttribute('href') || null,
+        });
+      }
+      return entries;
+    }
+    return [];
+  });
+
+  return rows
+    .filter((r) => r.document)
+    .map(({ href, ...r }) => ({
+      ...r,
+      type: classifyDocument(r.document),
+      url: href ? (href.startsWith('http') ? href : `${BASE_URL}${href}`) : null,
+    }));
+}
+
 /**
  * Extract metadata from the File History header.
  */
@@ -116,12 +160,15 @@ async function extractFileMetadata(page) {
   });
 }
 
+// The first link containing the document's text (passed as text, so quotes in it are harmless)
+const petitionLink = (page, documentLink) => page.locator('a', { hasText: documentLink }).first();
+
 /**
- * Find the "PROBATE PETITION" document link on the File History page.
+ * Find the petition document link (e.g. "PROBATE PETITION") on the File History page.
  */
-async function findProbatePetitionLink(page) {
-  const link = await page.$('a:has-text("PROBATE PETITION")');
-  if (!link) return null;
+async function findPetitionLink(page, documentLink) {
+  const link = petitionLink(page, documentLink);
+  if ((await link.count()) === 0) return null;
 
   const href = await link.getAttribute('href');
   if (href) {
@@ -133,11 +180,11 @@ async function findProbatePetitionLink(page) {
 }
 
 /**
- * Click the Probate Petition link and get the PDF URL from the new tab.
+ * Click the petition document link and get the PDF URL from the new tab.
  */
-export async function openProbatePetitionPDF(page, context) {
-  const link = await page.$('a:has-text("PROBATE PETITION")');
-  if (!link) return null;
+export async function openPetitionPDF(page, context, documentLink = 'PROBATE PETITION') {
+  const link = petitionLink(page, documentLink);
+  if ((await link.count()) === 0) return null;
 
   const [newPage] = await Promise.all([
     context.waitForEvent('page', { timeout: 15000 }),
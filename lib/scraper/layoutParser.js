@@ -0,0 +1,218 @@
+/**
+ * Layout-aware field extraction for the standard probate petition form.
+ *
+ * pdf-parse flattens the form into text where typed values and printed
+ * labels run together ("Name:SUSANSMITH", "(First)(Middle)(Last)"). Here we
+ * work from pdf.js text items with their positions instead and read each
+ * field from where the form puts it: First/Middle/Last values sit above
+ * their labels (on forms without that row, the petitioner's name follows
+ * "Name:"), the petitioner's address sits above "(Street and Number)"
+ * and "(City, Village or Town)", and the decedent's domicile values sit to
+ * the right of "Street", "City, Village or Town", "County" and "State".
+ * pdf.js may split a word or label over several items; those are joined back.
+ *
+ * The result is passed to parseProbateText() as `layout`; its regexes stay
+ * the fallback for anything not found here. Pure functions with no imports
+ * (like petitionParser.js), so the parser-corpus harness can run them on
+ * saved text items.
+ */
+
+const LINE_TOLERANCE = 3; // items within this many points vertically share a line
+const WORD_GAP = 1; // items this close horizontally are one word pdf.js split ("(Fi" + "rst)")
+const MAX_LABEL_GAP = 30; // a value line sits at most this far above its label line
+
+/**
+ * Read petition fields from positioned text items.
+ *
+ * @param {Array<{page: number, x: number, y: number, width: number, str: string}>} items
+ *   pdf.js text items (y grows upwards, as in PDF coordinates)
+ * @returns {Object} Field values plus `sources` ({confidence, rule, snippet}
+ *   per field), only for the fields that were found
+ */
+export function parseLayoutFields(items) {
+  const lines = groupLines(items || []);
+  const fields = { sources: {} };
+  const set = (field, value, rule, line) => {
+    if (!value) return;
+    fields[field] = value;
+    fields.sources[field] = { confidence: 'high', rule, snippet: line.text.slice(0, 240) };
+  };
+
+  // Paragraph 1 (petitioner) runs until the "2." paragraph
+  const section2 = lines.findIndex((l) => /^2\.\s/.test(l.text));
+  const section1 = section2 === -1 ? lines : lines.slice(0, section2);
+
+  const name = readNameFields(section1);
+  if (name) set('executorName', name.value, 'layout-name-fields', name.line);
+  else {
+    const nameLine = readNameLine(section1);
+    if (nameLine) set('executorName', nameLine.value, 'layout-name-line', nameLine.line);
+  }
+
+  const address = readPetitionerAddress(section1);
+  if (address) set('executorAddress', address.value, 'layout-address-fields', address.line);
+
+  const domicile = readDecedentDomicile(section2 === -1 ? [] : lines.slice(section2));
+  if (domicile) set('decedentAddress', domicile.value, 'layout-domicile-fields', domicile.line);
+
+  return fields;
+}
+
+/**
+ * Group items into lines, top of the first page first, each sorted left to
+ * right, with the pieces of a split word joined back into one item.
+ */
+function groupLines(items) {
+  const sorted = items
+    .filter((item) => item.str && item.str.trim())
+    .sort((a, b) => a.page - b.page || b.y - a.y || a.x - b.x);
+
+  const lines = [];
+  for (const item of sorted) {
+    const line = lines[lines.length - 1];
+    if (line && line.page === item.page && Math.abs(line.y - item.y) <= LINE_TOLERANCE) {
+      line.items.push(item);
+    } else {
+      lines.push({ page: item.page, y: item.y, items: [item] });
+    }
+  }
+  for (const line of lines) {
+    line.items = joinSplitWords(line.items.sort((a, b) => a.x - b.x));
+    line.text = line.items.map((i) => i.str.trim()).join(' ');
+  }
+  return lines;
+}
+
+function joinSplitWords(items) {
+  const joined = [];
+  for (const item of items) {
+    const prev = joined[joined.length - 1];
+    const touching = prev && item.x - (prev.x + prev.width) <= WORD_GAP;
+    if (touching && !/\s$/.test(prev.str) && !/^\s/.test(item.str)) {
+      joined[joined.length - 1] = { ...prev, str: prev.str + item.str, width: item.x + item.width - prev.x };
+    } else {
+      joined.push({ ...item });
+    }
+  }
+  return joined;
+}
+
+/**
+ * Positions of printed labels on a line. A label can be a whole item or part
+ * of one ("(First)     (Middle)"); its x is estimated from its character offset.
+ */
+function findLabels(line, regex) {
+  const labels = [];
+  for (const item of line.items) {
+    const global = new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : `${regex.flags}g`);
+    for (const m of item.str.matchAll(global)) {
+      const charWidth = item.str.length ? item.width / item.str.length : 0;
+      const x = item.x + m.index * charWidth;
+      labels.push({ text: m[0], x, end: x + m[0].length * charWidth });
+    }
+  }
+  return labels;
+}
+
+// The line directly above `line` on the same page, if close enough to be its value row
+function lineAbove(lines, index) {
+  const line = lines[index];
+  const above = lines[index - 1];
+  if (!above || above.page !== line.page || above.y - line.y > MAX_LABEL_GAP) return null;
+  return above;
+}
+
+const NAME_LABELS = /\((?:First|Middle|Last)\)/i;
+
+function readNameFields(lines) {
+  const index = lines.findIndex((l) => /\(First\)/i.test(l.text) && /\(Last\)/i.test(l.text));
+  if (index === -1) return null;
+  const valueLine = lineAbove(lines, index);
+  if (!valueLine) return null;
+
+  const labels = findLabels(lines[index], NAME_LABELS);
+  if (labels.length === 0) return null;
+  const parts = { first: [], middle: [], last: [] };
+
+  for (const item of valueLine.items) {
+    // Drop a "Name:" label, whether its own item or merged into the first value
+    const str = item.str.replace(/^.*Name\s*:\s*/i, '').trim();
+    if (!str || NAME_LABELS.test(str)) continue;
+    const center = item.x + item.width / 2;
+    const nearest = labels.reduce((best, label) =>
+      Math.abs((label.x + label.end) / 2 - center) < Math.abs((best.x + best.end) / 2 - center) ? label : best
+    );
+    parts[nearest.text.slice(1, -1).toLowerCase()].push(str);
+  }
+
+  let middle = parts.middle.join(' ');
+  if (/^[A-Z]$/i.test(middle)) middle += '.';
+  const value = [parts.first.join(' '), middle, parts.last.join(' ')].filter(Boolean).join(' ');
+  return value ? { value: value.replace(/\s+/g, ' '), line: valueLine } : null;
+}
+
+// Forms without the First / Middle / Last row: the whole value after "Name:"
+function readNameLine(lines) {
+  const line = lines.find((l) => /^Name\s*:/i.test(l.text));
+  const value = line?.text.replace(/^Name\s*:\s*/i, '').trim();
+  return value ? { value, line } : null;
+}
+
+function readPetitionerAddress(lines) {
+  const streetIndex = lines.findIndex((l) => /\(Street and Number\)/i.test(l.text));
+  const cityIndex = lines.findIndex((l) => /\(City, Village or Town\)/i.test(l.text));
+  if (streetIndex === -1) return null;
+
+  const streetLine = lineAbove(lines, streetIndex);
+  if (!streetLine) return null;
+  // The street shares its line with the "Domicile or Principal Office:" label
+  const street = streetLine.text.replace(/^.*Principal\s+Office\s*:\s*/i, '').trim();
+
+  const cityLine = cityIndex === -1 ? null : lineAbove(lines, cityIndex);
+  const city = cityLine && cityLine !== streetLine ? cityLine.text.trim() : '';
+
+  const value = [street, city].filter(Boolean).join(', ');
+  return value ? { value, line: streetLine } : null;
+}
+
+const DOMICILE_LABELS = /Domicile\s*:|\bStreet\b|City,?\s*(?:Village\s*)?(?:or\s+)?(?:Town|Village)|\bCounty\b|\bState\b/gi;
+
+function domicileKey(label) {
+  if (/^Domicile/i.test(label)) return 'domicile';
+  if (/^Street/i.test(label)) return 'street';
+  if (/^City/i.test(label)) return 'city';
+  if (/^County/i.test(label)) return 'county';
+  return 'state';
+}
+
+function readDecedentDomicile(lines) {
+  const start = lines.findIndex((l) => /Domicile\s*:/i.test(l.text));
+  if (start === -1) return null;
+
+  // Street, City, County and State values follow their labels, over up to four
+  // lines. Labels and values can share a text item and a label can span items
+  // ("City, Village" + "or Town"), so split each line's text on the labels;
+  // only the first label of each kind counts ("Seneca Street" is a value).
+  const values = {};
+  for (const line of lines.slice(start, start + 4)) {
+    let key = null;
+    let last = 0;
+    const flush = (end) => {
+      const text = line.text.slice(last, end).trim();
+      if (key && text) values[key] = values[key] ? `${values[key]} ${text}` : text;
+    };
+    for (const m of line.text.matchAll(DOMICILE_LABELS)) {
+      const labelKey = domicileKey(m[0]);
+      if (labelKey in values) continue;
+      flush(m.index);
+      key = labelKey;
+      values[key] = values[key] || '';
+      last = m.index + m[0].length;
+    }
+    flush(line.text.length);
+  }
+
+  if (!values.street) return null;
+  const value = [values.street, values.city, values.county, values.state].filter(Boolean).join(', ');
+  return { value, line: lines[start] };
+}
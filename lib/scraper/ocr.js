@@ -0,0 +1,90 @@
+/**
+ * OCR fallback for scanned petition PDFs (server-only, fully offline).
+ *
+ * Renders each page with pdf.js onto an @napi-rs/canvas canvas and runs
+ * tesseract.js over the image. English language data comes from the
+ * bundled @tesseract.js-data/eng package, so nothing is downloaded at runtime.
+ *
+ * OCR is slow (several seconds per page), so only the first OCR_MAX_PAGES
+ * pages are read — the fields we parse are all on the first pages.
+ */
+import { createRequire } from 'module';
+import { OCR_MAX_PAGES, OCR_RENDER_SCALE } from '@/lib/config';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Whether OCR is enabled (set OCR_ENABLED=false to skip it, e.g. on
+ * serverless hosts where the 60s limit can't fit it).
+ */
+export function isOcrEnabled() {
+  return process.env.OCR_ENABLED !== 'false';
+}
+
+/**
+ * Render a page of a pdf.js document to a PNG buffer.
+ */
+async function renderPage(pdf, pageNumber) {
+  const { createCanvas } = await import('@napi-rs/canvas');
+  const page = await pdf.getPage(pageNumber);
+  const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+  const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  const ctx = canvas.getContext('2d');
+
+  // Scans are often transparent-backed; tesseract wants dark text on white
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  await page.render({ canvasContext: ctx, viewport }).promise;
+  page.cleanup();
+  return canvas.toBuffer('image/png');
+}
+
+/**
+ * OCR a PDF.
+ *
+ * @param {Buffer} pdfBuffer
+ * @returns {Promise<{text: string, pages: number, confidence: number}>}
+ *   confidence is tesseract's mean word confidence (0-100) across pages
+ */
+export async function ocrPDF(pdfBuffer) {
+  const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const { createWorker } = await import('tesseract.js');
+  const engData = require('@tesseract.js-data/eng');
+
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(pdfBuffer),
+    disableFontFace: true,
+    isEvalSupported: false,
+  }).promise;
+
+  const worker = await createWorker(engData.code, 1, {
+    langPath: engData.langPath,
+    gzip: engData.gzip,
+    cacheMethod: 'none',
+    // Without a handler, worker-side errors surface as uncaught exceptions
+    errorHandler: (err) => console.error('OCR worker error:', err),
+  });
+
+  try {
+    const pageCount = Math.min(pdf.numPages, OCR_MAX_PAGES);
+    const texts = [];
+    let confidenceSum = 0;
+
+    for (let n = 1; n <= pageCount; n++) {
+      const image = await renderPage(pdf, n);
+      const { data } = await worker.recognize(image);
+      texts.push(data.text);
+      confidenceSum += data.confidence;
+    }
+
+    return {
+      text: texts.join('\n'),
+      pages: pageCount,
+      confidence: pageCount > 0 ? Math.round(confidenceSum / pageCount) : 0,
+    };
+  } finally {
+    await worker.terminate();
+    await pdf.destroy();
+  }
+}
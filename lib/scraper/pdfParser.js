@@ -1,18 +1,38 @@
 /**
- * PDF Parser module — downloads probate petition PDFs and extracts
- * structured data (decedent info, executor info, estate values).
+ * PDF Parser module — downloads probate petition PDFs and extracts their
+ * text (see petitionParser.js for turning the text into structured data).
+ * Download and extraction are also available separately, so an archived
+ * copy can be parsed without the court site.
  */
 import pdfParse from 'pdf-parse';
+import { ocrPDF, isOcrEnabled } from './ocr';
 
 /**
  * Download a PDF from the viewer URL and extract text.
  *
+ * Scanned petitions have no text layer; for those the text comes from OCR
+ * (method 'ocr') and should be double-checked by a reviewer. Text-layer PDFs
+ * also return their positioned text items (see layoutParser.js), or null if
+ * pdf.js couldn't read them.
+ *
  * @param {import('playwright-core').Page} page
  * @param {import('playwright-core').BrowserContext} context
  * @param {string} pdfViewerUrl - URL of the PDF viewer page
- * @returns {Promise<string>} Extracted text content
+ * @returns {Promise<{text: string, method: 'text'|'ocr', items?: Array|null, ocrConfidence?: number, ocrError?: string}>}
  */
 export async function downloadAndParsePDF(page, context, pdfViewerUrl) {
+  return parsePDF(await downloadPDF(page, context, pdfViewerUrl));
+}
+
+/**
+ * Download a PDF from the viewer URL.
+ *
+ * @param {import('playwright-core').Page} page
+ * @param {import('playwright-core').BrowserContext} context
+ * @param {string} pdfViewerUrl - URL of the PDF viewer page
+ * @returns {Promise<Buffer>}
+ */
+export async function downloadPDF(page, context, pdfViewerUrl) {
   const pdfPage = await context.newPage();
 
   try {
@@ -56,14 +76,38 @@ export async function downloadAndParsePDF(page, context, pdfViewerUrl) {
     if (!pdfBuffer || pdfBuffer.length === 0) {
       throw new Error('Could not download PDF content');
     }
-
-    const data = await pdfParse(pdfBuffer);
-    return data.text;
+    return pdfBuffer;
   } finally {
     await pdfPage.close();
   }
 }
 
+/**
+ * Extract text from a PDF (OCR for scanned petitions), as
+ * downloadAndParsePDF() returns it.
+ *
+ * @param {Buffer} pdfBuffer
+ * @returns {Promise<{text: string, method: 'text'|'ocr', items?: Array|null, ocrConfidence?: number, ocrError?: string}>}
+ */
+export async function parsePDF(pdfBuffer) {
+  const data = await pdfParse(pdfBuffer);
+  if (data.text.trim().length > 0) {
+    return { text: data.text, method: 'text', items: await extractTextItems(pdfBuffer) };
+  }
+  if (!isOcrEnabled()) {
+    return { text: data.text, method: 'text' };
+  }
+
+  // No text layer (possible scanned image) — fall back to OCR.
+  // OCR failures are reported, not thrown, so withRetry doesn't re-download.
+  try {
+    const ocr = await ocrPDF(pdfBuffer);
+    return { text: ocr.text, method: 'ocr', ocrConfidence: ocr.confidence };
+  } catch (err) {
+    return { text: '', method: 'text', ocrError: err.message };
+  }
+}
+
 /**
  * Try to intercept PDF binary data by reloading with response capture.
  */
@@ -88,178 +132,36 @@ async function tryInterceptPDF(pdfPage) {
 }
 
 /**
- * Parse extracted PDF text to get structured probate petition data.
+ * Positioned text items from every page, for layout-aware extraction.
+ *
+ * @returns {Promise<Array<{page: number, x: number, y: number, width: number, str: string}>|null>}
  */
-export function parseProbateText(text) {
-  const result = {
-    decedentName: null,
-    decedentAddress: null,
-    dateOfDeath: null,
-    placeOfDeath: null,
-    executorName: null,
-    executorAddress: null,
-    estateValueLower: null,
-    estateValueUpper: null,
-    personalProperty: null,
-    improvedRealProperty: null,
-    unimprovedRealProperty: null,
-    parseErrors: [],
-  };
-
+async function extractTextItems(pdfBuffer) {
+  let pdf;
   try {
-    // --- Section 2: Decedent Info ---
-    const decedentNameMatch = text.match(
-      /(?:2\.\s+The name.*?decedent.*?follows:|2\.\s+.*?(?:\(a\)\s*)?Name:)\s*([A-Z][A-Z\s.]+?)(?:\n|\(|Date)/si
-    );
-    if (decedentNameMatch) {
-      result.decedentName = cleanName(decedentNameMatch[1]);
-    }
-
-    if (!result.decedentName) {
-      const willOfMatch = text.match(
-        /WILL\s+OF:\s*([A-Z][A-Z\s.]+?)(?:\n|a\/k\/a)/si
-      );
-      if (willOfMatch) {
-        result.decedentName = cleanName(willOfMatch[1]);
+    const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    pdf = await pdfjs.getDocument({
+      data: new Uint8Array(pdfBuffer),
+      disableFontFace: true,
+      isEvalSupported: false,
+      verbosity: pdfjs.VerbosityLevel.ERRORS,
+    }).promise;
+
+    const items = [];
+    for (let n = 1; n <= pdf.numPages; n++) {
+      const page = await pdf.getPage(n);
+      const content = await page.getTextContent();
+      for (const item of content.items) {
+        if (!item.str) continue;
+        items.push({ page: n, x: item.transform[4], y: item.transform[5], width: item.width, str: item.str });
       }
+      page.cleanup();
     }
-
-    const dodMatch = text.match(
-      /Date\s+of\s+death\s*[:\-]?\s*([A-Za-z]+\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{4})/si
-    );
-    if (dodMatch) {
-      result.dateOfDeath = dodMatch[1].trim();
-    }
-
-    const placeMatch = text.match(
-      /Place\s+of\s+death\s*[:\-]?\s*([A-Za-z,.\s]+?)(?:\n|\(d\)|Domicile)/si
-    );
-    if (placeMatch) {
-      result.placeOfDeath = cleanAddress(placeMatch[1]);
-    }
-
-    const domicileMatch = text.match(
-      /Domicile:\s*Street\s*([^\n]+?)(?:\n\s*City.*?(?:Village|Town)\s*([^\n]+?))?(?:\n\s*County\s*([^\n]+?))?\s*State\s*([^\n]+)/si
-    );
-    if (domicileMatch) {
-      const street = cleanAddress(domicileMatch[1]);
-      const city = cleanAddress(domicileMatch[2] || '');
-      const county = cleanAddress(domicileMatch[3] || '');
-      const state = cleanAddress(domicileMatch[4] || '');
-      result.decedentAddress = [street, city, county, state]
-        .filter(Boolean)
-        .join(', ');
-    }
-
-    if (!result.decedentAddress) {
-      const altDomicile = text.match(
-        /(?:\(d\)\s*)?Domicile.*?Street\s+(.+?)(?:City|Village|Town)/si
-      );
-      if (altDomicile) {
-        result.decedentAddress = cleanAddress(altDomicile[1]);
-      }
-    }
-
-    // --- Section 1: Executor/Petitioner Info ---
-    const petitionerMatch = text.match(
-      /petitioner\s+are\s+as\s+follows:\s*(?:Name:)?\s*([A-Z][A-Z\s.]+?)(?:\n|\(First\))/si
-    );
-    if (petitionerMatch) {
-      result.executorName = cleanName(petitionerMatch[1]);
-    }
-
-    if (!result.executorName) {
-      const nameFieldMatch = text.match(
-        /Name:\s*([A-Z][a-zA-Z]+)\s*\.?\s*([A-Z])?\.?\s*\(First\)\s*\(Middle\)\s*([A-Z][a-zA-Z]+)\s*\(Last\)/si
-      );
-      if (nameFieldMatch) {
-        const first = nameFieldMatch[1].trim();
-        const middle = nameFieldMatch[2]
-          ? nameFieldMatch[2].trim() + '.'
-          : '';
-        const last = nameFieldMatch[3].trim();
-        result.executorName = [first, middle, last].filter(Boolean).join(' ');
-      }
-    }
-
-    const execAddrMatch = text.match(
-      /Domicile\s+or\s+Principal\s+Office:\s*([^\n]+?)(?:\n\s*\(Street.*?\)\s*\n\s*([^\n]+?))?(?:\n.*?\(City|$)/si
-    );
-    if (execAddrMatch) {
-      const street = cleanAddress(execAddrMatch[1]);
-      const cityLine = cleanAddress(execAddrMatch[2] || '');
-      result.executorAddress = [street, cityLine].filter(Boolean).join(', ');
-    }
-
-    // --- Section 9: Estate Values ---
-    const valueRangeMatch = text.match(
-      /greater\s+than\s+\$\s*([0-9,.]+)\s*(?:\.00)?\s*(?:but\s+)?less\s+than\s+\$\s*([0-9,.]+)/si
-    );
-    if (valueRangeMatch) {
-      result.estateValueLower = parseAmount(valueRangeMatch[1]);
-      result.estateValueUpper = parseAmount(valueRangeMatch[2]);
-    }
-
-    const personalMatch = text.match(
-      /Personal\s+Property\s+\$\s*([0-9,.]+|NONE)/si
-    );
-    if (personalMatch) {
-      result.personalProperty = parseAmount(personalMatch[1]);
-    }
-
-    const improvedMatch = text.match(
-      /Improved\s+real\s+property.*?\$\s*([0-9,.]+|NONE)/si
-    );
-    if (improvedMatch) {
-      result.improvedRealProperty = parseAmount(improvedMatch[1]);
-    }
-
-    const unimprovedMatch = text.match(
-      /Unimproved\s+real\s+property.*?\$\s*([0-9,.]+|NONE)/si
-    );
-    if (unimprovedMatch) {
-      result.unimprovedRealProperty = parseAmount(unimprovedMatch[1]);
-    }
+    return items;
   } catch (err) {
-    result.parseErrors.push(err.message);
+    console.warn(`PDF layout extraction failed: ${err.message}`);
+    return null;
+  } finally {
+    if (pdf) await pdf.destroy().catch(() => {});
   }
-
-  return result;
-}
-
-/**
- * Check if estate meets minimum value threshold (using upper bound).
- */
-export function meetsValueThreshold(parsed, minValue) {
-  if (parsed.estateValueUpper === null) return true; // include for manual review
-  return parsed.estateValueUpper > minValue;
-}
-
-// --- Helpers ---
-
-function cleanName(str) {
-  if (!str) return null;
-  return (
-    str
-      .replace(/\s+/g, ' ')
-      .replace(/[^A-Za-z\s.',-]/g, '')
-      .trim() || null
-  );
-}
-
-function cleanAddress(str) {
-  if (!str) return null;
-  return (
-    str
-      .replace(/\s+/g, ' ')
-      .replace(/\(.*?\)/g, '')
-      .trim() || null
-  );
-}
-
-function parseAmount(str) {
-  if (!str || str.toUpperCase() === 'NONE') return 0;
-  const cleaned = str.replace(/[,$\s]/g, '');
-  const num = parseFloat(cleaned);
-  return isNaN(num) ? 0 : num;
 }
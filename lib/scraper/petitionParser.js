@@ -0,0 +1,463 @@
+/**
+ * Petition parser — turns probate and administration petition text into
+ * structured data (decedent info, executor/administrator info, estate
+ * values, distributees and beneficiaries).
+ *
+ * Pure functions with no imports, so the parser-corpus regression harness
+ * (npm run parser-corpus) can run it outside Next.js.
+ */
+
+/**
+ * Parse extracted PDF text to get structured probate petition data.
+ *
+ * Every field that is filled also gets an entry in `sources`:
+ * `{confidence: 'high'|'medium'|'low', rule, snippet}` — how sure we are,
+ * which rule matched, and the text around the match. Fallback rules and
+ * values that fail a sanity check are rated lower; with `ocr` set (text read
+ * from a scanned PDF) nothing is rated above medium.
+ *
+ * Fields read from the form layout (see layoutParser.js) take precedence
+ * over the regex rules, which remain the fallback.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {boolean} [options.ocr] - The text came from OCR
+ * @param {Object} [options.layout] - parseLayoutFields() output for the same PDF
+ */
+export function parseProbateText(text, { ocr = false, layout = null } = {}) {
+  const result = {
+    decedentName: null,
+    decedentAddress: null,
+    dateOfDeath: null,
+    placeOfDeath: null,
+    executorName: null,
+    executorAddress: null,
+    estateValueLower: null,
+    estateValueUpper: null,
+    personalProperty: null,
+    improvedRealProperty: null,
+    unimprovedRealProperty: null,
+    beneficiaries: [],
+    sources: {},
+    parseErrors: [],
+  };
+  const note = (field, match, rule, confidence) => {
+    if (result[field] === null) return;
+    result.sources[field] = { confidence, rule, snippet: snippetAround(match) };
+  };
+
+  try {
+    // --- Section 2: Decedent Info ---
+    const decedentNameMatch = text.match(
+      /(?:2\.\s+The name.*?decedent.*?follows:|2\.\s+.*?(?:\(a\)\s*)?Name:)\s*([A-Z][A-Z\s.]+?)(?:\n|\(|Date)/si
+    );
+    if (decedentNameMatch) {
+      result.decedentName = cleanName(decedentNameMatch[1]);
+      note('decedentName', decedentNameMatch, 'section-2-name', 'high');
+    }
+
+    if (!result.decedentName) {
+      const willOfMatch = text.match(
+        /WILL\s+OF:\s*([A-Z][A-Z\s.]+?)(?:\n|a\/k\/a)/si
+      );
+      if (willOfMatch) {
+        result.decedentName = cleanName(willOfMatch[1]);
+        note('decedentName', willOfMatch, 'will-of-heading', 'medium');
+      }
+    }
+
+    const dodMatch = text.match(
+      /Date\s+of\s+death\s*[:\-]?\s*([A-Za-z]+\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{4})/si
+    );
+    if (dodMatch) {
+      result.dateOfDeath = dodMatch[1].trim();
+      note('dateOfDeath', dodMatch, 'date-of-death', 'high');
+    }
+
+    const placeMatch = text.match(
+      /Place\s+of\s+death\s*[:\-]?\s*([A-Za-z,.\s]+?)(?:\n|\(d\)|Domicile)/si
+    );
+    if (placeMatch) {
+      result.placeOfDeath = cleanAddress(placeMatch[1]);
+      note('placeOfDeath', placeMatch, 'place-of-death', 'high');
+    }
+
+    const domicileMatch = text.match(
+      /Domicile:\s*Street\s*([^\n]+?)(?:\n\s*City.*?(?:Village|Town)\s*([^\n]+?))?(?:\n\s*County\s*([^\n]+?))?\s*State\s*([^\n]+)/si
+    );
+    if (domicileMatch) {
+      const street = cleanAddress(domicileMatch[1]);
+      const city = cleanAddress(domicileMatch[2] || '');
+      const county = cleanAddress(domicileMatch[3] || '');
+      const state = cleanAddress(domicileMatch[4] || '');
+      result.decedentAddress = [street, city, county, state]
+        .filter(Boolean)
+        .join(', ');
+      note('decedentAddress', domicileMatch, 'domicile-block', 'high');
+    }
+
+    if (!result.decedentAddress) {
+      const altDomicile = text.match(
+        /(?:\(d\)\s*)?Domicile.*?Street\s+(.+?)(?:City|Village|Town)/si
+      );
+      if (altDomicile) {
+        result.decedentAddress = cleanAddress(altDomicile[1]);
+        note('decedentAddress', altDomicile, 'domicile-street-only', 'low');
+      }
+    }
+
+    // --- Section 1: Executor/Petitioner Info ---
+    const petitionerMatch = text.match(
+      /petitioner\s+are\s+as\s+follows:\s*(?:Name:)?\s*([A-Z][A-Z\s.]+?)(?:\n|\(First\))/si
+    );
+    if (petitionerMatch) {
+      result.executorName = cleanName(petitionerMatch[1]);
+      // Stopping at "(First)" means the name is split over First/Middle/Last form fields
+      const splitFields = /\(First\)$/i.test(petitionerMatch[0]);
+      note('executorName', petitionerMatch, 'petitioner-name', splitFields ? 'low' : 'high');
+    }
+
+    if (!result.executorName) {
+      const nameFieldMatch = text.match(
+        /Name:\s*([A-Z][a-zA-Z]+)\s*\.?\s*([A-Z])?\.?\s*\(First\)\s*\(Middle\)\s*([A-Z][a-zA-Z]+)\s*\(Last\)/si
+      );
+      if (nameFieldMatch) {
+        const first = nameFieldMatch[1].trim();
+        const middle = nameFieldMatch[2]
+          ? nameFieldMatch[2].trim() + '.'
+          : '';
+        const last = nameFieldMatch[3].trim();
+        result.executorName = [first, middle, last].filter(Boolean).join(' ');
+        note('executorName', nameFieldMatch, 'first-middle-last-fields', 'medium');
+      }
+    }
+
+    const execAddrMatch = text.match(
+      /Domicile\s+or\s+Principal\s+Office:\s*([^\n]+?)(?:\n\s*\(Street.*?\)\s*\n\s*([^\n]+?))?(?:\n.*?\(City|$)/si
+    );
+    if (execAddrMatch) {
+      const street = cleanAddress(execAddrMatch[1]);
+      const cityLine = cleanAddress(execAddrMatch[2] || '');
+      result.executorAddress = [street, cityLine].filter(Boolean).join(', ');
+      note('executorAddress', execAddrMatch, 'principal-office', cityLine ? 'high' : 'medium');
+    }
+
+    // --- Section 9: Estate Values ---
+    const valueRangeMatch = text.match(
+      /greater\s+than\s+\$\s*([0-9,.]+)\s*(?:\.00)?\s*(?:but\s+)?less\s+than\s+\$\s*([0-9,.]+)/si
+    );
+    if (valueRangeMatch) {
+      result.estateValueLower = parseAmount(valueRangeMatch[1]);
+      result.estateValueUpper = parseAmount(valueRangeMatch[2]);
+      note('estateValueLower', valueRangeMatch, 'value-range', 'high');
+      note('estateValueUpper', valueRangeMatch, 'value-range', 'high');
+    }
+
+    const personalMatch = text.match(
+      /Personal\s+Property\s+\$\s*([0-9,.]+|NONE)/si
+    );
+    if (personalMatch) {
+      result.personalProperty = parseAmount(personalMatch[1]);
+      note('personalProperty', personalMatch, 'personal-property', 'high');
+    }
+
+    const improvedMatch = text.match(
+      /Improved\s+real\s+property.*?\$\s*([0-9,.]+|NONE)/si
+    );
+    if (improvedMatch) {
+      result.improvedRealProperty = parseAmount(improvedMatch[1]);
+      note('improvedRealProperty', improvedMatch, 'improved-real-property', 'high');
+    }
+
+    const unimprovedMatch = text.match(
+      /Unimproved\s+real\s+property.*?\$\s*([0-9,.]+|NONE)/si
+    );
+    if (unimprovedMatch) {
+      result.unimprovedRealProperty = parseAmount(unimprovedMatch[1]);
+      note('unimprovedRealProperty', unimprovedMatch, 'unimproved-real-property', 'high');
+    }
+
+    // --- Distributees / beneficiaries ---
+    const { beneficiaries, source } = parseBeneficiaries(text);
+    result.beneficiaries = beneficiaries;
+    if (source) result.sources.beneficiaries = source;
+
+    // --- Layout-aware values win over the flattened-text regexes ---
+    for (const [field, layoutSource] of Object.entries(layout?.sources || {})) {
+      if (!(field in result) || !layout[field]) continue;
+      result[field] = layout[field];
+      result.sources[field] = { ...layoutSource };
+    }
+
+    applySanityChecks(result);
+  } catch (err) {
+    result.parseErrors.push(err.message);
+  }
+
+  if (ocr) {
+    for (const source of Object.values(result.sources)) {
+      if (source.confidence === 'high') source.confidence = 'medium';
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse extracted PDF text of an Administration (intestate) petition.
+ *
+ * The A-1 form shares the probate form's petitioner, decedent, distributee
+ * and value paragraphs, so this runs parseProbateText() and reshapes the
+ * result: the petitioner is the proposed administrator, and with no will
+ * only distributees take.
+ *
+ * @param {string} text
+ * @param {Object} [options] - As for parseProbateText()
+ */
+export function parseAdministrationText(text, options = {}) {
+  const { executorName, executorAddress, beneficiaries, sources, ...result } = parseProbateText(text, options);
+  const { executorName: nameSource, executorAddress: addressSource, ...otherSources } = sources;
+
+  result.administratorName = executorName;
+  result.administratorAddress = executorAddress;
+  result.beneficiaries = beneficiaries
+    .filter((b) => b.roles.includes('distributee'))
+    .map((b) => ({ ...b, roles: ['distributee'] }));
+  result.sources = otherSources;
+  if (nameSource) result.sources.administratorName = nameSource;
+  if (addressSource) result.sources.administratorAddress = addressSource;
+  if (result.beneficiaries.length === 0) delete result.sources.beneficiaries;
+
+  // Administration captions read "ESTATE OF:" rather than "WILL OF:"
+  if (!result.decedentName) {
+    const estateOfMatch = text.match(/ESTATE\s+OF:?\s*([A-Z][A-Z\s.]+?)(?:\n|a\/k\/a|,\s*Deceased)/si);
+    if (estateOfMatch) {
+      result.decedentName = cleanName(estateOfMatch[1]);
+      result.sources.decedentName = {
+        confidence: 'medium',
+        rule: 'estate-of-heading',
+        snippet: snippetAround(estateOfMatch),
+      };
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Fields whose extraction is rated low confidence (for review lists).
+ *
+ * @returns {string[]}
+ */
+export function lowConfidenceFields(parsed) {
+  return Object.entries(parsed?.sources || {})
+    .filter(([, source]) => source.confidence === 'low')
+    .map(([field]) => field);
+}
+
+// Downgrade values that matched a rule but don't look right
+function applySanityChecks(result) {
+  const downgrade = (field) => {
+    if (result.sources[field]) result.sources[field].confidence = 'low';
+  };
+
+  for (const field of ['decedentName', 'executorName']) {
+    const words = result[field]?.split(' ').filter(Boolean) || [];
+    if (words.length === 1 || words.length > 6) downgrade(field);
+  }
+  if (result.decedentName && result.decedentName === result.executorName) {
+    downgrade('executorName');
+  }
+  for (const field of ['decedentAddress', 'executorAddress']) {
+    // No house number, or form label text leaked into the value
+    if (result[field] && (!/\d/.test(result[field]) || /\bor (?:Town|Village)\b|\((?:City|Street)/i.test(result[field]))) {
+      downgrade(field);
+    }
+  }
+  if (
+    result.estateValueLower !== null &&
+    result.estateValueUpper !== null &&
+    result.estateValueLower >= result.estateValueUpper
+  ) {
+    downgrade('estateValueLower');
+    downgrade('estateValueUpper');
+  }
+  if (result.dateOfDeath) {
+    const year = Number(result.dateOfDeath.match(/\d{4}/)?.[0]);
+    if (!year || year < 1900 || year > new Date().getFullYear()) downgrade('dateOfDeath');
+  }
+}
+
+// The matched text plus a little context either side, on one line
+function snippetAround(match, context = 40) {
+  if (!match || match.index === undefined) return null;
+  const start = Math.max(0, match.index - context);
+  const end = Math.min(match.input.length, match.index + match[0].length + context);
+  const snippet = match.input.slice(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${snippet.slice(0, 240)}${end < match.input.length ? '…' : ''}`;
+}
+
+/**
+ * Check if estate meets minimum value threshold (using upper bound).
+ */
+export function meetsValueThreshold(parsed, minValue) {
+  if (parsed.estateValueUpper === null) return true; // include for manual review
+  return parsed.estateValueUpper > minValue;
+}
+
+// --- Distributees / beneficiaries ---
+
+const RELATIONSHIP_REGEX =
+  /\b((?:grand|great[- ]grand)?(?:son|daughter|child|nephew|niece)|spouse|wife|husband|widow(?:er)?|mother|father|(?:half[- ])?(?:brother|sister)|cousin|aunt|uncle|friend|charity|charitable organization|trustee)\b/i;
+
+/**
+ * Parse the distributee and beneficiary paragraphs of the petition.
+ *
+ * Handles both labelled entries ("Name: ... Relationship: ... Address: ...
+ * Interest: ...") and one-per-line entries ("JANE DOE, Daughter, 12 Main St,
+ * Buffalo, NY 14201, 1/2 of residuary"). A person listed in both paragraphs
+ * is returned once with both roles.
+ *
+ * @returns {{beneficiaries: Array<{name: string, relationship: string|null, address: string|null, interest: string|null, roles: string[]}>, source: Object|null}}
+ */
+function parseBeneficiaries(text) {
+  const paragraphs = text.split(/\n(?=\s*\d{1,2}\.\s+[A-Z(])/);
+  const distributees = findParagraph(paragraphs, /distributees/i);
+  const beneficiaries = findParagraph(
+    paragraphs.filter((p) => p !== distributees),
+    /(?:beneficiaries|legatees|devisees)/i
+  );
+
+  const sections = [
+    parseSectionEntries(distributees, 'distributee'),
+    parseSectionEntries(beneficiaries, 'beneficiary'),
+  ].filter((section) => section.entries.length > 0);
+  const entries = sections.flatMap((section) => section.entries);
+
+  const byName = new Map();
+  for (const entry of entries) {
+    const key = entry.name.toUpperCase();
+    const existing = byName.get(key);
+    if (!existing) {
+      byName.set(key, { ...entry, roles: [entry.role] });
+      continue;
+    }
+    if (!existing.roles.includes(entry.role)) existing.roles.push(entry.role);
+    existing.relationship = existing.relationship || entry.relationship;
+    existing.address = existing.address || entry.address;
+    existing.interest = existing.interest || entry.interest;
+  }
+
+  // Labelled entries are reliable; splitting free-form lines is a guess
+  const lineBased = sections.find((section) => section.rule === 'one-per-line-entries');
+  const first = lineBased || sections[0];
+  const source = first
+    ? {
+        confidence: lineBased ? 'medium' : 'high',
+        rule: first.rule,
+        snippet: first.text.replace(/\s+/g, ' ').trim().slice(0, 240),
+      }
+    : null;
+
+  return {
+    beneficiaries: [...byName.values()].map(({ role, ...rest }) => rest),
+    source,
+  };
+}
+
+// First numbered paragraph whose opening lines mention the keyword
+function findParagraph(paragraphs, headingRegex) {
+  return paragraphs.find((p) => headingRegex.test(p.split('\n').slice(0, 3).join(' '))) || null;
+}
+
+function parseSectionEntries(section, role) {
+  if (!section) return { entries: [], rule: null, text: '' };
+
+  const labelled = /Name\s*:/i.test(section);
+  const entries = labelled ? parseLabelledEntries(section) : parseLineEntries(section);
+
+  return {
+    entries: entries
+      .filter((e) => e.name && !/^(none|n\/a)$/i.test(e.name))
+      .map((e) => ({ ...e, role })),
+    rule: labelled ? 'labelled-entries' : 'one-per-line-entries',
+    text: section,
+  };
+}
+
+function parseLabelledEntries(section) {
+  return section
+    .split(/Name\s*:/i)
+    .slice(1)
+    .map((chunk) => {
+      const name = chunk.match(/^\s*([^\n]+?)(?:\s{2,}|\n|Relationship|$)/i);
+      const relationship = chunk.match(/Relationship\s*:\s*([^\n]+?)(?:\s{2,}|\n|$)/i);
+      const address = chunk.match(
+        /(?:Domicile\s+)?Address\s*:\s*([^\n]+(?:\n(?![^\n]*:)[^\n]*\b\d{5}(?:-\d{4})?\b)?)/i
+      );
+      const interest = chunk.match(
+        /(?:Interest|Description\s+of\s+(?:legacy|interest)[^:]*)\s*:\s*([^\n]+)/i
+      );
+      return {
+        name: cleanName(name?.[1]),
+        relationship: relationship ? cleanAddress(relationship[1]) : null,
+        address: address ? cleanAddress(address[1].replace(/\s*\n\s*/, ', ')) : null,
+        interest: interest ? cleanAddress(interest[1]) : null,
+      };
+    });
+}
+
+function parseLineEntries(section) {
+  const entries = [];
+  for (const line of section.split('\n').slice(1)) {
+    const relMatch = line.match(RELATIONSHIP_REGEX);
+    if (!relMatch) continue;
+
+    const parts = line.split(/\s*,\s*|\s{2,}/).map((p) => p.trim()).filter(Boolean);
+    const relIndex = parts.findIndex((p) => RELATIONSHIP_REGEX.test(p));
+    if (relIndex < 1) continue;
+
+    // Address runs from the part after the relationship to the ZIP code; anything after is the interest
+    const rest = parts.slice(relIndex + 1);
+    const zipIndex = rest.findIndex((p) => /\b\d{5}(?:-\d{4})?\b/.test(p));
+    const addressParts = zipIndex === -1 ? rest : rest.slice(0, zipIndex + 1);
+    const interestParts = zipIndex === -1 ? [] : rest.slice(zipIndex + 1);
+
+    entries.push({
+      name: cleanName(parts.slice(0, relIndex).join(' ')),
+      relationship: cleanAddress(parts[relIndex]),
+      address: cleanAddress(addressParts.join(', ')),
+      interest: cleanAddress(interestParts.join(', ')),
+    });
+  }
+  return entries;
+}
+
+// --- Helpers ---
+
+function cleanName(str) {
+  if (!str) return null;
+  return (
+    str
+      .replace(/\s+/g, ' ')
+      .replace(/[^A-Za-z\s.',-]/g, '')
+      .trim() || null
+  );
+}
+
+function cleanAddress(str) {
+  if (!str) return null;
+  return (
+    str
+      .replace(/\s+/g, ' ')
+      .replace(/\(.*?\)/g, '')
+      .trim() || null
+  );
+}
+
+function parseAmount(str) {
+  if (!str || str.toUpperCase() === 'NONE') return 0;
+  const cleaned = str.replace(/[,$\s]/g, '');
+  const num = parseFloat(cleaned);
+  return isNaN(num) ? 0 : num;
+}
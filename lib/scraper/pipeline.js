@@ -0,0 +1,688 @@
+/**
+ * Scrape pipeline — the Phase 1 (search) and Phase 2 (process batch) steps,
+ * shared by the API routes and the background job worker, plus the court
+ * catalog sync (server-only).
+ *
+ * Each call opens its own browser connection and closes it when done.
+ * Passing the same runId to every call lets them reuse one gate bypass.
+ *
+ * Everything found is written to the database: filings on search, File
+ * History + parsed petitions per file, and per-run outcomes when a runId is given.
+ */
+import { MAX_RESULTS_PER_CHUNK } from '@/lib/config';
+import { connectBrowser, delay, withRetry } from './browser';
+import { splitDateRange, splitChunk, formatDate, parseDate } from './dateUtils';
+import { searchAndCollectFiles, searchByName, readSearchOptions } from './search';
+import { lookupFile, openPetitionPDF } from './fileHistory';
+import { downloadPDF, parsePDF } from './pdfParser';
+import { meetsValueThreshold } from './petitionParser';
+import { parseLayoutFields } from './layoutParser';
+import { loadCheckpoint, saveCheckpoint, clearCheckpoint, chunkKey } from './searchCheckpoint';
+import { classifyEstateStage, parseEstateClosed } from './docket';
+import { getProceedingHandler } from './proceedings';
+import { logError } from '@/lib/errorLog';
+import {
+  upsertFilings,
+  saveFileHistory,
+  saveParsedPetition,
+  linkPetitionPdf,
+  findProcessedFileNumbers,
+  getSearchWatermark,
+  updateSearchWatermark,
+} from '@/lib/db/filings';
+import { ensureRun, recordRunResult } from '@/lib/db/runs';
+import { saveCatalog, getCatalog, catalogLabels } from '@/lib/db/catalog';
+import { FILE_NUMBER_REGEX, MAX_IMPORTED_FILE_NUMBERS } from '@/lib/fileNumbers';
+import { archivePdf } from '@/lib/pdfArchive';
+import {
+  getCachedSearchChunk,
+  cacheSearchChunk,
+  getCachedLookup,
+  docketHasPetition,
+  getArchivedPetition,
+} from './fileCache';
+
+const DATE_REGEX = /^\d{2}\/\d{2}\/\d{4}$/;
+
+/**
+ * The courts and proceedings a search covers: the `counties` / `proceedings`
+ * arrays, or the single `county` / `proceeding` of older callers (schedules,
+ * jobs queued before multi-county runs).
+ *
+ * @returns {{counties: string[], proceedings: string[]}}
+ */
+export function normalizeTargets({ county, counties, proceeding, proceedings }) {
+  const list = (many, one) => [...new Set((Array.isArray(many) && many.length > 0 ? many : [one]).filter(Boolean))];
+  return { counties: list(counties, county), proceedings: list(proceedings, proceeding) };
+}
+
+/**
+ * Fill in the date range of a "new since last run" search. From defaults to
+ * the watermark, the filing date runs have processed up to (inclusive, since
+ * more filings can be docketed for that day later) — the earliest such date
+ * over every court + proceeding searched; To defaults to today.
+ * Non-incremental params are returned unchanged.
+ */
+export function resolveSearchRange({ fromDate, toDate, newOnly, ...targets }) {
+  if (!newOnly) return { fromDate, toDate };
+  return {
+    fromDate: fromDate || earliestWatermark(normalizeTargets(targets)),
+    toDate: toDate || formatDate(new Date()),
+  };
+}
+
+// null if any court + proceeding was never searched
+function earliestWatermark({ counties, proceedings }) {
+  if (counties.length === 0 || proceedings.length === 0) return null;
+  let earliest = null;
+  for (const county of counties) {
+    for (const proceeding of proceedings) {
+      const watermark = getSearchWatermark(county, proceeding);
+      if (!watermark) return null;
+      if (!earliest || parseDate(watermark) < parseDate(earliest)) earliest = watermark;
+    }
+  }
+  return earliest;
+}
+
+/**
+ * Validate search parameters (after resolveSearchRange for incremental runs).
+ *
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateSearchParams({ fromDate, toDate, newOnly, ...targets }) {
+  const { counties, proceedings } = normalizeTargets(targets);
+  if (newOnly && counties.length > 0 && proceedings.length > 0 && !fromDate) {
+    return 'No earlier run found for every county and list type — pick a From date for the first incremental run';
+  }
+  if (counties.length === 0 || proceedings.length === 0 || !fromDate || !toDate) {
+    return 'Missing required fields: counties, proceedings, fromDate, toDate';
+  }
+  const unsupported = proceedings.find((p) => !getProceedingHandler(p));
+  if (unsupported) {
+    return `Unsupported proceeding: ${unsupported}`;
+  }
+  if (!DATE_REGEX.test(fromDate) || !DATE_REGEX.test(toDate)) {
+    return 'Dates must be in MM/DD/YYYY format';
+  }
+  return null;
+}
+
+/**
+ * Validate an imported file number list (a run without Phase 1). The numbers
+ * are looked up in one court, as one proceeding type.
+ *
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateImportParams({ fileNumbers, ...targets }) {
+  const { counties, proceedings } = normalizeTargets(targets);
+  if (!Array.isArray(fileNumbers) || fileNumbers.length === 0) {
+    return 'fileNumbers must be a non-empty array';
+  }
+  if (fileNumbers.length > MAX_IMPORTED_FILE_NUMBERS) {
+    return `At most ${MAX_IMPORTED_FILE_NUMBERS} file numbers per run`;
+  }
+  const invalid = fileNumbers.find((n) => typeof n !== 'string' || !FILE_NUMBER_REGEX.test(n));
+  if (invalid !== undefined) {
+    return `Invalid file number: ${invalid} (expected e.g. 2022-4682 or 2022-4682/A)`;
+  }
+  if (counties.length !== 1 || proceedings.length !== 1) {
+    return 'Imported file numbers need exactly one county and one list type';
+  }
+  if (!getProceedingHandler(proceedings[0])) {
+    return `Unsupported proceeding: ${proceedings[0]}`;
+  }
+  return null;
+}
+
+/**
+ * The Phase 2 file list for imported file numbers — what Phase 1 would have
+ * returned, minus the File Date / File Name the File History lookup fills in.
+ *
+ * @returns {Array<{fileNumber, court, proceeding}>}
+ */
+export function importedFiles({ fileNumbers, ...targets }) {
+  const { counties, proceedings } = normalizeTargets(targets);
+  return [...new Set(fileNumbers)].map((fileNumber) => ({
+    fileNumber,
+    court: counties[0],
+    proceeding: proceedings[0],
+  }));
+}
+
+/**
+ * Phase 1: search every court × proceeding × month chunk of the date range
+ * and return the de-duplicated list of filings, each tagged with the court
+ * and proceeding it was found under.
+ *
+ * A month chunk with more than MAX_RESULTS_PER_CHUNK results is searched in
+ * weeks instead, and a week in days, so no single search pages for too long.
+ * With a runId, every finished chunk is checkpointed: calling again with the
+ * same runId after a timeout resumes at the first unfinished chunk. Chunks
+ * any run searched within the cache TTL come from the search cache; the
+ * browser is only connected for the first chunk that doesn't.
+ *
+ * With newOnly, filings some earlier run already processed (included or
+ * skipped) are dropped and counted in knownCount instead. The search itself
+ * doesn't move the incremental watermarks: pass `searched` to
+ * advanceSearchWatermarks() as the filings get processed.
+ *
+ * @param {Object} params
+ * @param {string[]} params.counties - Court dropdown values (or a single `county`)
+ * @param {string[]} params.proceedings - Proceeding labels (or a single `proceeding`)
+ * @param {string} params.fromDate - MM/DD/YYYY
+ * @param {string} params.toDate   - MM/DD/YYYY
+ * @param {boolean} [params.newOnly] - Skip filings processed by earlier runs
+ * @param {string} [params.runId] - Session key for gate-bypass reuse
+ * @param {() => boolean} [params.shouldStop] - Checked before each chunk; when it returns true the
+ *   search stops there, drops its checkpoint and resolves to null
+ * @returns {Promise<{files: Array, dateChunks: Array, knownCount: number, searched: Array, searchedChunks: number, resumedChunks: number, cachedChunks: number}|null>}
+ *   searched: { court, proceeding, latestFileDate } for each search made;
+ *   searchedChunks: chunks searched after splitting; resumedChunks / cachedChunks: of those, taken
+ *   from the checkpoint / the search cache
+ */
+export async function searchFilings({ fromDate, toDate, newOnly = false, runId, shouldStop, ...targets }) {
+  const { counties, proceedings } = normalizeTargets(targets);
+
+  // Split date range into month chunks
+  const dateChunks = splitDateRange(fromDate, toDate);
+
+  if (runId) {
+    ensureRun({ id: runId, court: counties.join(','), proceeding: proceedings.join(','), fromDate, toDate, newOnly });
+  }
+
+  let browser;
+  let connection = null;
+  try {
+    // Connect on first use and bypass the gate (saved under runId so the first batch can reuse it)
+    const connect = async () => {
+      if (!connection) {
+        connection = await connectBrowser({ sessionKey: runId });
+        browser = connection.browser;
+      }
+      return connection;
+    };
+
+    const checkpoint = runId
+      ? await loadCheckpoint(runId, { counties, proceedings, fromDate, toDate })
+      : { chunks: {}, split: [] };
+    let searchedChunks = 0;
+    let resumedChunks = 0;
+    let cachedChunks = 0;
+
+    // Search each court + proceeding, month chunk by month chunk (too-large
+    // chunks are swapped for their weeks or days at the front of the queue)
+    const allFiles = [];
+    const searched = [];
+    for (const county of counties) {
+      for (const proceeding of proceedings) {
+        const found = [];
+        const queue = [...dateChunks];
+        while (queue.length > 0) {
+          if (shouldStop?.()) {
+            if (runId) await clearCheckpoint(runId);
+            return null;
+          }
+          const chunk = queue.shift();
+          const key = chunkKey(county, proceeding, chunk);
+          const pieces = splitChunk(chunk);
+
+          if (pieces && checkpoint.split.includes(key)) {
+            queue.unshift(...pieces);
+            continue;
+          }
+          if (checkpoint.chunks[key]) {
+            found.push(...checkpoint.chunks[key]);
+            searchedChunks++;
+            resumedChunks++;
+            continue;
+          }
+          const cached = getCachedSearchChunk(county, proceeding, chunk);
+          if (cached?.split && pieces) {
+            queue.unshift(...pieces);
+            continue;
+          }
+          if (cached?.files) {
+            found.push(...cached.files);
+            searchedChunks++;
+            cachedChunks++;
+            continue;
+          }
+
+          // A single day is paged through however many results it has
+          const { page } = await connect();
+          const { files, tooLarge } = await withRetry(
+            () => searchAndCollectFiles(page, chunk.from, chunk.to, county, proceeding, {
+              maxResults: pieces ? MAX_RESULTS_PER_CHUNK : undefined,
+            }),
+            `Search ${county} ${proceeding} ${chunk.from}-${chunk.to}`
+          );
+          if (tooLarge) {
+            checkpoint.split.push(key);
+            cacheSearchChunk(county, proceeding, chunk, { split: true });
+            queue.unshift(...pieces);
+          } else {
+            // Tag with the list type searched, which picks the handler in Phase 2
+            checkpoint.chunks[key] = files.map((f) => ({ ...f, court: county, proceeding }));
+            cacheSearchChunk(county, proceeding, chunk, { files: checkpoint.chunks[key] });
+            found.push(...checkpoint.chunks[key]);
+            searchedChunks++;
+          }
+          if (runId) await saveCheckpoint(runId, checkpoint);
+          await delay(500);
+        }
+        searched.push({ court: county, proceeding, latestFileDate: latestFileDate(found) });
+        allFiles.push(...found);
+      }
+    }
+
+    // Deduplicate by court + file number
+    const seen = new Set();
+    const uniqueFiles = allFiles.filter((f) => {
+      const key = `${f.court}|${f.fileNumber}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    // Incremental mode: only pass on filings no earlier run has processed
+    let files = uniqueFiles;
+    let knownCount = 0;
+    for (const county of counties) {
+      const courtFiles = uniqueFiles.filter((f) => f.court === county);
+      upsertFilings(county, courtFiles, runId);
+      if (newOnly) {
+        const known = findProcessedFileNumbers(county, courtFiles.map((f) => f.fileNumber));
+        files = files.filter((f) => f.court !== county || !known.has(f.fileNumber));
+        knownCount += known.size;
+      }
+    }
+
+    if (runId) await clearCheckpoint(runId);
+    return { files, dateChunks, knownCount, searched, searchedChunks, resumedChunks, cachedChunks };
+  } finally {
+    if (browser) {
+      try { await browser.close(); } catch { /* ignore */ }
+    }
+  }
+}
+
+// Newest valid MM/DD/YYYY fileDate among these filings, or null
+function latestFileDate(files) {
+  let latest = null;
+  for (const f of files) {
+    if (!DATE_REGEX.test(f.fileDate || '')) continue;
+    if (!latest || parseDate(f.fileDate) > parseDate(latest)) latest = f.fileDate;
+  }
+  return latest;
+}
+
+/**
+ * Move the incremental-search watermarks of a run's searches forward as far
+ * as its processing got. For each court + proceeding searched: to the
+ * newest filing date the search returned once every filing passed to Phase 2
+ * is processed (included or skipped), otherwise to the date of the earliest
+ * one that isn't. Filings a run errored on, or never reached because it was
+ * cancelled or crashed, are then searched again by the next incremental run.
+ * Call it after every batch; watermarks never move backwards.
+ *
+ * @param {Object} params
+ * @param {Array<{court, proceeding, latestFileDate}>} params.searched - From searchFilings()
+ * @param {Array} params.files - The run's Phase 2 file list
+ * @param {Array} params.results - The run's results so far
+ */
+export function advanceSearchWatermarks({ searched, files, results }) {
+  const processed = new Set(
+    results.filter((r) => r.status === 'included' || r.status === 'skipped').map((r) => `${r.court}|${r.fileNumber}`)
+  );
+  for (const { court, proceeding, latestFileDate: latest } of searched) {
+    const pending = files.filter(
+      (f) => f.court === court && f.proceeding === proceeding && !processed.has(`${f.court}|${f.fileNumber}`)
+    );
+    const earliestPending = pending.reduce(
+      (earliest, f) =>
+        DATE_REGEX.test(f.fileDate || '') && (!earliest || parseDate(f.fileDate) < parseDate(earliest))
+          ? f.fileDate
+          : earliest,
+      null
+    );
+    const watermark = pending.length === 0 ? latest : earliestPending;
+    if (watermark) updateSearchWatermark(court, proceeding, watermark);
+  }
+}
+
+/**
+ * Phase 1 by party name: find the files a person is a party to (or, with
+ * decedentOnly, the estate named after them) in each court. Returns filings
+ * in the same shape as searchFilings(), ready for processFileBatch().
+ *
+ * @param {Object} params
+ * @param {string} params.lastName
+ * @param {string} [params.firstName]
+ * @param {boolean} [params.decedentOnly]
+ * @param {string[]} params.counties - Court dropdown values, searched one after another
+ * @param {string} [params.runId] - Session key for gate-bypass reuse
+ * @returns {Promise<{files: Array}>}
+ */
+export async function searchFilingsByName({ lastName, firstName = '', decedentOnly = false, counties, runId }) {
+  let browser;
+  try {
+    const connection = await connectBrowser({ sessionKey: runId });
+    browser = connection.browser;
+    const { page } = connection;
+
+    const files = [];
+    for (const county of counties) {
+      const found = await withRetry(
+        () => searchByName(page, county, { lastName, firstName, decedentOnly }),
+        `Name search ${county} ${lastName}`
+      );
+      // A person can be on a file in several roles; keep each file once
+      const fileNumbers = new Set();
+      const courtFiles = [];
+      for (const f of found) {
+        if (fileNumbers.has(f.fileNumber)) continue;
+        fileNumbers.add(f.fileNumber);
+        courtFiles.push({ ...f, court: county });
+      }
+      upsertFilings(county, courtFiles, runId);
+      files.push(...courtFiles);
+      await delay(500);
+    }
+
+    return { files };
+  } finally {
+    if (browser) {
+      try { await browser.close(); } catch { /* ignore */ }
+    }
+  }
+}
+
+/**
+ * The File History details carried into each included result: every party
+ * with their role, the judge, the attorney, whether the estate is closed
+ * (true/false, or null if the page didn't say), the docket and the estate
+ * stage it shows (with the date letters were issued, if they were).
+ */
+function courtRecord(parties, metadata = {}, docket = []) {
+  const estateClosed = parseEstateClosed(metadata.estateClosed);
+  const { stage, lettersIssuedDate } = classifyEstateStage(docket || [], estateClosed);
+  return {
+    attorney: metadata.attorney || '',
+    judge: metadata.judge || '',
+    estateClosed,
+    parties: parties || [],
+    docket: docket || [],
+    estateStage: stage,
+    lettersIssuedDate,
+  };
+}
+
+/**
+ * Look up one file's File History page and save it: parties, header
+ * details and the docket of every document filed.
+ *
+ * @param {Object} params
+ * @param {string} params.county - Court dropdown value
+ * @param {string} params.fileNumber - e.g. "2022-4682/A"
+ * @param {string} [params.runId] - Session key for gate-bypass reuse
+ * @returns {Promise<{parties: Array, metadata: Object, docket: Array}|null>} null if the court has no such file
+ */
+export async function fetchFileHistory({ county, fileNumber, runId }) {
+  let browser;
+  try {
+    const connection = await connectBrowser({ sessionKey: runId });
+    browser = connection.browser;
+
+    const { parties, metadata, docket } = await withRetry(
+      () => lookupFile(connection.page, fileNumber, county),
+      `Lookup ${fileNumber}`
+    );
+    if (parties.length === 0 && docket.length === 0 && !metadata.fileDate) return null;
+
+    upsertFilings(county, [{ fileNumber, fileDate: metadata.fileDate }], runId);
+    saveFileHistory(county, fileNumber, { parties, metadata, docket });
+    return { parties, metadata, docket };
+  } finally {
+    if (browser) {
+      try { await browser.close(); } catch { /* ignore */ }
+    }
+  }
+}
+
+// Layout extraction is best-effort: if a form quirk trips it up, parse the text alone
+function layoutFieldsOf(items, fileNumber) {
+  if (!items) return null;
+  try {
+    return parseLayoutFields(items);
+  } catch (err) {
+    logError('pipeline/layout', err.message, { fileNumber, stack: err.stack?.substring(0, 300) });
+    return null;
+  }
+}
+
+/**
+ * Phase 2: for each file — lookup, find PDF, download, parse, apply value filter.
+ *
+ * Each file is looked up in its own court (`court`, from searchFilings()) and
+ * its proceeding picks the handler: which document to open and which parser
+ * to run. `county` / `proceeding` stand in for files that don't carry them.
+ * Every result carries its court, county name and proceeding.
+ * Files with a recent lookup in the court site cache are only re-parsed
+ * when their petition is archived, and settled without a PDF when their
+ * docket lists none; the browser is connected for the first file that needs
+ * the court site.
+ * batchStats counts both (cacheHits / liveFetches).
+ * Per-file failures become 'error' results; only a failed connection throws.
+ *
+ * @param {Object} params
+ * @param {Array} params.files - Filings from searchFilings()
+ * @param {string} [params.county] - Court dropdown value for files without one
+ * @param {string} [params.proceeding] - Proceeding label for files without one
+ * @param {number} [params.minEstateValue]
+ * @param {string} [params.runId] - Session key for gate-bypass reuse
+ * @returns {Promise<{results: Array, batchStats: Object, sessionReused: boolean}>}
+ */
+export async function processFileBatch({ county, files, proceeding, minEstateValue = 100000, runId }) {
+  let browser;
+  let connection = null;
+  let connectError = null;
+  try {
+    // Connect on first use, reusing this run's gate-bypass session when it is still valid
+    const connect = async () => {
+      if (!connection) {
+        connection = await connectBrowser({ sessionKey: runId }).catch((err) => {
+          throw (connectError = err);
+        });
+        browser = connection.browser;
+      }
+      return connection;
+    };
+
+    const courtOf = (file) => file.court || county;
+    const { courtLabel } = catalogLabels();
+    for (const court of new Set(files.map(courtOf))) {
+      upsertFilings(court, files.filter((f) => courtOf(f) === court), runId);
+    }
+
+    const results = [];
+    const batchStats = { included: 0, skipped: 0, errors: 0, cacheHits: 0, liveFetches: 0 };
+
+    for (const file of files) {
+      const court = courtOf(file);
+      const result = {
+        fileNumber: file.fileNumber,
+        fileDate: file.fileDate,
+        fileName: file.fileName,
+        court,
+        county: courtLabel(court),
+        proceeding: file.proceeding || proceeding || null,
+      };
+
+      let fetchedLive = false;
+      try {
+        const handler = getProceedingHandler(result.proceeding);
+        if (!handler) throw new Error(`Unsupported proceeding: ${result.proceeding}`);
+
+        // Re-processing: a recent lookup skips the court site when the petition is
+        // archived, or when its docket shows there is no petition to download.
+        // Otherwise the file is looked up again: the petition link is only on the
+        // live File History page.
+        const cached = getCachedLookup(court, file.fileNumber);
+        const archived = await getArchivedPetition(court, file.fileNumber, handler.documentLink);
+        let pdfBuffer = archived?.buffer;
+        let pdfHash = archived?.sha256;
+        let lookup = cached;
+
+        if (cached && !archived && docketHasPetition(cached, handler.documentLink) === false) {
+          batchStats.cacheHits++;
+          results.push({ ...result, status: 'error', reason: 'No PDF available' });
+          batchStats.errors++;
+          continue;
+        }
+        if (cached && archived) {
+          batchStats.cacheHits++;
+        } else {
+          const { page, context } = await connect();
+          batchStats.liveFetches++;
+          fetchedLive = true;
+
+          // Look up the file
+          lookup = await withRetry(
+            () => lookupFile(page, file.fileNumber, court, handler.documentLink),
+            `Lookup ${file.fileNumber}`
+          );
+          saveFileHistory(court, file.fileNumber, lookup);
+
+          if (!pdfBuffer) {
+            // Try to get the PDF URL
+            let pdfViewerUrl = lookup.pdfUrl;
+            if (!pdfViewerUrl) {
+              pdfViewerUrl = await openPetitionPDF(page, context, handler.documentLink);
+            }
+
+            if (!pdfViewerUrl) {
+              results.push({ ...result, status: 'error', reason: 'No PDF available' });
+              batchStats.errors++;
+              continue;
+            }
+
+            pdfBuffer = await withRetry(
+              () => downloadPDF(page, context, pdfViewerUrl),
+              `PDF download ${file.fileNumber}`
+            );
+            const stored = await archivePdf(pdfBuffer);
+            linkPetitionPdf(court, file.fileNumber, handler.documentLink, stored);
+            pdfHash = stored.sha256;
+          }
+        }
+        const { parties, metadata, docket } = lookup;
+
+        // Imported file numbers arrive without the search results' columns
+        if (!result.fileDate) result.fileDate = metadata.fileDate;
+        if (!result.fileName) result.fileName = parties.find((p) => /DECEDENT/i.test(p.role))?.name;
+
+        // Extract the text (OCR fallback for scanned petitions)
+        const pdf = await parsePDF(pdfBuffer);
+
+        if (!pdf.text || pdf.text.trim().length === 0) {
+          let reason = 'PDF text extraction empty (possible scanned image)';
+          if (pdf.ocrError) reason += `; OCR failed: ${pdf.ocrError}`;
+          else if (pdf.method === 'ocr') reason += '; OCR found no text';
+          results.push({ ...result, status: 'skipped', reason });
+          batchStats.skipped++;
+          continue;
+        }
+
+        // Parse the structured data with the proceeding's parser
+        const parsed = {
+          ...handler.parse(pdf.text, {
+            ocr: pdf.method === 'ocr',
+            layout: layoutFieldsOf(pdf.items, file.fileNumber),
+          }),
+          proceeding: handler.proceeding,
+          extraction: pdf.method,
+          ocrConfidence: pdf.ocrConfidence ?? null,
+          pdfHash,
+        };
+        saveParsedPetition(court, file.fileNumber, parsed);
+
+        // Apply value filter
+        if (!meetsValueThreshold(parsed, minEstateValue)) {
+          const lower = parsed.estateValueLower?.toLocaleString() || '?';
+          const upper = parsed.estateValueUpper?.toLocaleString() || '?';
+          results.push({
+            ...result,
+            status: 'skipped',
+            reason: `Estate value $${lower}-$${upper} below $${minEstateValue.toLocaleString()} threshold`,
+          });
+          batchStats.skipped++;
+          continue;
+        }
+
+        // Include this result
+        results.push({
+          ...result,
+          status: 'included',
+          data: {
+            ...parsed,
+            ...courtRecord(parties, metadata, docket),
+          },
+        });
+        batchStats.included++;
+      } catch (err) {
+        if (err === connectError) throw err;
+        logError('pipeline/process-batch', err.message, {
+          fileNumber: file.fileNumber,
+          court,
+          stack: err.stack?.substring(0, 300),
+        });
+        results.push({ ...result, status: 'error', reason: err.message });
+        batchStats.errors++;
+      }
+
+      // Rate limiting between files (cache hits don't touch the court site)
+      if (fetchedLive) await delay();
+    }
+
+    if (runId) {
+      for (const result of results) {
+        recordRunResult(runId, result.court, result);
+      }
+    }
+
+    return { results, batchStats, sessionReused: !!connection?.sessionReused };
+  } finally {
+    if (browser) {
+      try { await browser.close(); } catch { /* ignore */ }
+    }
+  }
+}
+
+/**
+ * Read every County and List Type option from the site's search form and
+ * store them as the catalog the scrape forms offer.
+ *
+ * @returns {Promise<Object>} The new catalog (see getCatalog())
+ */
+export async function syncCatalog() {
+  let browser;
+  try {
+    const connection = await connectBrowser();
+    browser = connection.browser;
+
+    const { courts, proceedings } = await readSearchOptions(connection.page);
+    if (courts.length === 0 || proceedings.length === 0) {
+      throw new Error(
+        `Search form had ${courts.length} county and ${proceedings.length} list type option(s) — has the page changed?`
+      );
+    }
+
+    saveCatalog({ courts, proceedings });
+    return getCatalog();
+  } finally {
+    if (browser) {
+      try { await browser.close(); } catch { /* ignore */ }
+    }
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * Proceeding handlers — what differs between proceeding types: which File
+ * History document holds the petition, which parser reads it and which
+ * fiduciary (executor, administrator) it names for the export.
+ *
+ * To add a new proceeding type: add a handler here and its entry to
+ * LIST_TYPES in lib/config.js.
+ */
+import { parseProbateText, parseAdministrationText } from './petitionParser';
+
+export const PROCEEDING_HANDLERS = [
+  {
+    proceeding: 'PROBATE PETITION',
+    // Link text of the petition on the File History page
+    documentLink: 'PROBATE PETITION',
+    parse: parseProbateText,
+    fiduciary: { label: 'Executor', nameField: 'executorName', addressField: 'executorAddress' },
+  },
+  {
+    proceeding: 'ADMINISTRATION PETITION',
+    documentLink: 'ADMINISTRATION PETITION',
+    parse: parseAdministrationText,
+    fiduciary: { label: 'Administrator', nameField: 'administratorName', addressField: 'administratorAddress' },
+  },
+];
+
+/**
+ * Handler for a proceeding label (e.g. "ADMINISTRATION PETITION"). Filings
+ * without one (older runs) are treated as probate.
+ *
+ * @param {string} [proceeding]
+ * @returns {Object|null} null if the proceeding type isn't supported
+ */
+export function getProceedingHandler(proceeding) {
+  if (!proceeding) return PROCEEDING_HANDLERS[0];
+  const label = proceeding.trim().toUpperCase();
+  return PROCEEDING_HANDLERS.find((h) => h.proceeding === label) || null;
+}
@@ -1,6 +1,7 @@
 /**
- * Search module — submits search form and collects all file numbers
- * across paginated results.
+ * Search module — submits the date-range or party name search form and
+ * collects all file numbers across paginated results, and reads the form's
+ * County / List Type options.
  */
 import { BASE_URL } from '@/lib/config';
 import { delay, withRetry } from './browser';
@@ -9,14 +10,20 @@ import { delay, withRetry } from './browser';
  * Submit a probate petition search for a single date range chunk
  * and collect ALL file numbers across all result pages.
  *
+ * With maxResults, a chunk with more results than that is not paged
+ * through: it comes back as { files: [], total, tooLarge: true } so the
+ * caller can search it in smaller pieces.
+ *
  * @param {import('playwright-core').Page} page
  * @param {string} fromDate - MM/DD/YYYY
  * @param {string} toDate   - MM/DD/YYYY
  * @param {string} courtValue - Court dropdown value (e.g., "15")
  * @param {string} proceeding - Proceeding label (e.g., "PROBATE PETITION")
- * @returns {Promise<Array<{fileNumber, fileDate, fileName, proceeding, dod}>>}
+ * @param {Object} [options]
+ * @param {number} [options.maxResults]
+ * @returns {Promise<{files: Array<{fileNumber, fileDate, fileName, proceeding, dod}>, total: number, tooLarge: boolean}>}
  */
-export async function searchAndCollectFiles(page, fromDate, toDate, courtValue, proceeding) {
+export async function searchAndCollectFiles(page, fromDate, toDate, courtValue, proceeding, { maxResults } = {}) {
   // Navigate to search page
   await withRetry(async () => {
     await page.goto(`${BASE_URL}/File/FileSearch`, {
@@ -50,13 +57,92 @@ export async function searchAndCollectFiles(page, fromDate, toDate, courtValue,
   // Check for errors / no results
   const pageText = await page.textContent('body');
   if (pageText.includes('No records found') || pageText.includes('no records')) {
-    return [];
+    return { files: [], total: 0, tooLarge: false };
   }
   if (pageText.includes('must be within one calendar month')) {
     throw new Error('Date range exceeds one calendar month');
   }
 
-  // Collect all file numbers across all pages
+  const total = readResultCounts(pageText)?.total ?? 0;
+  if (maxResults && total > maxResults) {
+    return { files: [], total, tooLarge: true };
+  }
+
+  const files = await collectAllPages(page);
+  return { files, total: Math.max(total, files.length), tooLarge: false };
+}
+
+/**
+ * Submit a party name search (Party Name Search fieldset) in one court and
+ * collect every matching file across all result pages — the same shape as
+ * searchAndCollectFiles().
+ *
+ * The site matches any party on the file (decedent, petitioner,
+ * distributee...); with decedentOnly, only files named after the person
+ * (File Name "LAST, FIRST") are kept.
+ *
+ * @param {import('playwright-core').Page} page
+ * @param {string} courtValue - Court dropdown value (e.g., "15")
+ * @param {Object} name
+ * @param {string} name.lastName
+ * @param {string} [name.firstName]
+ * @param {boolean} [name.decedentOnly]
+ * @returns {Promise<Array<{fileNumber, fileDate, fileName, proceeding, dod}>>}
+ */
+export async function searchByName(page, courtValue, { lastName, firstName = '', decedentOnly = false }) {
+  await withRetry(async () => {
+    await page.goto(`${BASE_URL}/File/FileSearch`, {
+      waitUntil: 'domcontentloaded',
+      timeout: 12000,
+    });
+  }, 'Navigate to File Search');
+
+  await page.waitForSelector('#CourtSelect', { timeout: 8000 });
+
+  await page.selectOption('#CourtSelect', courtValue);
+  await page.fill('#PartyLastName', lastName);
+  await page.fill('#PartyFirstName', firstName);
+  await delay(300);
+
+  const searchBtn = await page.$('#FileSearchSubmit3');
+  if (!searchBtn) {
+    throw new Error('Could not find the Party Name Search button (#FileSearchSubmit3)');
+  }
+
+  await Promise.all([
+    page.waitForLoadState('domcontentloaded'),
+    searchBtn.click(),
+  ]);
+  await delay(1000);
+
+  const pageText = await page.textContent('body');
+  if (pageText.includes('No records found') || pageText.includes('no records')) {
+    return [];
+  }
+
+  const files = await collectAllPages(page);
+  if (!decedentOnly) return files;
+
+  const [wantLast, wantFirst] = [lastName, firstName].map((n) => n.trim().toUpperCase());
+  return files.filter((f) => {
+    const [last = '', first = ''] = f.fileName.toUpperCase().split(',').map((n) => n.trim());
+    return last === wantLast && first.startsWith(wantFirst);
+  });
+}
+
+/**
+ * The "Results X - Y of Z" line of a results page, or null if there is none.
+ */
+function readResultCounts(pageText) {
+  const match = pageText.match(/Results\s+(\d+)\s*-\s*(\d+)\s+of\s+(\d+)/);
+  if (!match) return null;
+  return { start: parseInt(match[1]), end: parseInt(match[2]), total: parseInt(match[3]) };
+}
+
+/**
+ * Collect the files on every page of the current search results.
+ */
+async function collectAllPages(page) {
   const allFiles = [];
   let hasMorePages = true;
 
@@ -64,14 +150,10 @@ export async function searchAndCollectFiles(page, fromDate, toDate, courtValue,
     const pageResults = await extractResultsFromPage(page);
     allFiles.push(...pageResults);
 
-    const resultsInfo = await page.textContent('body');
-    const match = resultsInfo.match(/Results\s+(\d+)\s*-\s*(\d+)\s+of\s+(\d+)/);
-
-    if (match) {
-      const endIdx = parseInt(match[2]);
-      const total = parseInt(match[3]);
+    const counts = readResultCounts(await page.textContent('body'));
 
-      if (endIdx < total) {
+    if (counts) {
+      if (counts.end < counts.total) {
         const nextLink = await page.$('a:has-text(">")');
         if (nextLink) {
           await Promise.all([
@@ -120,3 +202,34 @@ async function extractResultsFromPage(page) {
     return results;
   });
 }
+
+/**
+ * Read every County (#CourtSelect) and List Type (#SelectedProceeding)
+ * option from the File Search form, skipping "Select..." placeholders.
+ * Proceedings are searched by label, so their label is also their value.
+ *
+ * @param {import('playwright-core').Page} page
+ * @returns {Promise<{courts: Array<{value, label}>, proceedings: Array<{value, label}>}>}
+ */
+export async function readSearchOptions(page) {
+  await withRetry(async () => {
+    await page.goto(`${BASE_URL}/File/FileSearch`, {
+      waitUntil: 'domcontentloaded',
+      timeout: 12000,
+    });
+  }, 'Navigate to File Search');
+  await page.waitForSelector('#CourtSelect', { timeout: 8000 });
+
+  const readOptions = (selector) =>
+    page.$$eval(`${selector} option`, (options) =>
+      options.map((o) => ({ value: o.value.trim(), label: o.textContent.replace(/\s+/g, ' ').trim() }))
+    );
+  const isPlaceholder = (o) => !o.value || !o.label || /^-*\s*select\b/i.test(o.label);
+
+  const courts = (await readOptions('#CourtSelect')).filter((o) => !isPlaceholder(o));
+  const proceedings = (await readOptions('#SelectedProceeding'))
+    .filter((o) => !isPlaceholder(o))
+    .map((o) => ({ value: o.label, label: o.label }));
+
+  return { courts, proceedings };
+}
@@ -0,0 +1,46 @@
+/**
+ * Search checkpoint store (server-only).
+ *
+ * Phase 1 saves each finished date chunk's filings under the run ID, so a
+ * search that times out (or a job interrupted mid-search) picks up at the
+ * next chunk instead of searching the whole range again. A checkpoint only
+ * applies to the exact search it was saved for.
+ */
+import { readJSON, writeJSON, removeJSON } from '@/lib/storage';
+
+const COLLECTION = 'search-checkpoints';
+
+/**
+ * Load a run's checkpoint for this search, or an empty one.
+ *
+ * @param {string} runId
+ * @param {Object} search - { counties, proceedings, fromDate, toDate }
+ * @returns {Promise<{search: Object, chunks: Object, split: string[]}>}
+ *   chunks: chunk key → filings found; split: keys of chunks searched in pieces
+ */
+export async function loadCheckpoint(runId, search) {
+  const saved = await readJSON(COLLECTION, runId);
+  if (saved && JSON.stringify(saved.search) === JSON.stringify(search)) return saved;
+  return { search, chunks: {}, split: [] };
+}
+
+/**
+ * Save a run's checkpoint after a chunk finishes.
+ */
+export async function saveCheckpoint(runId, checkpoint) {
+  await writeJSON(COLLECTION, runId, checkpoint);
+}
+
+/**
+ * Drop a run's checkpoint once its search completes.
+ */
+export async function clearCheckpoint(runId) {
+  await removeJSON(COLLECTION, runId);
+}
+
+/**
+ * Checkpoint key of one court + proceeding + date chunk.
+ */
+export function chunkKey(county, proceeding, chunk) {
+  return `${county}|${proceeding}|${chunk.from}-${chunk.to}`;
+}
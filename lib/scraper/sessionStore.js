@@ -0,0 +1,55 @@
+/**
+ * Gate-bypass session store (server-only).
+ *
+ * After connectBrowser() gets through Cloudflare + hCaptcha + Welcome, the
+ * context's cookies/localStorage are saved under the run ID. Later batches of
+ * the same run restore them instead of paying for another bypass.
+ */
+import { SESSION_MAX_AGE_MS } from '@/lib/config';
+import { readJSON, writeJSON, removeJSON, listKeys } from '@/lib/storage';
+
+const COLLECTION = 'sessions';
+
+/**
+ * Load a saved storage state for a run, or null if missing/expired.
+ *
+ * @param {string} runId
+ * @returns {Promise<Object|null>} Playwright storageState
+ */
+export async function loadSession(runId) {
+  const saved = await readJSON(COLLECTION, runId);
+  if (!saved) return null;
+
+  if (Date.now() - saved.savedAt > SESSION_MAX_AGE_MS) {
+    await removeJSON(COLLECTION, runId);
+    return null;
+  }
+  return saved.storageState;
+}
+
+/**
+ * Save a context's storage state for a run, pruning expired sessions.
+ *
+ * @param {string} runId
+ * @param {Object} storageState - Result of context.storageState()
+ */
+export async function saveSession(runId, storageState) {
+  await writeJSON(COLLECTION, runId, { savedAt: Date.now(), storageState });
+  await pruneSessions();
+}
+
+/**
+ * Forget a run's session (e.g., the court site no longer accepts it).
+ */
+export async function clearSession(runId) {
+  await removeJSON(COLLECTION, runId);
+}
+
+async function pruneSessions() {
+  for (const key of await listKeys(COLLECTION)) {
+    const saved = await readJSON(COLLECTION, key).catch(() => null);
+    if (!saved || Date.now() - saved.savedAt > SESSION_MAX_AGE_MS) {
+      await removeJSON(COLLECTION, key);
+    }
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * Local JSON file storage (server-only).
+ *
+ * Everything lives under DATA_DIR (env), defaulting to ./.data locally and
+ * /tmp on Vercel, where only /tmp is writable. On Vercel this is per-instance
+ * scratch space, so treat anything stored here as a cache, not a record.
+ */
+import { randomBytes } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export const DATA_DIR =
+  process.env.DATA_DIR ||
+  (process.env.VERCEL ? '/tmp/probate-scraper' : path.join(process.cwd(), '.data'));
+
+// Keys become file names, so keep them to a safe character set
+const KEY_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Check that a caller-supplied key (run ID, job ID, ...) is safe to use as a file name.
+ */
+export function isValidKey(key) {
+  return typeof key === 'string' && KEY_PATTERN.test(key);
+}
+
+function filePath(collection, key) {
+  if (!isValidKey(key)) {
+    throw new Error(`Invalid storage key: ${String(key).substring(0, 80)}`);
+  }
+  return path.join(DATA_DIR, collection, `${key}.json`);
+}
+
+/**
+ * Read a stored JSON document. Returns null if it does not exist.
+ */
+export async function readJSON(collection, key) {
+  try {
+    const raw = await fs.readFile(filePath(collection, key), 'utf8');
+    return JSON.parse(raw);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Write a JSON document atomically (write to temp file, then rename). Each
+ * call gets its own temp file, so concurrent writes to one key never publish
+ * a half-written file: the last rename wins.
+ */
+export async function writeJSON(collection, key, value) {
+  const target = filePath(collection, key);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  const tmp = `${target}.${process.pid}.${randomBytes(6).toString('hex')}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(value));
+  await fs.rename(tmp, target);
+}
+
+/**
+ * Delete a stored document. Missing documents are ignored.
+ */
+export async function removeJSON(collection, key) {
+  try {
+    await fs.unlink(filePath(collection, key));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+}
+
+/**
+ * List the keys stored in a collection.
+ */
+export async function listKeys(collection) {
+  try {
+    const names = await fs.readdir(path.join(DATA_DIR, collection));
+    return names.filter((n) => n.endsWith('.json')).map((n) => n.slice(0, -5));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * File History diff — what changed on a watched file between two lookups:
+ * documents filed, parties added or removed, the estate closing or
+ * reopening, a new attorney or judge.
+ *
+ * Pure function: snapshots in, change list out.
+ */
+import { parseEstateClosed } from '@/lib/scraper/docket';
+
+const HEADER_FIELDS = [
+  { field: 'attorney', kind: 'attorney-changed', label: 'Estate attorney' },
+  { field: 'judge', kind: 'judge-changed', label: 'Judge' },
+];
+
+const docKey = (d) => `${d.filed || ''}|${d.document}`;
+const partyKey = (p) => `${p.name}|${p.role}`;
+
+/**
+ * Compare two File History snapshots ({ parties, metadata, docket }).
+ * Snapshots saved before dockets were extracted have docket: null, so no
+ * document changes are reported against them.
+ *
+ * @param {Object} before - The last saved lookup
+ * @param {Object} after  - The lookup just made
+ * @returns {Array<{kind: string, summary: string, detail: Object}>}
+ */
+export function diffFileHistory(before, after) {
+  const changes = [];
+
+  if (before.docket) {
+    const known = new Set(before.docket.map(docKey));
+    for (const doc of after.docket || []) {
+      if (known.has(docKey(doc))) continue;
+      changes.push({
+        kind: 'document-filed',
+        summary: `New filing: ${doc.document}${doc.filed ? ` (${doc.filed})` : ''}`,
+        detail: doc,
+      });
+    }
+  }
+
+  const beforeParties = new Set((before.parties || []).map(partyKey));
+  const afterParties = new Set((after.parties || []).map(partyKey));
+  for (const party of after.parties || []) {
+    if (!beforeParties.has(partyKey(party))) {
+      changes.push({ kind: 'party-added', summary: `Party added: ${party.name} (${party.role})`, detail: party });
+    }
+  }
+  for (const party of before.parties || []) {
+    if (!afterParties.has(partyKey(party))) {
+      changes.push({ kind: 'party-removed', summary: `Party removed: ${party.name} (${party.role})`, detail: party });
+    }
+  }
+
+  const wasClosed = parseEstateClosed(before.metadata?.estateClosed);
+  const isClosed = parseEstateClosed(after.metadata?.estateClosed);
+  if (wasClosed !== null && isClosed !== null && wasClosed !== isClosed) {
+    changes.push(
+      isClosed
+        ? { kind: 'estate-closed', summary: 'Estate closed', detail: null }
+        : { kind: 'estate-reopened', summary: 'Estate reopened', detail: null }
+    );
+  }
+
+  for (const { field, kind, label } of HEADER_FIELDS) {
+    const from = before.metadata?.[field] || '';
+    const to = after.metadata?.[field] || '';
+    if (from !== to) {
+      changes.push({
+        kind,
+        summary: `${label} changed: ${from || '(none)'} → ${to || '(none)'}`,
+        detail: { from, to },
+      });
+    }
+  }
+
+  return changes;
+}
@@ -0,0 +1,114 @@
+/**
+ * Watchlist checker (server-only).
+ *
+ * Every WATCHLIST_TICK_MS it looks up each watched file not checked in the
+ * last WATCHLIST_CHECK_INTERVAL_MS on the court site (one browser session
+ * for all of them), diffs the File History against the watch's snapshot
+ * from its last check and records what changed. The first check of a file
+ * never looked up before only saves the baseline.
+ *
+ * Like the job worker and scheduler, this needs a long-running server process.
+ */
+import { WATCHLIST_TICK_MS, WATCHLIST_CHECK_INTERVAL_MS } from '@/lib/config';
+import { logError } from '@/lib/errorLog';
+import { connectBrowser, delay, withRetry } from '@/lib/scraper/browser';
+import { lookupFile } from '@/lib/scraper/fileHistory';
+import { upsertFilings, saveFileHistory } from '@/lib/db/filings';
+import { listDueWatches, markWatchChecked, getWatchSnapshot, recordWatchChanges } from '@/lib/db/watchlist';
+import { diffFileHistory } from './diff';
+
+// Shared across route modules (and dev hot reloads) in the same process
+const state = globalThis.__probateWatcher || (globalThis.__probateWatcher = {
+  timer: null,
+  checking: false,
+});
+
+/**
+ * Start the watchlist timer if it is not already running. Safe to call often.
+ */
+export function startWatcher() {
+  if (state.timer) return;
+  state.timer = setInterval(() => checkWatchlist().catch(() => { /* logged */ }), WATCHLIST_TICK_MS);
+  state.timer.unref?.(); // never the only thing keeping the process alive
+  checkWatchlist().catch(() => { /* logged */ });
+}
+
+/**
+ * Whether a check is running right now.
+ */
+export function isChecking() {
+  return state.checking;
+}
+
+/**
+ * Check every watched file that is due (with force: every watched file).
+ * Does nothing if a check is already running.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - "Check now": ignore the check interval
+ * @returns {Promise<{checked: number, changes: number}|null>} null if already running
+ */
+export async function checkWatchlist({ force = false } = {}) {
+  if (state.checking) return null;
+  state.checking = true;
+
+  let browser;
+  try {
+    const due = listDueWatches(force ? new Date() : new Date(Date.now() - WATCHLIST_CHECK_INTERVAL_MS));
+    if (due.length === 0) return { checked: 0, changes: 0 };
+
+    const connection = await connectBrowser();
+    browser = connection.browser;
+
+    let changeCount = 0;
+    for (const watch of due) {
+      try {
+        changeCount += await checkFile(connection.page, watch);
+        markWatchChecked(watch.court, watch.fileNumber);
+      } catch (err) {
+        logError('watchlist', err.message, { court: watch.court, fileNumber: watch.fileNumber });
+        markWatchChecked(watch.court, watch.fileNumber, err.message);
+      }
+      await delay();
+    }
+    return { checked: due.length, changes: changeCount };
+  } catch (err) {
+    logError('watchlist', err.message, { stack: err.stack?.substring(0, 500) });
+    throw err;
+  } finally {
+    if (browser) {
+      try { await browser.close(); } catch { /* ignore */ }
+    }
+    state.checking = false;
+  }
+}
+
+// Look up one file and record what changed on it
+async function checkFile(page, watch) {
+  const current = await withRetry(
+    () => lookupFile(page, watch.fileNumber, watch.court),
+    `Watchlist lookup ${watch.fileNumber}`
+  );
+  if (current.parties.length === 0 && current.docket.length === 0 && !current.metadata.fileDate) {
+    throw new Error(`File ${watch.fileNumber} not found`);
+  }
+  return recordCheck(watch, current);
+}
+
+/**
+ * Record a watched file's changes since its last check and make this lookup
+ * its new snapshot (also saved as the file's latest File History).
+ *
+ * @param {{court: string, fileNumber: string}} watch
+ * @param {{parties, metadata, docket}} current - lookupFile() output
+ * @returns {number} How many changes were recorded
+ */
+export function recordCheck({ court, fileNumber }, current) {
+  const previous = getWatchSnapshot(court, fileNumber);
+  const changes = previous ? diffFileHistory(previous, current) : [];
+  recordWatchChanges(court, fileNumber, changes, current);
+
+  upsertFilings(court, [{ fileNumber, fileDate: current.metadata.fileDate }]);
+  saveFileHistory(court, fileNumber, current);
+  return changes.length;
+}
@@ -0,0 +1,317 @@
+/**
+ * Deterministic fake filings for the mock court site.
+ *
+ * Every court/proceeding/day gets 0-2 filings derived from a seeded hash, so
+ * the same search always returns the same files (and a month returns enough
+ * of them to span several result pages). Nothing is stored.
+ */
+
+export const COURTS = [
+  { value: '15', label: 'Erie' },
+  { value: '31', label: 'New York' },
+  { value: '24', label: 'Kings' },
+];
+
+export const PROCEEDINGS = [
+  'PROBATE PETITION',
+  'ADMINISTRATION PETITION',
+  'SMALL ESTATE AFFIDAVIT',
+];
+
+const FIRST_NAMES = ['MARY', 'JOHN', 'PATRICIA', 'ROBERT', 'LINDA', 'JAMES', 'BARBARA', 'WILLIAM', 'SUSAN', 'RICHARD'];
+const DAUGHTER_NAMES = ['MARY', 'PATRICIA', 'LINDA', 'BARBARA', 'SUSAN'];
+const LAST_NAMES = ['KOWALSKI', 'MURPHY', 'JOHNSON', 'NOWAK', 'SMITH', 'GRECO', 'WILLIAMS', 'BROWN', 'RUSSO', 'DAVIS'];
+const STREETS = ['Main St', 'Elmwood Ave', 'Delaware Ave', 'Harlem Rd', 'Transit Rd', 'Abbott Rd', 'Niagara Falls Blvd'];
+const TOWNS = [['Buffalo', '14201'], ['Amherst', '14226'], ['Cheektowaga', '14225'], ['Tonawanda', '14150'], ['Hamburg', '14075']];
+const JUDGES = ['ACEA', 'HOWE', 'MATTINA'];
+const ATTORNEYS = ['HODGSON RUSS LLP', 'LIPPES MATHIAS LLP', 'SMITH & JONES PC', 'PRO SE'];
+const VALUE_BANDS = [
+  [0, 10000],
+  [10000, 20000],
+  [20000, 50000],
+  [50000, 100000],
+  [100000, 250000],
+  [250000, 500000],
+  [500000, 1000000],
+];
+
+function hash(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+// Small seeded PRNG so a filing's details never change between requests
+function random(seed) {
+  let t = hash(seed);
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const pick = (rand, list) => list[Math.floor(rand() * list.length)];
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+export function formatDate(date) {
+  return `${pad(date.getMonth() + 1)}/${pad(date.getDate())}/${date.getFullYear()}`;
+}
+
+export function parseDate(str) {
+  const m = String(str || '').match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  return m ? new Date(Number(m[3]), Number(m[1]) - 1, Number(m[2])) : null;
+}
+
+function person(rand, lastName) {
+  const [town, zip] = pick(rand, TOWNS);
+  return {
+    name: `${pick(rand, FIRST_NAMES)} ${lastName || pick(rand, LAST_NAMES)}`,
+    street: `${10 + Math.floor(rand() * 980)} ${pick(rand, STREETS)}`,
+    town,
+    zip,
+  };
+}
+
+function buildFiling(court, proceeding, date, index) {
+  const year = date.getFullYear();
+  const seed = `${court}|${proceeding}|${formatDate(date)}|${index}`;
+  const rand = random(seed);
+
+  const sequence = 1000 + (hash(seed) % 9000);
+  const fileNumber = `${year}-${sequence}${index ? `/${String.fromCharCode(65 + index)}` : ''}`;
+  const decedent = person(rand);
+  const lastName = decedent.name.split(' ').pop();
+  let executor = person(rand, lastName);
+  while (executor.name === decedent.name) executor = person(rand, lastName);
+  const dod = new Date(date);
+  dod.setDate(dod.getDate() - 20 - Math.floor(rand() * 200));
+
+  const [lower, upper] = pick(rand, VALUE_BANDS);
+  const improved = rand() < 0.6 ? Math.round((upper * (0.3 + rand() * 0.5)) / 1000) * 1000 : 0;
+
+  // The executor is always one of the children
+  const children = [executor];
+  const count = 1 + Math.floor(rand() * 3);
+  for (let tries = 0; children.length < count && tries < 10; tries++) {
+    const child = person(rand, lastName);
+    if (!children.some((c) => c.name === child.name) && child.name !== decedent.name) children.push(child);
+  }
+  for (const child of children) {
+    child.relationship = DAUGHTER_NAMES.includes(child.name.split(' ')[0]) ? 'Daughter' : 'Son';
+  }
+
+  return {
+    court,
+    proceeding,
+    fileNumber,
+    fileDate: formatDate(date),
+    fileName: `${lastName}, ${decedent.name.split(' ')[0]}`,
+    dod: formatDate(dod),
+    decedent,
+    executor,
+    children,
+    estateValueLower: lower,
+    estateValueUpper: upper,
+    personalProperty: upper - improved > lower ? Math.round((upper - improved) * 0.6) : lower,
+    improvedRealProperty: improved,
+    judge: pick(rand, JUDGES),
+    attorney: pick(rand, ATTORNEYS),
+    estateClosed: rand() < 0.15,
+    // A few filings have no petition on file, like the real site
+    hasPetition: rand() > 0.05,
+  };
+}
+
+/**
+ * All filings for one court + proceeding filed between two dates (inclusive).
+ */
+export function findFilings(court, proceeding, from, to) {
+  const filings = [];
+  for (const d = new Date(from); d <= to; d.setDate(d.getDate() + 1)) {
+    if (d.getDay() === 0 || d.getDay() === 6) continue; // court is closed
+    const count = hash(`${court}|${proceeding}|${formatDate(d)}`) % 3;
+    for (let i = 0; i < count; i++) filings.push(buildFiling(court, proceeding, d, i));
+  }
+  return filings;
+}
+
+/**
+ * Find one filing by court + file number (e.g. "2024-4821" or "2024-4821/B").
+ */
+export function findFiling(court, fileNumber) {
+  const year = Number(String(fileNumber).slice(0, 4));
+  if (!year) return null;
+
+  for (const proceeding of PROCEEDINGS) {
+    const match = findFilings(court, proceeding, new Date(year, 0, 1), new Date(year, 11, 31))
+      .find((f) => f.fileNumber === fileNumber);
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Filings from the past year naming a party with this last name (and first
+ * name, if given), newest first — the site's Party Name Search.
+ */
+export function findFilingsByParty(court, lastName, firstName) {
+  const to = new Date();
+  const from = new Date(to);
+  from.setFullYear(from.getFullYear() - 1);
+  const want = new RegExp(`^${firstName ? escapeRegExp(firstName.toUpperCase()) + '\\S*' : '\\S+'} ${escapeRegExp(lastName.toUpperCase())}$`);
+
+  return PROCEEDINGS
+    .flatMap((proceeding) => findFilings(court, proceeding, from, to))
+    .filter((f) => partiesFor(f).some((p) => want.test(p.name)))
+    .sort((x, y) => parseDate(y.fileDate) - parseDate(x.fileDate));
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Documents as listed in the File History docket, oldest first: the petition
+ * and its papers, service or waivers from the other distributees, the decree
+ * and letters — and, for closed estates, the accounting papers. Papers not
+ * due until after today are left off.
+ */
+export function docketFor(filing) {
+  const rand = random(`${filing.court}|${filing.fileNumber}|docket`);
+  const probate = filing.proceeding === 'PROBATE PETITION';
+  const filed = parseDate(filing.fileDate);
+  const on = (days) => {
+    const d = new Date(filed);
+    d.setDate(d.getDate() + days);
+    return d;
+  };
+
+  const docket = [];
+  const add = (days, document, petition = false) => docket.push({ date: on(days), document, petition });
+
+  if (filing.hasPetition) add(0, filing.proceeding, true);
+  if (probate) add(0, 'WILL');
+  add(0, 'DEATH CERTIFICATE');
+
+  const others = filing.children.filter((c) => c.name !== filing.executor.name);
+  let day = 5;
+  for (const child of others) {
+    day += 1 + Math.floor(rand() * 10);
+    add(day, rand() < 0.7 ? `WAIVER AND CONSENT - ${child.name}` : `CITATION - ${child.name}`);
+  }
+  if (docket.some((d) => d.document.startsWith('CITATION'))) add(day + 20, 'AFFIDAVIT OF SERVICE');
+
+  const decreeDay = day + 30 + Math.floor(rand() * 60);
+  add(decreeDay, probate ? 'DECREE GRANTING PROBATE' : 'DECREE GRANTING ADMINISTRATION');
+  add(decreeDay, probate ? 'LETTERS TESTAMENTARY' : 'LETTERS OF ADMINISTRATION');
+
+  if (filing.estateClosed) {
+    add(decreeDay + 120, 'RECEIPT AND RELEASE');
+    add(decreeDay + 150, 'ACCOUNTING');
+    add(decreeDay + 180, 'DECREE SETTLING ACCOUNT');
+  }
+
+  return docket
+    .filter((d) => d.date <= new Date())
+    .sort((x, y) => x.date - y.date)
+    .map((d) => ({ ...d, date: formatDate(d.date) }));
+}
+
+/**
+ * Parties as listed in the File History party table.
+ */
+export function partiesFor(filing) {
+  return [
+    { name: filing.decedent.name, role: 'DECEDENT', dod: filing.dod },
+    { name: filing.executor.name, role: 'PETITIONER', dod: '' },
+    ...filing.children
+      .filter((c) => c.name !== filing.executor.name)
+      .map((c) => ({ name: c.name, role: 'DISTRIBUTEE', dod: '' })),
+  ];
+}
+
+// First / Middle / Last form field positions
+function nameFields(name) {
+  const parts = name.split(' ');
+  const fields = [[110, parts[0]], [350, parts[parts.length - 1]]];
+  if (parts.length > 2) fields.push([230, parts.slice(1, -1).join(' ')]);
+  return fields;
+}
+
+function money(n) {
+  return n ? `${n.toLocaleString('en-US')}.00` : 'NONE';
+}
+
+/**
+ * Lines of the petition PDF, laid out like the real P-1 probate petition (or
+ * A-1 administration petition) — including the petitioner's form fields,
+ * whose flattened text interleaves values and labels the way real petitions do.
+ */
+export function petitionLines(filing) {
+  const { decedent, executor, children } = filing;
+  const administration = filing.proceeding === 'ADMINISTRATION PETITION';
+  const dod = parseDate(filing.dod);
+  const dodText = dod.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+  const share = children.length === 1 ? 'All of residuary estate' : `1/${children.length} of residuary estate`;
+
+  const heading = administration
+    ? [
+        `ADMINISTRATION PROCEEDING, ESTATE OF: ${decedent.name}, Deceased`,
+        `File No. ${filing.fileNumber}`,
+        'PETITION FOR LETTERS OF ADMINISTRATION',
+      ]
+    : [
+        `PROBATE PROCEEDING, WILL OF: ${decedent.name}`,
+        `File No. ${filing.fileNumber}`,
+        'PETITION FOR PROBATE AND LETTERS TESTAMENTARY',
+      ];
+  const beneficiaries = administration
+    ? ['3. The decedent died intestate, leaving no last will and testament.']
+    : [
+        '7. The names and domicile addresses of all beneficiaries, legatees and devisees are:',
+        ...children.flatMap((c) => [
+          `Name: ${c.name}   Relationship: ${c.relationship}`,
+          `Address: ${c.street}, ${c.town} NY ${c.zip}`,
+          `Interest: ${share}`,
+        ]),
+      ];
+
+  return [
+    'SURROGATE\'S COURT OF THE STATE OF NEW YORK',
+    ...heading,
+    '1. The name, domicile, and interest in this proceeding of the petitioner are as follows:',
+    // Form fields: values typed above their printed labels
+    [[50, 'Name:'], ...nameFields(executor.name)],
+    [[110, '(First)'], [230, '(Middle)'], [350, '(Last)']],
+    [[50, 'Domicile or Principal Office:'], [210, executor.street]],
+    [[210, '(Street and Number)']],
+    [[210, executor.town], [330, 'New York'], [430, executor.zip]],
+    [[210, '(City, Village or Town)'], [330, '(State)'], [430, '(Zip Code)']],
+    `2. The name and domicile of the decedent are as follows: ${decedent.name}`,
+    `Date of death: ${dodText}`,
+    'Place of death: Buffalo, New York',
+    `Domicile: Street ${decedent.street}`,
+    `City or Town ${decedent.town}`,
+    'County Erie State New York',
+    '6. The names, relationships and domicile addresses of all distributees of the decedent are:',
+    ...children.flatMap((c) => [
+      `Name: ${c.name}   Relationship: ${c.relationship}`,
+      `Domicile Address: ${c.street}`,
+      `${c.town}, NY ${c.zip}`,
+    ]),
+    ...beneficiaries,
+    '9. The estimated gross value of the decedent\'s property is:',
+    `greater than $ ${filing.estateValueLower.toLocaleString('en-US')}.00 but less than $ ${filing.estateValueUpper.toLocaleString('en-US')}.00`,
+    `Personal Property $ ${money(filing.personalProperty)}`,
+    `Improved real property in New York State $ ${money(filing.improvedRealProperty)}`,
+    'Unimproved real property in New York State $ NONE',
+  ];
+}
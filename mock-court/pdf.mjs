@@ -0,0 +1,73 @@
+/**
+ * Minimal PDF writer for the mock court site — Helvetica text lines (or
+ * positioned segments, for form-style layouts) with a real text layer,
+ * enough for pdf-parse and pdf.js to read.
+ */
+
+const LINES_PER_PAGE = 60;
+
+// pdf-parse's bundled pdf.js misreads documents small enough to land in
+// Node's shared Buffer pool (< 4KB), so short PDFs are padded past it
+const MIN_PDF_BYTES = 8192;
+
+function escapeText(str) {
+  return String(str)
+    .replace(/[^\x20-\x7e]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+}
+
+// A line is a string (left margin) or [[x, text], ...] segments for form-style layouts
+function pageStream(lines) {
+  const ops = ['BT', '/F1 10 Tf'];
+  lines.forEach((line, i) => {
+    const y = 760 - i * 12;
+    const segments = typeof line === 'string' ? [[50, line]] : line;
+    for (const [x, text] of segments) ops.push(`1 0 0 1 ${x} ${y} Tm (${escapeText(text)}) Tj`);
+  });
+  ops.push('ET');
+  return ops.join('\n');
+}
+
+/**
+ * Build a PDF from lines of text.
+ *
+ * @param {Array<string|Array<[number, string]>>} lines
+ * @returns {Buffer}
+ */
+export function buildPDF(lines) {
+  const pages = [];
+  for (let i = 0; i < lines.length || pages.length === 0; i += LINES_PER_PAGE) {
+    pages.push(lines.slice(i, i + LINES_PER_PAGE));
+  }
+
+  // 1: catalog, 2: page tree, 3: font, then a page + content stream per page
+  const pageIds = pages.map((_, i) => 4 + i * 2);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+  ];
+  for (const [i, pageLines] of pages.entries()) {
+    const stream = pageStream(pageLines);
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`,
+      `<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`
+    );
+  }
+
+  let body = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+  const padding = MIN_PDF_BYTES - objects.reduce((n, obj) => n + obj.length + 32, 256);
+  if (padding > 0) body += `${'%'.padEnd(79, ' ')}\n`.repeat(Math.ceil(padding / 80));
+  const offsets = [];
+  for (const [i, obj] of objects.entries()) {
+    offsets.push(Buffer.byteLength(body, 'latin1'));
+    body += `${i + 1} 0 obj\n${obj}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(body, 'latin1');
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  for (const offset of offsets) body += `${String(offset).padStart(10, '0')} 00000 n \n`;
+  body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(body, 'latin1');
+}
@@ -0,0 +1,286 @@
+/**
+ * Mock Surrogate's Court site for offline end-to-end testing.
+ *
+ * Mimics the pages the scraper walks through — /Home/Welcome,
+ * /Home/AuthenticatePage (hCaptcha already "solved"), /File/FileSearch with
+ * paginated date-range and party name results, File History pages and petition PDFs — using the same
+ * element IDs and button values as websurrogates.nycourts.gov.
+ *
+ * Usage:
+ *   npm run mock-court                      (listens on MOCK_COURT_PORT, default 4010)
+ *   COURT_BASE_URL=http://localhost:4010 BROWSER_PROVIDER=local npm run dev
+ *
+ * Only the gate cookie is kept in memory; filings come from fixtures.mjs.
+ */
+import http from 'http';
+import { COURTS, PROCEEDINGS, findFilings, findFiling, findFilingsByParty, partiesFor, docketFor, petitionLines, parseDate } from './fixtures.mjs';
+import { buildPDF } from './pdf.mjs';
+
+const PORT = Number(process.env.MOCK_COURT_PORT) || 4010;
+const PAGE_SIZE = 10;
+const SESSION_COOKIE = 'MockCourtSession';
+
+const sessions = new Set();
+
+// --- HTML helpers ---
+
+function escapeHtml(str) {
+  return String(str ?? '').replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html><head><title>${escapeHtml(title)} - WebSurrogate (mock)</title></head>
+<body>
+<h1>WebSurrogate</h1>
+${body}
+</body></html>`;
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+  res.end(body);
+}
+
+function redirect(res, location, headers = {}) {
+  res.writeHead(302, { Location: location, ...headers });
+  res.end();
+}
+
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(body))));
+    req.on('error', reject);
+  });
+}
+
+function hasSession(req) {
+  const match = (req.headers.cookie || '').match(new RegExp(`${SESSION_COOKIE}=([\\w-]+)`));
+  return Boolean(match && sessions.has(match[1]));
+}
+
+// --- Pages ---
+
+function welcomePage() {
+  return layout('Welcome', `
+<p>Welcome to the Surrogate's Court public access site.</p>
+<form method="post" action="/Home/Welcome">
+  <button type="submit" name="WelcomePageButton" value="Start">Start</button>
+</form>`);
+}
+
+function authenticatePage() {
+  return layout('Authenticate', `
+<form method="post" action="/Home/AuthenticatePage">
+  <div class="h-captcha">
+    <textarea name="h-captcha-response" style="display:none">mock-captcha-token</textarea>
+  </div>
+  <button type="submit" name="LinkButton" value="ToFileSearch">File Search</button>
+</form>`);
+}
+
+function searchForm(values = {}) {
+  const courtOptions = COURTS.map(
+    (c) => `<option value="${c.value}"${c.value === values.CourtSelect ? ' selected' : ''}>${escapeHtml(c.label)}</option>`
+  ).join('');
+  const proceedingOptions = PROCEEDINGS.map(
+    (p, i) => `<option value="${i + 1}"${String(i + 1) === values.SelectedProceeding ? ' selected' : ''}>${escapeHtml(p)}</option>`
+  ).join('');
+
+  return `
+<form method="post" action="/File/FileSearch">
+  <label>Court <select id="CourtSelect" name="CourtSelect">${courtOptions}</select></label>
+  <fieldset>
+    <legend>File Number Search</legend>
+    <input id="FileNumber" name="FileNumber" value="${escapeHtml(values.FileNumber)}">
+    <button type="submit" id="FileSearchSubmit" name="SearchType" value="FileNumber">Search</button>
+  </fieldset>
+  <fieldset>
+    <legend>File Information Search</legend>
+    <select id="SelectedProceeding" name="SelectedProceeding"><option value="">Select</option>${proceedingOptions}</select>
+    <input id="txtFilingDateFrom" name="FilingDateFrom" value="${escapeHtml(values.FilingDateFrom)}">
+    <input id="txtFilingDateTo" name="FilingDateTo" value="${escapeHtml(values.FilingDateTo)}">
+    <button type="submit" id="FileSearchSubmit2" name="SearchType" value="Information">Search</button>
+  </fieldset>
+  <fieldset>
+    <legend>Party Name Search</legend>
+    <input id="PartyLastName" name="PartyLastName" value="${escapeHtml(values.PartyLastName)}">
+    <input id="PartyFirstName" name="PartyFirstName" value="${escapeHtml(values.PartyFirstName)}">
+    <button type="submit" id="FileSearchSubmit3" name="SearchType" value="Name">Search</button>
+  </fieldset>
+</form>`;
+}
+
+function resultsPage(query, values) {
+  const court = query.get('court');
+  const proceeding = PROCEEDINGS[Number(query.get('proceeding')) - 1];
+  const from = parseDate(query.get('from'));
+  const to = parseDate(query.get('to'));
+
+  if (!from || !to || !proceeding) {
+    return layout('File Search', `${searchForm(values)}<p class="error">Please enter a proceeding and filing dates.</p>`);
+  }
+  const limit = new Date(from);
+  limit.setMonth(limit.getMonth() + 1);
+  if (to > limit || to < from) {
+    return layout('File Search', `${searchForm(values)}<p class="error">Filing date range must be within one calendar month.</p>`);
+  }
+
+  return resultsTable(findFilings(court, proceeding, from, to), query, values);
+}
+
+function nameResultsPage(query, values) {
+  const last = (query.get('last') || '').trim();
+  if (!last) {
+    return layout('File Search', `${searchForm(values)}<p class="error">Please enter a last name.</p>`);
+  }
+  return resultsTable(findFilingsByParty(query.get('court'), last, query.get('first') || ''), query, values);
+}
+
+// One page of results, with links to the neighbouring pages of the same search
+function resultsTable(filings, query, values) {
+  const court = query.get('court');
+  const page = Math.max(1, Number(query.get('page')) || 1);
+  if (filings.length === 0) {
+    return layout('File Search', `${searchForm(values)}<p>No records found.</p>`);
+  }
+
+  const start = (page - 1) * PAGE_SIZE;
+  const rows = filings.slice(start, start + PAGE_SIZE).map((f) => `
+  <tr>
+    <td><form method="post" action="/File/FileSearch"><input type="hidden" name="CourtSelect" value="${escapeHtml(court)}"><button type="submit" class="ButtonAsLink" name="FileNumber" value="${escapeHtml(f.fileNumber)}">${escapeHtml(f.fileNumber)}</button></form></td>
+    <td>${f.fileDate}</td>
+    <td>${escapeHtml(f.fileName)}</td>
+    <td>${escapeHtml(f.proceeding)}</td>
+    <td>${f.dod}</td>
+  </tr>`).join('');
+
+  const end = Math.min(start + PAGE_SIZE, filings.length);
+  const pageLink = (n, label) => {
+    const q = new URLSearchParams(query);
+    q.set('page', n);
+    return `<a href="/File/${query.has('last') ? 'NameResults' : 'SearchResults'}?${q}">${label}</a>`;
+  };
+  const nav = [
+    page > 1 ? pageLink(page - 1, '&lt;') : '',
+    end < filings.length ? pageLink(page + 1, '&gt;') : '',
+  ].join(' ');
+
+  return layout('Search Results', `
+<p>Results ${start + 1} - ${end} of ${filings.length}</p>
+<table>
+  <tr><th>File #</th><th>File Date</th><th>File Name</th><th>Proceeding</th><th>DOD</th></tr>${rows}
+</table>
+<div class="pager">${nav}</div>`);
+}
+
+function fileHistoryPage(filing) {
+  const parties = partiesFor(filing).map((p) => `
+  <tr><td>${escapeHtml(p.name)}</td><td>${p.role}</td><td>${p.dod}</td></tr>`).join('');
+  const docQuery = new URLSearchParams({ court: filing.court, file: filing.fileNumber });
+  // Only the petition has a viewable document
+  const documents = docketFor(filing).map((d) => `
+  <tr><td>${d.date}</td><td>${d.petition
+    ? `<a href="/File/Document?${docQuery}" target="_blank">${escapeHtml(d.document)}</a>`
+    : escapeHtml(d.document)}</td></tr>`).join('');
+
+  return layout('File History', `
+<h2>File History: ${escapeHtml(filing.fileNumber)} ${escapeHtml(filing.fileName)}</h2>
+<div>File Date: ${filing.fileDate}</div>
+<div>Estate Closed: ${filing.estateClosed ? 'Y' : 'N'}</div>
+<div>Judge: ${escapeHtml(filing.judge)}</div>
+<div>Estate Attorney: ${escapeHtml(filing.attorney)}</div>
+<table>
+  <tr><th>Party</th><th>Role</th><th>DOD</th></tr>${parties}
+</table>
+<h3>Documents</h3>
+<table>
+  <tr><th>Filed</th><th>Document</th></tr>${documents}
+</table>`);
+}
+
+function documentViewerPage(query) {
+  return layout('Document', `<embed type="application/pdf" src="/File/DocumentPdf?${query}" width="100%" height="800">`);
+}
+
+// --- Routing ---
+
+async function handle(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const route = `${req.method} ${url.pathname}`;
+
+  // The gate: Welcome → AuthenticatePage → cookie
+  if (route === 'GET /' || route === 'GET /Home/Welcome') return send(res, 200, welcomePage());
+  if (route === 'POST /Home/Welcome') return redirect(res, '/Home/AuthenticatePage');
+  if (route === 'GET /Home/AuthenticatePage') return send(res, 200, authenticatePage());
+  if (route === 'POST /Home/AuthenticatePage') {
+    const form = await readForm(req);
+    if (!form['h-captcha-response']) return send(res, 200, authenticatePage());
+    const id = Math.random().toString(36).slice(2);
+    sessions.add(id);
+    return redirect(res, '/File/FileSearch', { 'Set-Cookie': `${SESSION_COOKIE}=${id}; Path=/; HttpOnly` });
+  }
+
+  // Everything else needs the gate cookie, like the real site
+  if (!hasSession(req)) return redirect(res, '/Home/Welcome');
+
+  if (route === 'GET /File/FileSearch') return send(res, 200, layout('File Search', searchForm()));
+
+  if (route === 'POST /File/FileSearch') {
+    const form = await readForm(req);
+    if (form.SearchType === 'Information') {
+      const query = new URLSearchParams({
+        court: form.CourtSelect || '',
+        proceeding: form.SelectedProceeding || '',
+        from: form.FilingDateFrom || '',
+        to: form.FilingDateTo || '',
+      });
+      return send(res, 200, resultsPage(query, form));
+    }
+    if (form.SearchType === 'Name') {
+      const query = new URLSearchParams({
+        court: form.CourtSelect || '',
+        last: form.PartyLastName || '',
+        first: form.PartyFirstName || '',
+      });
+      return send(res, 200, nameResultsPage(query, form));
+    }
+    // File number search (or a file button on the results page)
+    const query = new URLSearchParams({ court: form.CourtSelect || '', file: (form.FileNumber || '').trim() });
+    return redirect(res, `/File/FileHistory?${query}`);
+  }
+
+  if (route === 'GET /File/SearchResults') return send(res, 200, resultsPage(url.searchParams, {}));
+  if (route === 'GET /File/NameResults') return send(res, 200, nameResultsPage(url.searchParams, {}));
+
+  if (route === 'GET /File/FileHistory') {
+    const filing = findFiling(url.searchParams.get('court'), url.searchParams.get('file'));
+    if (!filing) return send(res, 200, layout('File Search', `${searchForm()}<p>No records found.</p>`));
+    return send(res, 200, fileHistoryPage(filing));
+  }
+
+  if (route === 'GET /File/Document' || route === 'GET /File/DocumentPdf') {
+    const filing = findFiling(url.searchParams.get('court'), url.searchParams.get('file'));
+    if (!filing?.hasPetition) return send(res, 404, layout('Not Found', '<p>Document not found.</p>'));
+    if (route === 'GET /File/Document') return send(res, 200, documentViewerPage(url.searchParams));
+    return send(res, 200, buildPDF(petitionLines(filing)), {
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': 'inline; filename="petition.pdf"',
+    });
+  }
+
+  return send(res, 404, layout('Not Found', '<p>Page not found.</p>'));
+}
+
+http
+  .createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      console.error(err);
+      send(res, 500, layout('Error', `<p>${escapeHtml(err.message)}</p>`));
+    });
+  })
+  .listen(PORT, () => {
+    console.log(`Mock court site listening on http://localhost:${PORT}`);
+  });
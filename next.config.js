@@ -1,7 +1,17 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   // playwright-core is server-only; prevent bundling issues
-  serverExternalPackages: ['playwright-core', 'pdf-parse'],
+  // better-sqlite3 and @napi-rs/canvas are native addons; tesseract.js spawns
+  // worker threads from its own files — all must load from node_modules
+  serverExternalPackages: [
+    'playwright-core',
+    'pdf-parse',
+    'better-sqlite3',
+    'tesseract.js',
+    '@tesseract.js-data/eng',
+    'pdfjs-dist',
+    '@napi-rs/canvas',
+  ],
 };
 
 module.exports = nextConfig;
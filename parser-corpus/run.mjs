@@ -0,0 +1,259 @@
+/**
+ * Golden-corpus regression harness for parseProbateText().
+ *
+ * Each fixture is an anonymized petition text (fixtures/<name>.txt) with the
+ * correct structured output next to it (fixtures/<name>.expected.json).
+ * Fixtures made from a PDF also keep its positioned text items
+ * (fixtures/<name>.items.json), which turns on layout-aware extraction.
+ * The harness parses every fixture, reports field-by-field accuracy and
+ * compares each field against the last saved baseline (baseline.json), so a
+ * parser change shows up as numbers: what it fixed and what it broke.
+ *
+ * Usage:
+ *   npm run parser-corpus                        report accuracy + diff vs baseline
+ *   npm run parser-corpus -- --verbose           also list every wrong field
+ *   npm run parser-corpus -- --update-baseline   save this run as the new baseline
+ *   npm run parser-corpus -- --write-missing     create .expected.json for new
+ *                                                fixtures from the current output
+ *                                                (then correct them by hand!)
+ *   npm run parser-corpus -- --add-pdf <file.pdf> <name>
+ *                                                save an (anonymized!) PDF's text
+ *                                                and text items as a new fixture
+ *
+ * Exits with code 1 if any field that matched in the baseline no longer does.
+ */
+import { readFileSync, writeFileSync, readdirSync, existsSync } from 'fs';
+import { createRequire } from 'module';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseProbateText } from '../lib/scraper/petitionParser.js';
+import { parseLayoutFields } from '../lib/scraper/layoutParser.js';
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.join(ROOT, 'fixtures');
+const BASELINE_PATH = path.join(ROOT, 'baseline.json');
+
+const FIELDS = [
+  'decedentName',
+  'decedentAddress',
+  'dateOfDeath',
+  'placeOfDeath',
+  'executorName',
+  'executorAddress',
+  'estateValueLower',
+  'estateValueUpper',
+  'personalProperty',
+  'improvedRealProperty',
+  'unimprovedRealProperty',
+  'beneficiaries',
+];
+
+const argv = process.argv.slice(2);
+const args = new Set(argv);
+const verbose = args.has('--verbose');
+
+// Compare on content, not incidental whitespace or key order
+function normalize(value) {
+  if (typeof value === 'string') return value.replace(/\s+/g, ' ').trim();
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map((k) => [k, normalize(value[k])]));
+  }
+  return value ?? null;
+}
+
+function show(value) {
+  const str = JSON.stringify(value);
+  return str.length > 120 ? `${str.slice(0, 117)}...` : str;
+}
+
+function loadFixtures() {
+  return readdirSync(FIXTURES_DIR)
+    .filter((f) => f.endsWith('.txt'))
+    .sort()
+    .map((f) => {
+      const name = f.replace(/\.txt$/, '');
+      const expectedPath = path.join(FIXTURES_DIR, `${name}.expected.json`);
+      const itemsPath = path.join(FIXTURES_DIR, `${name}.items.json`);
+      return {
+        name,
+        text: readFileSync(path.join(FIXTURES_DIR, f), 'utf8'),
+        items: existsSync(itemsPath) ? JSON.parse(readFileSync(itemsPath, 'utf8')) : null,
+        expectedPath,
+        expected: existsSync(expectedPath) ? JSON.parse(readFileSync(expectedPath, 'utf8')) : null,
+      };
+    });
+}
+
+function pick(obj) {
+  return Object.fromEntries(FIELDS.map((field) => [field, obj[field] ?? null]));
+}
+
+function run() {
+  const fixtures = loadFixtures();
+  const baseline = existsSync(BASELINE_PATH) ? JSON.parse(readFileSync(BASELINE_PATH, 'utf8')) : null;
+
+  const results = {};
+  const mismatches = [];
+  const skipped = [];
+
+  for (const fixture of fixtures) {
+    const layout = fixture.items ? parseLayoutFields(fixture.items) : null;
+    const actual = pick(parseProbateText(fixture.text, { layout }));
+
+    if (!fixture.expected) {
+      if (args.has('--write-missing')) {
+        writeFileSync(fixture.expectedPath, `${JSON.stringify(actual, null, 2)}\n`);
+        console.log(`Wrote ${path.relative(process.cwd(), fixture.expectedPath)} — check it by hand before trusting it.`);
+      } else {
+        skipped.push(fixture.name);
+      }
+      continue;
+    }
+
+    results[fixture.name] = {};
+    for (const field of FIELDS) {
+      const expected = fixture.expected[field] ?? null;
+      const pass = JSON.stringify(normalize(actual[field])) === JSON.stringify(normalize(expected));
+      results[fixture.name][field] = { pass, actual: actual[field] };
+      if (!pass) mismatches.push({ fixture: fixture.name, field, expected, actual: actual[field] });
+    }
+  }
+
+  const names = Object.keys(results);
+  if (names.length === 0) {
+    console.log('No fixtures with expected output found.');
+    return 0;
+  }
+
+  // --- Accuracy per field (with change vs baseline) ---
+  const pad = Math.max(...FIELDS.map((f) => f.length));
+  console.log(`Parser corpus: ${names.length} fixture(s)\n`);
+  console.log(`${'Field'.padEnd(pad)}  Correct   Accuracy  vs baseline`);
+
+  let correct = 0;
+  let baselineCorrect = 0;
+  let baselineTotal = 0;
+  for (const field of FIELDS) {
+    const passed = names.filter((n) => results[n][field].pass).length;
+    correct += passed;
+
+    let delta = '';
+    const compared = names.filter((n) => baseline?.results?.[n]?.[field]);
+    if (compared.length > 0) {
+      const before = compared.filter((n) => baseline.results[n][field].pass).length;
+      const after = compared.filter((n) => results[n][field].pass).length;
+      baselineCorrect += before;
+      baselineTotal += compared.length;
+      delta = after === before ? '=' : `${after > before ? '+' : ''}${after - before}`;
+    }
+
+    const pct = ((passed / names.length) * 100).toFixed(0);
+    console.log(`${field.padEnd(pad)}  ${`${passed}/${names.length}`.padEnd(8)}  ${`${pct}%`.padStart(8)}  ${delta}`);
+  }
+
+  const total = names.length * FIELDS.length;
+  console.log(`${'Overall'.padEnd(pad)}  ${`${correct}/${total}`.padEnd(8)}  ${`${((correct / total) * 100).toFixed(1)}%`.padStart(8)}`);
+  if (baselineTotal > 0) {
+    console.log(`Baseline (${baseline.generatedAt}): ${((baselineCorrect / baselineTotal) * 100).toFixed(1)}% on the same fixtures`);
+  } else {
+    console.log('No baseline yet — run with --update-baseline to save one.');
+  }
+
+  // --- Field-level diff vs baseline ---
+  const regressed = [];
+  const fixed = [];
+  const changed = [];
+  for (const name of names) {
+    for (const field of FIELDS) {
+      const before = baseline?.results?.[name]?.[field];
+      if (!before) continue;
+      const after = results[name][field];
+      if (before.pass && !after.pass) regressed.push({ name, field, before, after });
+      else if (!before.pass && after.pass) fixed.push({ name, field, before, after });
+      else if (!after.pass && JSON.stringify(before.actual) !== JSON.stringify(after.actual)) {
+        changed.push({ name, field, before, after });
+      }
+    }
+  }
+
+  if (regressed.length || fixed.length || changed.length) console.log('\nChanges since baseline:');
+  for (const { name, field, before, after } of regressed) {
+    console.log(`  REGRESSED  ${name}.${field}: ${show(before.actual)} -> ${show(after.actual)}`);
+  }
+  for (const { name, field, before, after } of fixed) {
+    console.log(`  FIXED      ${name}.${field}: ${show(before.actual)} -> ${show(after.actual)}`);
+  }
+  for (const { name, field, before, after } of changed) {
+    console.log(`  CHANGED    ${name}.${field} (still wrong): ${show(before.actual)} -> ${show(after.actual)}`);
+  }
+
+  if (verbose && mismatches.length) {
+    console.log('\nWrong fields:');
+    for (const m of mismatches) {
+      console.log(`  ${m.fixture}.${m.field}\n    expected ${show(m.expected)}\n    actual   ${show(m.actual)}`);
+    }
+  }
+
+  if (skipped.length) {
+    console.log(`\nSkipped (no .expected.json): ${skipped.join(', ')} — run with --write-missing to create them.`);
+  }
+
+  if (args.has('--update-baseline')) {
+    writeFileSync(
+      BASELINE_PATH,
+      `${JSON.stringify({ generatedAt: new Date().toISOString(), results }, null, 2)}\n`
+    );
+    console.log(`\nBaseline saved to ${path.relative(process.cwd(), BASELINE_PATH)}.`);
+    return 0;
+  }
+
+  return regressed.length > 0 ? 1 : 0;
+}
+
+/**
+ * Save a PDF as a fixture: the text pdf-parse extracts (what the scraper
+ * parses) plus pdf.js text items, the same way pdfParser.js reads them.
+ */
+async function addPdf(pdfPath, name) {
+  if (!pdfPath || !/^[\w-]+$/.test(name || '')) {
+    console.error('Usage: npm run parser-corpus -- --add-pdf <file.pdf> <fixture-name>');
+    return 1;
+  }
+  const require = createRequire(import.meta.url);
+  // The package entry point runs a debug self-test when not require()d from a parent module
+  const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+  const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+
+  const buffer = readFileSync(pdfPath);
+  const { text } = await pdfParse(buffer);
+
+  const pdf = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    disableFontFace: true,
+    isEvalSupported: false,
+    verbosity: pdfjs.VerbosityLevel.ERRORS,
+  }).promise;
+  const items = [];
+  for (let n = 1; n <= pdf.numPages; n++) {
+    const content = await (await pdf.getPage(n)).getTextContent();
+    for (const item of content.items) {
+      if (!item.str) continue;
+      const round = (v) => Math.round(v * 100) / 100;
+      items.push({ page: n, x: round(item.transform[4]), y: round(item.transform[5]), width: round(item.width), str: item.str });
+    }
+  }
+  await pdf.destroy();
+
+  writeFileSync(path.join(FIXTURES_DIR, `${name}.txt`), text);
+  writeFileSync(path.join(FIXTURES_DIR, `${name}.items.json`), `${JSON.stringify(items)}\n`);
+  console.log(`Saved fixtures/${name}.txt and fixtures/${name}.items.json — now run with --write-missing and check the expected output.`);
+  return 0;
+}
+
+if (args.has('--add-pdf')) {
+  const i = argv.indexOf('--add-pdf');
+  process.exitCode = await addPdf(argv[i + 1], argv[i + 2]);
+} else {
+  process.exitCode = run();
+}
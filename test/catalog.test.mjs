@@ -0,0 +1,31 @@
+import { resetDatabase } from './tempDataDir.mjs';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { saveCatalog, getCatalog, catalogLabels } from '@/lib/db/catalog';
+
+beforeEach(resetDatabase);
+
+test('before a sync the built-in courts and list types stand in', () => {
+  const catalog = getCatalog();
+  assert.equal(catalog.syncedAt, null);
+  assert.ok(catalog.courts.some((c) => c.value === '15'));
+
+  const { courtLabel, proceedingLabel } = catalogLabels();
+  assert.equal(courtLabel('15'), 'Erie County');
+  assert.equal(proceedingLabel('PROBATE PETITION'), 'Probate');
+});
+
+test('labels come from the synced catalog, falling back to the value', () => {
+  saveCatalog({
+    courts: [{ value: '3', label: 'Bronx County' }],
+    proceedings: [
+      { value: 'PROBATE PETITION', label: 'PROBATE PETITION' },
+      { value: 'SMALL ESTATE', label: 'SMALL ESTATE' },
+    ],
+  });
+  const { courtLabel, proceedingLabel } = catalogLabels();
+  assert.equal(courtLabel('3'), 'Bronx County');
+  assert.equal(courtLabel('15'), '15');
+  assert.equal(proceedingLabel('PROBATE PETITION'), 'Probate'); // short label kept
+  assert.equal(proceedingLabel('SMALL ESTATE'), 'SMALL ESTATE');
+});
@@ -0,0 +1,59 @@
+import { resetDatabase } from './tempDataDir.mjs';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakePage } from './fakePage.mjs';
+import { readSearchOptions } from '@/lib/scraper/search';
+import { saveCatalog } from '@/lib/db/catalog';
+import { GET } from '@/app/api/catalog/route';
+
+beforeEach(resetDatabase);
+
+test('every County and List Type option is read, without the placeholders', async () => {
+  const page = fakePage({
+    options: {
+      '#CourtSelect': [
+        { value: '', label: '-- Select a Court --' },
+        { value: '3', label: 'Bronx  County' },
+        { value: '15', label: ' Erie County ' },
+      ],
+      '#SelectedProceeding': [
+        { value: '0', label: 'Select Proceeding' },
+        { value: '1', label: 'PROBATE PETITION' },
+        { value: '7', label: 'SMALL ESTATE' },
+      ],
+    },
+  });
+
+  assert.deepEqual(await readSearchOptions(page), {
+    courts: [
+      { value: '3', label: 'Bronx County' },
+      { value: '15', label: 'Erie County' },
+    ],
+    // The site searches list types by their text
+    proceedings: [
+      { value: 'PROBATE PETITION', label: 'PROBATE PETITION' },
+      { value: 'SMALL ESTATE', label: 'SMALL ESTATE' },
+    ],
+  });
+});
+
+test('the catalog API serves the synced options and flags list types without a handler', async () => {
+  saveCatalog({
+    courts: [{ value: '3', label: 'Bronx County' }],
+    proceedings: [
+      { value: 'PROBATE PETITION', label: 'PROBATE PETITION' },
+      { value: 'SMALL ESTATE', label: 'SMALL ESTATE' },
+    ],
+  });
+
+  const catalog = await (await GET()).json();
+  assert.deepEqual(catalog.courts, [{ value: '3', label: 'Bronx County' }]);
+  assert.deepEqual(
+    catalog.proceedings.map((p) => [p.value, p.supported]),
+    [
+      ['PROBATE PETITION', true],
+      ['SMALL ESTATE', false],
+    ]
+  );
+  assert.ok(catalog.syncedAt);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyDocument, classifyEstateStage, estateStageOf, parseEstateClosed } from '@/lib/scraper/docket';
+
+test('documents that only name letters are not letters', () => {
+  const cases = {
+    'PETITION FOR LETTERS OF ADMINISTRATION': 'petition',
+    'PETITION FOR PROBATE AND LETTERS TESTAMENTARY': 'petition',
+    'PROBATE PETITION': 'petition',
+    'RENUNCIATION OF LETTERS': 'waiver',
+    'RENUNCIATION OF LETTERS TESTAMENTARY - JOHN DOE': 'waiver',
+    'WAIVER OF CITATION, RENUNCIATION AND CONSENT TO PROBATE': 'waiver',
+    'DECREE GRANTING LETTERS OF ADMINISTRATION': 'decree',
+    'ORDER DISPENSING WITH SERVICE': 'decree',
+    'AFFIDAVIT OF SERVICE OF CITATION': 'service',
+    'CITATION - JANE DOE': 'citation',
+  };
+  for (const [title, type] of Object.entries(cases)) {
+    assert.equal(classifyDocument(title), type, title);
+  }
+});
+
+test('issued letters are letters', () => {
+  for (const title of [
+    'LETTERS TESTAMENTARY',
+    'Letters of Administration',
+    'LIMITED LETTERS OF ADMINISTRATION',
+    'PRELIMINARY LETTERS TESTAMENTARY',
+    'LETTERS OF TRUSTEESHIP',
+  ]) {
+    assert.equal(classifyDocument(title), 'letters', title);
+  }
+});
+
+test('a docket with only a petition is at the petition stage', () => {
+  const docket = [
+    { filed: '01/03/2025', document: 'PETITION FOR PROBATE AND LETTERS TESTAMENTARY' },
+    { filed: '01/03/2025', document: 'WILL' },
+    { filed: '01/20/2025', document: 'RENUNCIATION OF LETTERS' },
+  ];
+  assert.deepEqual(classifyEstateStage(docket, false), { stage: 'petition', lettersIssuedDate: null });
+
+  const granted = [...docket, { filed: '03/02/2025', document: 'LETTERS TESTAMENTARY' }];
+  assert.deepEqual(classifyEstateStage(granted, false), { stage: 'letters', lettersIssuedDate: '03/02/2025' });
+});
+
+test('saved dockets are reclassified, ignoring the type stored with them', () => {
+  const data = {
+    docket: [{ filed: '01/03/2025', document: 'PETITION FOR LETTERS OF ADMINISTRATION', type: 'letters' }],
+    estateStage: 'letters',
+    lettersIssuedDate: '01/03/2025',
+    estateClosed: false,
+  };
+  assert.deepEqual(estateStageOf(data), { stage: 'petition', lettersIssuedDate: null });
+});
+
+test('the Estate Closed flag reads as true, false or unknown', () => {
+  assert.equal(parseEstateClosed('Y'), true);
+  assert.equal(parseEstateClosed('y'), true);
+  assert.equal(parseEstateClosed('N'), false);
+  assert.equal(parseEstateClosed(''), null);
+  assert.equal(parseEstateClosed(undefined), null);
+});
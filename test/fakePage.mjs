@@ -0,0 +1,34 @@
+/**
+ * A stand-in for a Playwright page, enough to run the scraper code around
+ * the in-page scripts without a browser: navigation and form calls do
+ * nothing, and what the page would show comes from `content`.
+ *
+ *   options: { '#CourtSelect': [{ value, label }] } — read by $$eval('… option')
+ *   evaluate(fn): the result of an in-page script (pick by fn.toString())
+ *   links: [{ text, href }] — found by locator('a', { hasText })
+ *   url: what page.url() returns
+ */
+export function fakePage({ options = {}, evaluate = () => null, links = [], url = '' } = {}) {
+  const element = { click: async () => {} };
+  return {
+    goto: async () => {},
+    waitForSelector: async () => {},
+    waitForLoadState: async () => {},
+    selectOption: async () => {},
+    fill: async () => {},
+    $: async () => element,
+    url: () => url,
+    evaluate: async (fn) => evaluate(fn),
+    $$eval: async (selector, fn) =>
+      fn((options[selector.replace(/ option$/, '')] || []).map((o) => ({ value: o.value, textContent: o.label }))),
+    locator: (selector, { hasText } = {}) => {
+      const found = links.filter((l) => l.text.toUpperCase().includes(String(hasText).toUpperCase()));
+      return {
+        first: () => ({
+          count: async () => Math.min(found.length, 1),
+          getAttribute: async (name) => (name === 'href' ? found[0]?.href ?? null : null),
+        }),
+      };
+    },
+  };
+}
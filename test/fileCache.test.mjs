@@ -0,0 +1,113 @@
+import { resetDatabase } from './tempDataDir.mjs';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { searchFilings, processFileBatch } from '@/lib/scraper/pipeline';
+import { getCachedSearchChunk, cacheSearchChunk, getCachedLookup, docketHasPetition } from '@/lib/scraper/fileCache';
+import { upsertFilings, saveFileHistory, linkPetitionPdf } from '@/lib/db/filings';
+import { archivePdf } from '@/lib/pdfArchive';
+import { textPdf } from './textPdf.mjs';
+import { formatDate } from '@/lib/scraper/dateUtils';
+import { LATE_DOCKETING_DAYS } from '@/lib/config';
+
+// No browser is configured here: anything that reaches the court site fails
+delete process.env.BROWSERLESS_API_KEY;
+
+const court = '15';
+const proceeding = 'PROBATE PETITION';
+const january = { from: '01/01/2025', to: '01/31/2025' };
+const files = [{ fileNumber: '2025-1', fileDate: '01/03/2025', fileName: 'DOE, JOHN', court, proceeding }];
+
+// A filing looked up recently whose docket lists no petition
+function saveLookupWithoutPetition(fileNumber) {
+  upsertFilings(court, [{ fileNumber }]);
+  saveFileHistory(court, fileNumber, {
+    parties: [{ name: 'ROE, JANE', role: 'DECEDENT' }],
+    metadata: { fileDate: '01/04/2025' },
+    docket: [{ filed: '01/04/2025', document: 'WAIVER OF CITATION' }],
+  });
+}
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return formatDate(date);
+};
+
+beforeEach(resetDatabase);
+
+test('searches of past chunks are cached', () => {
+  cacheSearchChunk(court, proceeding, january, { files });
+  assert.deepEqual(getCachedSearchChunk(court, proceeding, january), { files });
+  assert.equal(getCachedSearchChunk('3', proceeding, january), null);
+});
+
+test('chunks ending within the late-docketing window are not cached', () => {
+  for (const days of [0, 1, LATE_DOCKETING_DAYS]) {
+    const chunk = { from: daysAgo(days + 3), to: daysAgo(days) };
+    cacheSearchChunk(court, proceeding, chunk, { files: [] });
+    assert.equal(getCachedSearchChunk(court, proceeding, chunk), null, `ending ${days} day(s) ago`);
+  }
+
+  const settled = { from: daysAgo(LATE_DOCKETING_DAYS + 4), to: daysAgo(LATE_DOCKETING_DAYS + 1) };
+  cacheSearchChunk(court, proceeding, settled, { files: [] });
+  assert.deepEqual(getCachedSearchChunk(court, proceeding, settled), { files: [] });
+});
+
+test('a search served entirely from the cache does not open the browser', async () => {
+  cacheSearchChunk(court, proceeding, january, { files });
+  const result = await searchFilings({
+    counties: [court],
+    proceedings: [proceeding],
+    fromDate: january.from,
+    toDate: january.to,
+  });
+  assert.deepEqual(result.files, files);
+  assert.equal(result.cachedChunks, 1);
+});
+
+test('lookups are cached without an archived petition', () => {
+  saveLookupWithoutPetition('2025-2');
+  const lookup = getCachedLookup(court, '2025-2');
+  assert.equal(lookup.parties[0].name, 'ROE, JANE');
+  assert.equal(docketHasPetition(lookup, proceeding), false);
+  assert.equal(docketHasPetition({ ...lookup, docket: [{ document: 'Probate Petition' }] }, proceeding), true);
+  assert.equal(docketHasPetition({ ...lookup, docket: null }, proceeding), null);
+  assert.equal(getCachedLookup(court, '2025-404'), null);
+});
+
+test('a batch of fresh files without a petition does not open the browser', async () => {
+  saveLookupWithoutPetition('2025-2');
+  const { results, batchStats } = await processFileBatch({
+    files: [{ fileNumber: '2025-2', fileDate: '01/04/2025', court, proceeding }],
+  });
+  assert.equal(results[0].status, 'error');
+  assert.equal(results[0].reason, 'No PDF available');
+  assert.equal(batchStats.cacheHits, 1);
+  assert.equal(batchStats.liveFetches, 0);
+});
+
+test('a fresh file with an archived petition is re-parsed without the browser', async () => {
+  upsertFilings(court, [{ fileNumber: '2025-3' }]);
+  saveFileHistory(court, '2025-3', {
+    parties: [{ name: 'SMITH, JAMES', role: 'DECEDENT' }],
+    metadata: { fileDate: '01/05/2025', estateClosed: 'N' },
+    docket: [{ filed: '01/05/2025', document: 'PROBATE PETITION' }],
+  });
+  const stored = await archivePdf(
+    textPdf([
+      'PROBATE PROCEEDING, WILL OF: JAMES SMITH',
+      '2. The name and domicile of the decedent are as follows: JAMES SMITH',
+      'Date of death: October 16, 2024',
+    ])
+  );
+  linkPetitionPdf(court, '2025-3', proceeding, stored);
+
+  const { results, batchStats } = await processFileBatch({
+    files: [{ fileNumber: '2025-3', fileDate: '01/05/2025', court, proceeding }],
+    minEstateValue: 0,
+  });
+  assert.equal(results[0].status, 'included', results[0].reason);
+  assert.equal(results[0].data.decedentName, 'JAMES SMITH');
+  assert.equal(results[0].data.pdfHash, stored.sha256);
+  assert.deepEqual([batchStats.cacheHits, batchStats.liveFetches], [1, 0]);
+});
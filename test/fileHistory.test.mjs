@@ -0,0 +1,70 @@
+import { resetDatabase } from './tempDataDir.mjs';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakePage } from './fakePage.mjs';
+import { lookupFile } from '@/lib/scraper/fileHistory';
+import { formatDocket } from '@/lib/scraper/docket';
+import { upsertFilings, saveFileHistory } from '@/lib/db/filings';
+import { GET } from '@/app/api/docket/route';
+import { BASE_URL } from '@/lib/config';
+
+// What the File History page's tables read as, before the docket is classified
+const docketRows = [
+  { filed: '01/03/2025', document: 'PROBATE PETITION', href: '/File/Document/1' },
+  { filed: '01/03/2025', document: 'LAST WILL AND TESTAMENT', href: 'https://example.test/doc/2' },
+  { filed: '02/10/2025', document: 'WAIVER OF CITATION', href: null },
+  { filed: '03/02/2025', document: 'LETTERS TESTAMENTARY', href: null },
+  { filed: '', document: '', href: null },
+];
+
+function fileHistoryPage() {
+  return fakePage({
+    url: `${BASE_URL}/File/FileHistory`,
+    links: [{ text: 'PROBATE PETITION', href: '/File/Document/1' }],
+    evaluate: (fn) => {
+      const script = fn.toString();
+      if (script.includes("'PARTY'")) return [{ name: 'DOE, JOHN', role: 'DECEDENT', dod: '12/01/2024' }];
+      if (script.includes('Estate Closed')) return { fileDate: '01/03/2025', estateClosed: 'N' };
+      if (script.includes("'DOCUMENT'")) return docketRows;
+      return null;
+    },
+  });
+}
+
+beforeEach(resetDatabase);
+
+test('the whole docket is read, classified and linked', async () => {
+  const { docket, pdfUrl, parties } = await lookupFile(fileHistoryPage(), '2025-100', '15');
+
+  assert.equal(parties[0].name, 'DOE, JOHN');
+  assert.equal(pdfUrl, `${BASE_URL}/File/Document/1`);
+  assert.deepEqual(docket, [
+    { filed: '01/03/2025', document: 'PROBATE PETITION', type: 'petition', url: `${BASE_URL}/File/Document/1` },
+    { filed: '01/03/2025', document: 'LAST WILL AND TESTAMENT', type: 'will', url: 'https://example.test/doc/2' },
+    { filed: '02/10/2025', document: 'WAIVER OF CITATION', type: 'waiver', url: null },
+    { filed: '03/02/2025', document: 'LETTERS TESTAMENTARY', type: 'letters', url: null },
+  ]);
+  assert.equal(
+    formatDocket(docket.slice(0, 2)),
+    '01/03/2025 PROBATE PETITION; 01/03/2025 LAST WILL AND TESTAMENT'
+  );
+});
+
+test('the docket API serves a saved docket with the estate stage it shows', async () => {
+  const { parties, metadata, docket } = await lookupFile(fileHistoryPage(), '2025-100', '15');
+  upsertFilings('15', [{ fileNumber: '2025-100', fileDate: '01/03/2025' }]);
+  saveFileHistory('15', '2025-100', { parties, metadata, docket });
+
+  const res = await GET(new Request('http://localhost/api/docket?county=15&fileNumber=2025-100'));
+  const body = await res.json();
+  assert.equal(res.status, 200);
+  assert.equal(body.cached, true);
+  assert.equal(body.docket.length, 4);
+  assert.equal(body.stage, 'letters');
+  assert.equal(body.lettersIssuedDate, '03/02/2025');
+});
+
+test('the docket API checks the file number', async () => {
+  const res = await GET(new Request('http://localhost/api/docket?county=15&fileNumber=abc'));
+  assert.equal(res.status, 400);
+});
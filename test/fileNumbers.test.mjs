@@ -0,0 +1,48 @@
+import './tempDataDir.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFileNumberList, normalizeFileNumber, MAX_IMPORTED_FILE_NUMBERS } from '@/lib/fileNumbers';
+import { validateImportParams, importedFiles } from '@/lib/scraper/pipeline';
+
+const targets = { counties: ['15'], proceedings: ['PROBATE PETITION'] };
+
+test('pasted file numbers are split, normalized and de-duplicated', () => {
+  const { fileNumbers, invalid } = parseFileNumberList(' 2022-4682/a, "2023-17"\n2022-4682/A; 2024-9 nonsense\n\n2024-9');
+  assert.deepEqual(fileNumbers, ['2022-4682/A', '2023-17', '2024-9']);
+  assert.deepEqual(invalid, ['NONSENSE']);
+  assert.equal(normalizeFileNumber(" '2022-4682/b' "), '2022-4682/B');
+});
+
+test('a CSV with a File Number column is read from that column only', () => {
+  const csv = [
+    'Decedent,File Number,Notes',
+    '"DOE, JOHN",2022-4682/A,"see 2021-1, maybe"',
+    'ROE,2023-17,',
+  ].join('\n');
+  assert.deepEqual(parseFileNumberList(csv), { fileNumbers: ['2022-4682/A', '2023-17'], invalid: [] });
+});
+
+test('an import needs valid file numbers and one county and list type', () => {
+  assert.equal(validateImportParams({ ...targets, fileNumbers: ['2022-4682/A'] }), null);
+  assert.match(validateImportParams({ ...targets, fileNumbers: [] }), /non-empty/);
+  assert.match(validateImportParams({ ...targets, fileNumbers: ['22-4682'] }), /Invalid file number: 22-4682/);
+  assert.match(
+    validateImportParams({ ...targets, fileNumbers: Array.from({ length: MAX_IMPORTED_FILE_NUMBERS + 1 }, (_, i) => `2022-${i + 1}`) }),
+    /At most/
+  );
+  assert.match(
+    validateImportParams({ counties: ['15', '3'], proceedings: targets.proceedings, fileNumbers: ['2022-4682/A'] }),
+    /exactly one county/
+  );
+  assert.match(
+    validateImportParams({ counties: ['15'], proceedings: ['SMALL ESTATE'], fileNumbers: ['2022-4682/A'] }),
+    /Unsupported proceeding/
+  );
+});
+
+test('imported file numbers become the Phase 2 file list', () => {
+  assert.deepEqual(importedFiles({ ...targets, fileNumbers: ['2022-4682/A', '2023-17', '2022-4682/A'] }), [
+    { fileNumber: '2022-4682/A', court: '15', proceeding: 'PROBATE PETITION' },
+    { fileNumber: '2023-17', court: '15', proceeding: 'PROBATE PETITION' },
+  ]);
+});
@@ -0,0 +1,74 @@
+import { resetDatabase } from './tempDataDir.mjs';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { createJob, getJob } from '@/lib/jobs/jobStore';
+import { startJobWorker, cancelJob } from '@/lib/jobs/worker';
+import { searchFilings } from '@/lib/scraper/pipeline';
+import { cacheSearchChunk } from '@/lib/scraper/fileCache';
+
+// No browser is configured here: anything that reaches the court site fails
+delete process.env.BROWSERLESS_API_KEY;
+
+const court = '15';
+const proceeding = 'PROBATE PETITION';
+const importParams = { counties: [court], proceedings: [proceeding], fileNumbers: ['2025-1'], minEstateValue: 0 };
+
+async function workerIdle() {
+  while (globalThis.__probateJobWorker?.running) await sleep(10);
+}
+
+beforeEach(resetDatabase);
+
+test('the worker runs a queued job to the end and saves it', async () => {
+  const { id } = await createJob(importParams);
+  startJobWorker();
+  await workerIdle();
+
+  const job = await getJob(id);
+  assert.equal(job.status, 'complete');
+  assert.equal(job.stats.found, 1);
+  assert.equal(job.stats.errors, 1); // the batch could not connect
+  assert.ok(job.logs.some((l) => l.includes('Imported 1 file numbers')));
+});
+
+test('a queued job cancelled before the worker starts never runs', async () => {
+  const { id } = await createJob(importParams);
+  await cancelJob(id);
+  startJobWorker();
+  await workerIdle();
+
+  const job = await getJob(id);
+  assert.equal(job.status, 'cancelled');
+  assert.equal(job.startedAt, null);
+});
+
+test('a job cancelled as the worker picks it up stays cancelled', async () => {
+  const { id } = await createJob(importParams);
+  startJobWorker();
+  await cancelJob(id);
+  await workerIdle();
+
+  const job = await getJob(id);
+  assert.equal(job.status, 'cancelled');
+  assert.deepEqual(job.results, []);
+});
+
+test('a search stops between chunks when asked to', async () => {
+  const months = [
+    { from: '01/01/2025', to: '01/31/2025' },
+    { from: '02/01/2025', to: '02/28/2025' },
+  ];
+  for (const chunk of months) cacheSearchChunk(court, proceeding, chunk, { files: [] });
+
+  let checks = 0;
+  const result = await searchFilings({
+    counties: [court],
+    proceedings: [proceeding],
+    fromDate: '01/01/2025',
+    toDate: '02/28/2025',
+    shouldStop: () => ++checks > 1,
+  });
+  assert.equal(result, null);
+  assert.equal(checks, 2);
+});
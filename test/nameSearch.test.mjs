@@ -0,0 +1,21 @@
+import './tempDataDir.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { POST } from '@/app/api/name-search/route';
+import { saveCatalog } from '@/lib/db/catalog';
+import { MAX_NAME_SEARCH_COUNTIES } from '@/lib/config';
+
+const post = (body) =>
+  POST(new Request('http://localhost/api/name-search', { method: 'POST', body: JSON.stringify(body) }));
+
+test('a name search needs a short list of catalog counties', async () => {
+  const courts = ['3', '15', '24', '31'];
+  saveCatalog({ courts: courts.map((value) => ({ value, label: value })), proceedings: [] });
+
+  for (const counties of [undefined, [], courts.slice(0, MAX_NAME_SEARCH_COUNTIES + 1), ['nowhere']]) {
+    const res = await post({ lastName: 'Doe', counties });
+    assert.equal(res.status, 400, JSON.stringify(counties));
+  }
+  const { error } = await (await post({ lastName: 'Doe', counties: ['nowhere'] })).json();
+  assert.equal(error, 'Unknown county: nowhere');
+});
@@ -0,0 +1,9 @@
+/**
+ * Test setup: resolve the app's import style (the "@/" alias and
+ * extensionless paths, which Next.js handles in the app) in plain Node.
+ *
+ * Loaded by `npm test` through --import.
+ */
+import { register } from 'node:module';
+
+register('./resolve.mjs', import.meta.url);
@@ -0,0 +1,34 @@
+/**
+ * Module resolve hook for the tests (see register.mjs): "@/x" → <root>/x,
+ * and extensionless paths → x.js or x/index.js, as jsconfig.json and
+ * Next.js resolve them.
+ */
+import { existsSync, statSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function withExtension(file) {
+  if (existsSync(file) && statSync(file).isFile()) return file;
+  for (const candidate of [`${file}.js`, path.join(file, 'index.js')]) {
+    if (existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  // pdf-parse's entry point runs a debug self-test (reading a PDF that isn't
+  // there) when loaded from an ES module; its library file is the same parser
+  if (specifier === 'pdf-parse') return nextResolve('pdf-parse/lib/pdf-parse.js', context);
+  // next has no exports map; its bundler resolves next/server to server.js
+  if (specifier === 'next/server') return nextResolve('next/server.js', context);
+
+  let file = null;
+  if (specifier.startsWith('@/')) {
+    file = withExtension(path.join(ROOT, specifier.slice(2)));
+  } else if ((specifier.startsWith('./') || specifier.startsWith('../')) && context.parentURL?.startsWith('file:')) {
+    file = withExtension(path.resolve(path.dirname(fileURLToPath(context.parentURL)), specifier));
+  }
+  return nextResolve(file ? pathToFileURL(file).href : specifier, context);
+}
@@ -0,0 +1,71 @@
+import './tempDataDir.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { advanceSearchWatermarks, resolveSearchRange } from '@/lib/scraper/pipeline';
+import { getSearchWatermark, findProcessedFileNumbers } from '@/lib/db/filings';
+import { recordRunResult } from '@/lib/db/runs';
+
+const court = '15';
+const proceeding = 'PROBATE PETITION';
+const file = (fileNumber, fileDate) => ({ fileNumber, fileDate, court, proceeding });
+
+// What a job does after a batch: record its results, then advance the watermarks
+function processBatch(run, results) {
+  for (const r of results) recordRunResult(run.id, court, { ...r, court });
+  run.results.push(...results.map((r) => ({ ...r, court })));
+  advanceSearchWatermarks(run);
+}
+
+test('a run that fails partway leaves its unprocessed filings to the next newOnly run', () => {
+  const files = [file('2025-1', '01/05/2025'), file('2025-2', '01/10/2025'), file('2025-3', '01/20/2025')];
+  const run = {
+    id: 'run-1',
+    searched: [{ court, proceeding, latestFileDate: '01/20/2025' }],
+    files,
+    results: [],
+  };
+
+  // First batch: one included, one error; the run dies before 2025-3
+  processBatch(run, [
+    { fileNumber: '2025-1', fileDate: '01/05/2025', status: 'included' },
+    { fileNumber: '2025-2', fileDate: '01/10/2025', status: 'error', reason: 'Timeout' },
+  ]);
+  assert.equal(getSearchWatermark(court, proceeding), '01/10/2025');
+
+  // The next incremental run searches from the failed filing's date and only drops 2025-1
+  const { fromDate } = resolveSearchRange({ newOnly: true, county: court, proceeding });
+  assert.equal(fromDate, '01/10/2025');
+  const known = findProcessedFileNumbers(court, files.map((f) => f.fileNumber));
+  assert.deepEqual([...known], ['2025-1']);
+
+  // Once everything is processed, the watermark reaches the newest filing found
+  const retry = { id: 'run-2', searched: run.searched, files: files.slice(1), results: [] };
+  processBatch(retry, [
+    { fileNumber: '2025-2', fileDate: '01/10/2025', status: 'skipped' },
+    { fileNumber: '2025-3', fileDate: '01/20/2025', status: 'included' },
+  ]);
+  assert.equal(getSearchWatermark(court, proceeding), '01/20/2025');
+});
+
+test('the watermark stops at the earliest pending filing and never moves backwards', () => {
+  const other = 'ADMINISTRATION PETITION';
+  const run = {
+    searched: [{ court, proceeding: other, latestFileDate: '03/01/2025' }],
+    files: [{ fileNumber: '2025-9', fileDate: '02/01/2025', court, proceeding: other }],
+    results: [],
+  };
+  advanceSearchWatermarks(run);
+  assert.equal(getSearchWatermark(court, other), '02/01/2025');
+
+  // Found nothing new (every filing already processed): up to the newest filing found
+  advanceSearchWatermarks({ searched: run.searched, files: [], results: [] });
+  assert.equal(getSearchWatermark(court, other), '03/01/2025');
+
+  // An older range re-run with a pending filing leaves it where it is
+  advanceSearchWatermarks({
+    searched: [{ court, proceeding: other, latestFileDate: '01/15/2025' }],
+    files: [{ fileNumber: '2025-5', fileDate: '01/02/2025', court, proceeding: other }],
+    results: [],
+  });
+  assert.equal(getSearchWatermark(court, other), '03/01/2025');
+});
@@ -0,0 +1,25 @@
+/**
+ * Import first in a test file that touches storage or the database: points
+ * DATA_DIR (and so probate.db) at a fresh temp directory, removed on exit.
+ */
+import { mkdtempSync, rmSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const dir = mkdtempSync(path.join(os.tmpdir(), 'probate-test-'));
+process.env.DATA_DIR = dir;
+delete process.env.DATABASE_PATH;
+process.on('exit', () => rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Empty every table of the test database (call in beforeEach so each test
+ * starts from the same state). The schema and migrations stay.
+ */
+export function resetDatabase() {
+  const db = globalThis.__probateDb;
+  if (!db) return;
+  const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'").all();
+  db.transaction(() => {
+    for (const { name } of tables) db.prepare(`DELETE FROM "${name}"`).run();
+  })();
+}
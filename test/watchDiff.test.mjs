@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffFileHistory } from '@/lib/watchlist/diff';
+
+const petition = { filed: '01/03/2025', document: 'PROBATE PETITION' };
+const letters = { filed: '03/02/2025', document: 'LETTERS TESTAMENTARY' };
+const decedent = { name: 'DOE, JOHN', role: 'DECEDENT' };
+const executor = { name: 'DOE, JANE', role: 'EXECUTOR' };
+const snapshot = ({ docket = [petition], parties = [decedent], ...metadata } = {}) => ({
+  parties,
+  metadata: { estateClosed: 'N', attorney: 'SMITH, JANE', judge: 'HON. A', ...metadata },
+  docket,
+});
+
+test('an unchanged file has no changes', () => {
+  assert.deepEqual(diffFileHistory(snapshot(), snapshot()), []);
+});
+
+test('new documents, parties, closing and header changes are each reported', () => {
+  const changes = diffFileHistory(
+    snapshot(),
+    snapshot({ docket: [petition, letters], parties: [executor], estateClosed: 'Y', attorney: 'ROE, RICHARD' })
+  );
+  assert.deepEqual(
+    changes.map((c) => c.kind),
+    ['document-filed', 'party-added', 'party-removed', 'estate-closed', 'attorney-changed']
+  );
+  assert.equal(changes[0].summary, 'New filing: LETTERS TESTAMENTARY (03/02/2025)');
+  assert.deepEqual(changes[4].detail, { from: 'SMITH, JANE', to: 'ROE, RICHARD' });
+});
+
+test('a reopened estate is reported; an unknown flag is not a change', () => {
+  assert.deepEqual(
+    diffFileHistory(snapshot({ estateClosed: 'Y' }), snapshot()).map((c) => c.kind),
+    ['estate-reopened']
+  );
+  assert.deepEqual(diffFileHistory(snapshot({ estateClosed: '' }), snapshot({ estateClosed: 'Y' })), []);
+});
+
+test('no documents are reported against a snapshot saved without a docket', () => {
+  assert.deepEqual(diffFileHistory(snapshot({ docket: null }), snapshot({ docket: [petition, letters] })), []);
+});
@@ -0,0 +1,54 @@
+import './tempDataDir.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { recordCheck } from '@/lib/watchlist/watcher';
+import { addWatch, listWatches, listWatchChanges } from '@/lib/db/watchlist';
+import { POST } from '@/app/api/watchlist/route';
+import { upsertFilings, saveFileHistory } from '@/lib/db/filings';
+
+const court = '15';
+const petition = { filed: '01/03/2025', document: 'PROBATE PETITION' };
+const letters = { filed: '03/02/2025', document: 'LETTERS TESTAMENTARY' };
+const lookup = (docket) => ({
+  parties: [{ name: 'DOE, JOHN', role: 'DECEDENT' }],
+  metadata: { fileDate: '01/03/2025', estateClosed: 'N', attorney: 'SMITH, JANE', judge: '' },
+  docket,
+});
+
+test('a docket refresh between checks does not hide changes from the next check', () => {
+  const watch = addWatch({ court, fileNumber: '2025-100' });
+  assert.equal(recordCheck(watch, lookup([petition])), 0); // baseline
+
+  // Someone views the file's docket with refresh=1, which saves the new lookup
+  upsertFilings(court, [{ fileNumber: '2025-100' }]);
+  saveFileHistory(court, '2025-100', lookup([petition, letters]));
+
+  assert.equal(recordCheck(watch, lookup([petition, letters])), 1);
+  const [change] = listWatchChanges();
+  assert.equal(change.fileNumber, '2025-100');
+  assert.equal(change.kind, 'document-filed');
+  assert.deepEqual(change.detail, letters);
+
+  // ...and is not reported twice
+  assert.equal(recordCheck(watch, lookup([petition, letters])), 0);
+});
+
+test('a file looked up before it was watched starts from that lookup', () => {
+  upsertFilings(court, [{ fileNumber: '2025-200' }]);
+  saveFileHistory(court, '2025-200', lookup([petition]));
+  const watch = addWatch({ court, fileNumber: '2025-200' });
+
+  assert.equal(recordCheck(watch, lookup([petition, letters])), 1);
+});
+
+test('watching a file in a county the catalog lacks is refused', async () => {
+  const res = await POST(
+    new Request('http://localhost/api/watchlist', {
+      method: 'POST',
+      body: JSON.stringify({ county: '9999', fileNumber: '2025-300' }),
+    })
+  );
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error, 'Unknown county: 9999');
+  assert.equal(listWatches().some((w) => w.fileNumber === '2025-300'), false);
+});